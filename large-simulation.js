@@ -177,13 +177,14 @@ async function runSimulation() {
           
           log(`\n[TX ${i+1}/${config.simulationTransactions}] Coin split: Agent ${agentIndex} (rep: ${Math.round(agent.getReputationScore())}) splitting coin ${coin.id.substring(0, 8)} with value ${coin.value} -> ${splitValue}`);
           
-          try {
-            const newCoin = coin.split(splitValue);
-            agent.getWallet().addCoin(newCoin);
+          // Splits go through the witness quorum: the coin is consumed and two children issued
+          const result = await network.splitCoin(agentIndex, coinIndex, [coin.value - splitValue, splitValue]);
+          
+          if (result.success) {
             simulationStats.coinSplits++;
-            log(`Coin split successful: Original coin now has value ${coin.value}, new coin ${newCoin.id.substring(0, 8)} has value ${newCoin.value}`);
-          } catch (error) {
-            log(`Coin split failed: ${error.message}`);
+            log(`Coin split successful: new coins ${result.coins.map(c => `${c.id.substring(0, 8)} (value ${c.value})`).join(', ')}`);
+          } else {
+            log(`Coin split failed: ${result.reason}`);
           }
         }
       }
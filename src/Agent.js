@@ -1,15 +1,33 @@
-const crypto = require('crypto');
 const { BloomFilter } = require('bloom-filters');
 const fs = require('fs');
 const path = require('path');
 const Wallet = require('./Wallet');
 const Coin = require('./Coin');
+const TransferEnvelope = require('./TransferEnvelope');
+const OperationEnvelope = require('./OperationEnvelope');
+const BatchEnvelope = require('./BatchEnvelope');
+const SwapEnvelope = require('./SwapEnvelope');
+const StatusEnvelope = require('./StatusEnvelope');
+const Checkpoint = require('./Checkpoint');
+const WitnessAttestation = require('./WitnessAttestation');
+const KeyRotation = require('./KeyRotation');
+const PaymentRequest = require('./PaymentRequest');
+const MultisigPolicy = require('./MultisigPolicy');
+const { detectKeyAlgorithm, verifyData } = require('./signatures');
+const { validateConditions, checkSpend } = require('./conditions');
+const { normalizeAsset, checkAssetValue } = require('./assets');
+const { canonicalHash } = require('./canonical');
+const { DEFAULT_GRACE_PERIOD, MAX_RENEWAL_SKEW } = require('./renewal');
 
 class Agent {
-  constructor(id, persistencePath = null) {
+  constructor(id, persistencePath = null, options = {}) {
     this.id = id;
-    this.wallet = new Wallet();
+    this.wallet = new Wallet(null, null, { algorithm: options.keyAlgorithm });
     this.persistencePath = persistencePath;
+    this.networkId = options.networkId || null; // Envelopes signed for other networks are rejected
+    this.witnessThreshold = options.witnessThreshold || null; // Quorum size past hops must prove
+    this.renewalGracePeriod = options.renewalGracePeriod || DEFAULT_GRACE_PERIOD; // Expired coins stay renewable this long
+    this.clock = options.clock || Date.now; // Current time for expiry and renewal checks
     
     // Production-ready Bloom filter with optimized parameters
     // Size and hash functions calibrated for expected network volume
@@ -32,6 +50,19 @@ class Agent {
     // Public key directory - in production this would sync with a distributed directory service
     this.publicKeyDirectory = new Map(); // walletId -> publicKey
     
+    // Recognised coin issuers - coins must trace back to mint records signed by one of them
+    this.issuers = new Map(); // issuerId -> {publicKey, supplyCap}
+    
+    // Registered asset types - coins of any other asset than the native one are refused
+    this.assets = new Map(); // assetId -> {id, name, issuer, decimals, minDenomination}
+    
+    // Quorum-approved issuer decisions - frozen and revoked coins are refused everywhere
+    this.coinStatuses = new Map(); // coinId -> latest decision
+    this.statusAudit = []; // Every decision in order: who froze what and why
+    
+    // Retired wallet keys - a rotated wallet may only move coins to its successor
+    this.keyRotations = new Map(); // oldWalletId -> rotation statement (JSON)
+    
     // Reputation system
     this.reputation = {
       score: 100, // Initial reputation score (0-100)
@@ -83,6 +114,11 @@ class Agent {
         validatedValues: Array.from(this.validatedValues.entries()),
         bannedWallets: Array.from(this.bannedWallets),
         publicKeyDirectory: Array.from(this.publicKeyDirectory.entries()),
+        issuers: Array.from(this.issuers.entries()),
+        assets: Array.from(this.assets.entries()),
+        coinStatuses: Array.from(this.coinStatuses.entries()),
+        statusAudit: this.statusAudit,
+        keyRotations: Array.from(this.keyRotations.entries()),
         reputation: this.reputation,
         stats: this.stats,
         timestamp: Date.now()
@@ -131,6 +167,29 @@ class Agent {
         this.publicKeyDirectory = new Map(data.publicKeyDirectory);
       }
       
+      // Restore recognised issuers
+      if (data.issuers) {
+        this.issuers = new Map(data.issuers);
+      }
+      
+      // Restore registered assets
+      if (data.assets) {
+        this.assets = new Map(data.assets);
+      }
+      
+      // Restore issuer decisions and their audit trail
+      if (data.coinStatuses) {
+        this.coinStatuses = new Map(data.coinStatuses);
+      }
+      if (data.statusAudit) {
+        this.statusAudit = data.statusAudit;
+      }
+      
+      // Restore key rotations
+      if (data.keyRotations) {
+        this.keyRotations = new Map(data.keyRotations);
+      }
+      
       // Restore reputation data
       if (data.reputation) {
         this.reputation = data.reputation;
@@ -151,6 +210,65 @@ class Agent {
     return true;
   }
 
+  // Recognise a coin issuer, optionally with a maximum total supply
+  registerIssuer(issuerId, publicKey, supplyCap = null) {
+    this.issuers.set(issuerId, { publicKey, supplyCap });
+    return true;
+  }
+
+  // Recognise an asset type: its issuer, divisibility and minimum denomination
+  registerAsset(definition) {
+    const asset = normalizeAsset(definition);
+    this.assets.set(asset.id, asset);
+    return true;
+  }
+
+  // Register a key rotation signed by a retiring wallet. The statement is checked
+  // against the key already on file for the old wallet before the new key is learned.
+  async registerKeyRotation(rotation) {
+    let statement;
+    try {
+      statement = rotation instanceof KeyRotation ? rotation : KeyRotation.fromJSON(rotation);
+    } catch (err) {
+      return { valid: false, reason: `malformed key rotation: ${err.message}` };
+    }
+    
+    if (this.networkId && statement.networkId !== this.networkId) {
+      return { valid: false, reason: `rotation is for network ${statement.networkId}, not ${this.networkId}` };
+    }
+    
+    const existing = this.keyRotations.get(statement.oldWalletId);
+    if (existing) {
+      return existing.newWalletId === statement.newWalletId
+        ? { valid: true }
+        : { valid: false, reason: `wallet ${statement.oldWalletId} was already rotated to ${existing.newWalletId}` };
+    }
+    
+    const oldPublicKey = await this.getPublicKeyForWallet(statement.oldWalletId);
+    if (!oldPublicKey) {
+      return { valid: false, reason: 'unable to retrieve the retiring wallet public key' };
+    }
+    
+    const check = statement.verify(oldPublicKey);
+    if (!check.valid) {
+      return check;
+    }
+    
+    const knownKey = this.publicKeyDirectory.get(statement.newWalletId);
+    if (knownKey && knownKey !== statement.newPublicKey) {
+      return { valid: false, reason: 'new wallet ID is already registered with a different key' };
+    }
+    
+    this.publicKeyDirectory.set(statement.newWalletId, statement.newPublicKey);
+    this.keyRotations.set(statement.oldWalletId, statement.toJSON());
+    return { valid: true };
+  }
+
+  // Whether a wallet's key has been retired
+  isWalletRotated(walletId) {
+    return this.keyRotations.has(walletId);
+  }
+
   // Check if a wallet is banned
   isWalletBanned(walletId) {
     return this.bannedWallets.has(walletId);
@@ -178,10 +296,15 @@ class Agent {
   }
 
   // Get the public key for a wallet
-  async getPublicKeyForWallet(walletId) {
+  async getPublicKeyForWallet(walletId, algorithm = null) {
+    // Wallets may use different key algorithms; when the caller expects one
+    // (e.g. the algorithm declared in an envelope), a key of another type is no match
+    const matches = publicKey => !algorithm || detectKeyAlgorithm(publicKey) === algorithm;
+    
     // First check local directory
     if (this.publicKeyDirectory.has(walletId)) {
-      return this.publicKeyDirectory.get(walletId);
+      const publicKey = this.publicKeyDirectory.get(walletId);
+      return matches(publicKey) ? publicKey : null;
     }
     
     // In a production environment, this would query a distributed directory service
@@ -209,7 +332,7 @@ class Agent {
       // For now, we'll check if the wallet is our own (for compatibility)
       if (this.wallet.getId() === walletId) {
         this.publicKeyDirectory.set(walletId, this.wallet.publicKey);
-        return this.wallet.publicKey;
+        return matches(this.wallet.publicKey) ? this.wallet.publicKey : null;
       }
       
       return null;
@@ -267,200 +390,375 @@ class Agent {
     return this.reputation.score;
   }
 
-  // Validate a coin transfer as a witness
+  // Validate a coin transfer as a witness and sign the verdict
   async validateTransfer(transfer) {
+    const result = await this._evaluateTransfer(transfer);
+    return this._attest(this._readEnvelope(transfer, TransferEnvelope), result);
+  }
+
+  // Validate a multi-coin batch as a witness and sign one verdict for all of it
+  async validateBatch(batch) {
+    const result = await this._evaluateBatch(batch);
+    return this._attest(this._readEnvelope(batch, BatchEnvelope), result);
+  }
+
+  // Validate both legs of an atomic swap as a witness and sign one verdict for the swap
+  async validateSwap(swap) {
+    const result = await this._evaluateSwap(swap);
+    return this._attest(this._readEnvelope(swap, SwapEnvelope), result);
+  }
+
+  // Validate a split or merge as a witness and sign the verdict
+  async validateOperation(operation) {
+    const result = await this._evaluateOperation(operation);
+    return this._attest(this._readEnvelope(operation, OperationEnvelope), result);
+  }
+
+  // Validate an issuer's freeze, unfreeze or revoke request and sign the verdict
+  async validateStatusChange(change) {
+    const result = await this._evaluateStatusChange(change);
+    return this._attest(this._readEnvelope(change, StatusEnvelope), result);
+  }
+
+  // Check a proposed history checkpoint for a coin and sign the verdict
+  async validateCheckpoint(request) {
+    const result = await this._evaluateCheckpoint(request);
+    return this._attest(this._readEnvelope(request, Checkpoint), result);
+  }
+
+  // Learn a quorum-approved status decision, so the coin is refused here
+  // whichever copy of it is presented, and add it to the audit trail.
+  // Decisions without a valid certificate for the envelope are ignored.
+  recordStatusChange(envelope, certificate) {
+    if (!certificate || certificate.txId !== envelope.getId() ||
+        !this.verifyQuorumCertificate(certificate, this.witnessThreshold).valid) {
+      return null;
+    }
+    
+    const decision = {
+      txId: envelope.getId(),
+      coinId: envelope.coinId,
+      action: envelope.action,
+      status: envelope.getResultingStatus(),
+      issuerId: envelope.issuerId,
+      reason: envelope.reason,
+      witnesses: certificate.getWitnessIds(),
+      requestedAt: envelope.timestamp,
+      decidedAt: certificate.issuedAt
+    };
+    
+    this.coinStatuses.set(decision.coinId, decision);
+    this.statusAudit.push(decision);
+    return decision;
+  }
+
+  // Latest issuer decision on a coin, or null
+  getCoinStatus(coinId) {
+    return this.coinStatuses.get(coinId) || null;
+  }
+
+  // Issuer decisions in the order they were made, optionally for one coin
+  getStatusAudit(coinId = null) {
+    return this.statusAudit.filter(decision => !coinId || decision.coinId === coinId);
+  }
+
+  // Sign a verdict with this witness's wallet key so the network can bundle
+  // approvals into a quorum certificate. Unparseable envelopes get no attestation.
+  _attest(envelope, result) {
+    if (!envelope) {
+      return result;
+    }
+
+    result.attestation = WitnessAttestation.create(
+      this.wallet,
+      envelope,
+      result.valid ? 'valid' : 'invalid',
+      result.reason || null
+    );
+    return result;
+  }
+
+  // Rebuild the signed envelope carried by a transaction, or null if malformed
+  _readEnvelope(transaction, EnvelopeType) {
+    if (!transaction || !transaction.envelope) {
+      return null;
+    }
+
+    try {
+      const data = typeof transaction.envelope.toJSON === 'function'
+        ? transaction.envelope.toJSON()
+        : transaction.envelope;
+      return EnvelopeType.fromJSON(data);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Check a quorum certificate against the witness keys this agent knows
+  verifyQuorumCertificate(certificate, threshold = null) {
+    return certificate.verify(this.publicKeyDirectory, threshold ? { threshold } : {});
+  }
+
+  // Run every witness check on a transfer
+  async _evaluateTransfer(transfer) {
     this.stats.validationsPerformed++;
     let validationSuccessful = false;
     
     try {
-      const { coin, signature, sender, recipient, timestamp, value } = transfer;
+      const { coin, signature, sender, recipient } = transfer;
       
       // Basic validation
-      if (!coin || !signature || !sender || !recipient) {
+      if (!coin || !signature || !sender || !recipient || !transfer.envelope) {
         return {
           valid: false, 
           reason: 'missing required transfer data'
         };
       }
       
-      // 0. Check if the sender is banned
-      if (this.isWalletBanned(sender)) {
+      // Rebuild the signed envelope and make sure it agrees with the transfer
+      const envelope = this._readEnvelope(transfer, TransferEnvelope);
+      if (!envelope) {
         return {
           valid: false,
-          reason: 'sender wallet is banned due to suspicious activity'
+          reason: 'malformed transfer envelope'
         };
       }
       
-      // 1. Verify coin integrity
-      if (!coin.verifyIntegrity()) {
-        this.recordValidationFailure(sender);
+      if (envelope.sender !== sender || envelope.recipient !== recipient) {
         return {
           valid: false,
-          reason: 'coin integrity check failed'
+          reason: 'transfer parties do not match the signed envelope'
         };
       }
       
-      // 2. Check coin status
-      if (coin.status !== 'active') {
-        this.recordValidationFailure(sender);
+      if (this.networkId && envelope.networkId !== this.networkId) {
         return {
           valid: false,
-          reason: `coin status is ${coin.status}, not active`
+          reason: `envelope is for network ${envelope.networkId}, not ${this.networkId}`
         };
       }
       
-      // 3. Zero balance check
-      if (coin.value <= 0) {
-        this.stats.zeroBalancePrevented++;
-        this.recordValidationFailure(sender);
+      // 0. Check if the sender is banned
+      if (this.isWalletBanned(sender)) {
         return {
           valid: false,
-          reason: 'zero or negative value coin detected'
+          reason: 'sender wallet is banned due to suspicious activity'
         };
       }
       
-      // 4. Ensure the coin value hasn't been inflated - compare with our last known value
-      if (this.validatedValues.has(coin.id)) {
-        const lastKnownValue = this.validatedValues.get(coin.id);
-        if (coin.value > lastKnownValue) {
+      // 0b. A rotated key may only hand its coins to its successor
+      const rotationFailure = this._checkRotation(sender, recipient);
+      if (rotationFailure) {
+        return rotationFailure;
+      }
+      
+      // 1-6. Integrity, provenance, status, value, double-spend and expiry checks, plus time and hash locks
+      const coinFailure = this._checkCoin(coin, sender, { preimage: envelope.preimage });
+      if (coinFailure) {
+        return coinFailure;
+      }
+      
+      // 6b. Conditions the sender attaches for the recipient must be well formed
+      if (envelope.conditions) {
+        const conditionCheck = validateConditions(envelope.conditions);
+        if (!conditionCheck.valid) {
           this.recordValidationFailure(sender);
           return {
             valid: false,
-            reason: `coin value has been inflated from ${lastKnownValue} to ${coin.value}`
+            reason: `invalid spend conditions: ${conditionCheck.reason}`
           };
         }
       }
       
-      // 5. Double-spend check with Bloom filter
-      if (this.seenCoins.has(coin.id)) {
-        // Double check in our exact cache for confirmation and details
-        if (this.recentTransactionCache.has(coin.id)) {
-          const previous = this.recentTransactionCache.get(coin.id);
-          
-          this.stats.doubleSpendsPrevented++;
-          this.recordValidationFailure(sender);
-          
-          // Update reputation - catching double-spends is important, so higher importance
-          this.updateReputation(true, 2);
-          
-          return {
-            valid: false, 
-            reason: `confirmed double-spend detected (previous transfer: ${new Date(previous.timestamp).toISOString()})`,
-            previousTimestamp: previous.timestamp
-          };
-        }
-        
-        // Still reject if in Bloom filter but not in cache (older transaction)
-        this.stats.doubleSpendsPrevented++;
+      // 7. Check the envelope was signed over this exact coin state and owner
+      const coinMatch = envelope.matchesCoin(coin);
+      if (!coinMatch.valid) {
         this.recordValidationFailure(sender);
+        return {
+          valid: false,
+          reason: coinMatch.reason
+        };
+      }
+      
+      // 8. Use the envelope id (which covers the nonce) to prevent replay attacks
+      const txHash = envelope.getId();
         
-        // Update reputation
-        this.updateReputation(true, 1.5);
-        
+      if (this.recentTransactionCache.has(txHash)) {
+        this.recordValidationFailure(sender);
         return {
-          valid: false, 
-          reason: 'possible double-spend detected'
+          valid: false,
+          reason: 'transaction replay detected'
+        };
+      }
+      
+      // 9. Verify signature with sender's public key
+      const signatureFailure = await this._checkSignature(sender, envelope.serialize(), signature, envelope.algorithm);
+      if (signatureFailure) {
+        return signatureFailure;
+      }
+      
+      // 9b. A transfer paying an invoice must match the recipient's signed request
+      const paymentCheck = this._checkPaymentRequest(transfer, envelope, coin.value);
+      if (paymentCheck.failure) {
+        return paymentCheck.failure;
+      }
+      
+      // 10. All checks passed, mark this coin state as spent
+      this._recordSpend(coin, txHash, { sender, recipient });
+      
+      // 11. Prune cache if needed
+      this._pruneCache();
+      
+      // 12. Reset validation failures for this wallet on successful validation
+      this.resetValidationFailures(sender);
+      
+      // Update reputation for successful validation
+      validationSuccessful = true;
+      this.updateReputation(true, 1);
+      
+      return { 
+        valid: true,
+        witnessId: this.wallet.getId(),
+        timestamp: Date.now(),
+        reputationScore: this.reputation.score,
+        payment: paymentCheck.payment
+      };
+    } catch (error) {
+      console.error(`Validation error: ${error.message}`);
+      
+      // Update reputation for failed validation (system error, not fraud, so less severe)
+      if (!validationSuccessful) {
+        this.updateReputation(false, 0.5);
+      }
+      
+      return {
+        valid: false,
+        reason: `validation error: ${error.message}`
+      };
+    }
+  }
+
+  // Run every witness check on a batch. The batch is judged as a unit: one bad
+  // coin rejects all of them, and nothing is marked spent unless every coin passes.
+  async _evaluateBatch(batch) {
+    this.stats.validationsPerformed++;
+    let validationSuccessful = false;
+    
+    try {
+      const { coins, signature, sender, recipient } = batch;
+      
+      if (!Array.isArray(coins) || coins.length === 0 || !signature || !sender || !recipient || !batch.envelope) {
+        return {
+          valid: false,
+          reason: 'missing required batch data'
         };
       }
       
-      // 6. Verify coin hasn't expired
-      if (coin.expiryDate && Date.now() > coin.expiryDate) {
+      const envelope = this._readEnvelope(batch, BatchEnvelope);
+      if (!envelope) {
         return {
           valid: false,
-          reason: 'coin has expired'
+          reason: 'malformed batch envelope'
         };
       }
       
-      // 7. Generate transaction hash to prevent replay attacks
-      const txHash = crypto.createHash('sha256')
-        .update(`${coin.id}-${sender}-${recipient}-${signature}-${timestamp}-${coin.value}`)
-        .digest('hex');
-        
-      if (this.recentTransactionCache.has(txHash)) {
+      if (envelope.sender !== sender || envelope.recipient !== recipient) {
+        return {
+          valid: false,
+          reason: 'batch parties do not match the signed envelope'
+        };
+      }
+      
+      if (this.networkId && envelope.networkId !== this.networkId) {
+        return {
+          valid: false,
+          reason: `envelope is for network ${envelope.networkId}, not ${this.networkId}`
+        };
+      }
+      
+      // 0. Check if the sender is banned
+      if (this.isWalletBanned(sender)) {
+        return {
+          valid: false,
+          reason: 'sender wallet is banned due to suspicious activity'
+        };
+      }
+      
+      // 0b. A rotated key may only hand its coins to its successor
+      const rotationFailure = this._checkRotation(sender, recipient);
+      if (rotationFailure) {
+        return rotationFailure;
+      }
+      
+      // 1. Each coin appears once with a positive value
+      const coinCheck = envelope.checkCoins();
+      if (!coinCheck.valid) {
         this.recordValidationFailure(sender);
         return {
           valid: false,
-          reason: 'transaction replay detected'
+          reason: coinCheck.reason
         };
       }
       
-      // 8. Verify signature with sender's public key
-      try {
-        // Get sender's public key
-        const senderPublicKey = await this.getPublicKeyForWallet(sender);
-        
-        if (!senderPublicKey) {
-          return {
-            valid: false,
-            reason: 'unable to retrieve sender public key'
-          };
-        }
-        
-        // Real implementation of signature verification
-        const signatureValid = this.wallet.verifySignature(
-          coin.getSignatureData(recipient, timestamp),
-          signature,
-          senderPublicKey
-        );
-        
-        if (!signatureValid) {
-          this.stats.invalidSignatures++;
-          this.recordValidationFailure(sender);
-          return {
-            valid: false,
-            reason: 'invalid signature'
-          };
-        }
-        
-        this.stats.validSignatures++;
-      } catch (err) {
-        this.stats.invalidSignatures++;
+      // 2. The coins must be exactly the signed ones
+      const coinMatch = envelope.matchesCoins(coins);
+      if (!coinMatch.valid) {
         this.recordValidationFailure(sender);
         return {
           valid: false,
-          reason: `signature verification error: ${err.message}`
+          reason: coinMatch.reason
         };
       }
       
-      // 9. All checks passed, add to seen coins and recent transactions
-      this.seenCoins.add(coin.id);
+      // 3. Every coin must be spendable
+      for (const coin of coins) {
+        const coinFailure = this._checkCoin(coin, sender);
+        if (coinFailure) {
+          return { ...coinFailure, reason: `coin ${coin.id}: ${coinFailure.reason}` };
+        }
+      }
       
-      this.recentTransactionCache.set(coin.id, {
-        timestamp: Date.now(),
-        hash: txHash,
-        sender,
-        recipient,
-        value: coin.value
-      });
+      // 4. Replay protection
+      const txHash = envelope.getId();
+      if (this.recentTransactionCache.has(txHash)) {
+        this.recordValidationFailure(sender);
+        return {
+          valid: false,
+          reason: 'transaction replay detected'
+        };
+      }
       
-      this.recentTransactionCache.set(txHash, {
-        timestamp: Date.now(),
-        coinId: coin.id
-      });
+      // 5. Verify the sender's signature over the whole batch
+      const signatureFailure = await this._checkSignature(sender, envelope.serialize(), signature, envelope.algorithm);
+      if (signatureFailure) {
+        return signatureFailure;
+      }
+      
+      // 5b. A batch paying an invoice must match the recipient's signed request
+      const paymentCheck = this._checkPaymentRequest(batch, envelope, envelope.getTotalValue());
+      if (paymentCheck.failure) {
+        return paymentCheck.failure;
+      }
       
-      // Track this value for future inflation checks
-      this.validatedValues.set(coin.id, coin.value);
+      // 6. All checks passed - mark every coin state as spent
+      coins.forEach(coin => this._recordSpend(coin, txHash, { sender, recipient }));
       
-      // 10. Prune cache if needed
       this._pruneCache();
-      
-      // 11. Reset validation failures for this wallet on successful validation
       this.resetValidationFailures(sender);
       
-      // Update reputation for successful validation
       validationSuccessful = true;
       this.updateReputation(true, 1);
       
-      return { 
+      return {
         valid: true,
         witnessId: this.wallet.getId(),
         timestamp: Date.now(),
-        reputationScore: this.reputation.score
+        reputationScore: this.reputation.score,
+        payment: paymentCheck.payment
       };
     } catch (error) {
       console.error(`Validation error: ${error.message}`);
       
-      // Update reputation for failed validation (system error, not fraud, so less severe)
       if (!validationSuccessful) {
         this.updateReputation(false, 0.5);
       }
@@ -472,6 +770,863 @@ class Agent {
     }
   }
 
+  // Run every witness check on a swap. Both parties must have signed the same
+  // envelope and every coin on both legs must pass, or nothing is marked spent.
+  async _evaluateSwap(swap) {
+    this.stats.validationsPerformed++;
+    let validationSuccessful = false;
+    
+    try {
+      const { coins, signatures } = swap;
+      
+      if (!Array.isArray(coins) || coins.length === 0 || !signatures || !swap.envelope) {
+        return {
+          valid: false,
+          reason: 'missing required swap data'
+        };
+      }
+      
+      const envelope = this._readEnvelope(swap, SwapEnvelope);
+      if (!envelope) {
+        return {
+          valid: false,
+          reason: 'malformed swap envelope'
+        };
+      }
+      
+      if (this.networkId && envelope.networkId !== this.networkId) {
+        return {
+          valid: false,
+          reason: `envelope is for network ${envelope.networkId}, not ${this.networkId}`
+        };
+      }
+      
+      // 1. Two legs between two parties, each coin once
+      const legCheck = envelope.checkLegs();
+      if (!legCheck.valid) {
+        return {
+          valid: false,
+          reason: legCheck.reason
+        };
+      }
+      
+      const parties = envelope.getParties();
+      
+      // Each party's signature is checked under the key algorithm its leg declares
+      const undeclared = envelope.version >= 2 ? parties.find(party => !envelope.getAlgorithm(party)) : null;
+      if (undeclared) {
+        return {
+          valid: false,
+          reason: `swap does not declare the key algorithm of ${undeclared}`
+        };
+      }
+      
+      // 2. Neither party may be banned, and a rotated key may only pay its successor
+      for (const party of parties) {
+        if (this.isWalletBanned(party)) {
+          return {
+            valid: false,
+            reason: `party ${party} is banned due to suspicious activity`
+          };
+        }
+        
+        const rotationFailure = this._checkRotation(party, envelope.getLeg(party).recipient);
+        if (rotationFailure) {
+          return rotationFailure;
+        }
+      }
+      
+      // 3. The coins must be exactly the signed ones, held by the party giving them
+      const coinMatch = envelope.matchesCoins(coins);
+      if (!coinMatch.valid) {
+        parties.forEach(party => this.recordValidationFailure(party));
+        return {
+          valid: false,
+          reason: coinMatch.reason
+        };
+      }
+      
+      // 4. Every coin on both legs must be spendable
+      for (const coin of coins) {
+        const coinFailure = this._checkCoin(coin, coin.ownerId);
+        if (coinFailure) {
+          return { ...coinFailure, reason: `coin ${coin.id}: ${coinFailure.reason}` };
+        }
+      }
+      
+      // 5. Replay protection
+      const txHash = envelope.getId();
+      if (this.recentTransactionCache.has(txHash)) {
+        return {
+          valid: false,
+          reason: 'transaction replay detected'
+        };
+      }
+      
+      // 6. Both parties must have signed the whole swap
+      for (const party of parties) {
+        const signatureFailure = await this._checkSignature(party, envelope.serialize(), signatures[party], envelope.getAlgorithm(party));
+        if (signatureFailure) {
+          return { ...signatureFailure, reason: `${party}: ${signatureFailure.reason}` };
+        }
+      }
+      
+      // 7. All checks passed - mark every coin state on both legs as spent
+      coins.forEach(coin => {
+        const { sender, recipient } = envelope.findCoin(coin.id);
+        this._recordSpend(coin, txHash, { sender, recipient });
+      });
+      
+      this._pruneCache();
+      parties.forEach(party => this.resetValidationFailures(party));
+      
+      validationSuccessful = true;
+      this.updateReputation(true, 1);
+      
+      return {
+        valid: true,
+        witnessId: this.wallet.getId(),
+        timestamp: Date.now(),
+        reputationScore: this.reputation.score
+      };
+    } catch (error) {
+      console.error(`Validation error: ${error.message}`);
+      
+      if (!validationSuccessful) {
+        this.updateReputation(false, 0.5);
+      }
+      
+      return {
+        valid: false,
+        reason: `validation error: ${error.message}`
+      };
+    }
+  }
+
+  // Run every witness check on a split or merge
+  async _evaluateOperation(operation) {
+    this.stats.validationsPerformed++;
+    let validationSuccessful = false;
+    
+    try {
+      const { coins, signature } = operation;
+      
+      if (!Array.isArray(coins) || coins.length === 0 || !signature || !operation.envelope) {
+        return {
+          valid: false,
+          reason: 'missing required operation data'
+        };
+      }
+      
+      const envelope = this._readEnvelope(operation, OperationEnvelope);
+      if (!envelope) {
+        return {
+          valid: false,
+          reason: 'malformed operation envelope'
+        };
+      }
+      
+      const owner = envelope.owner;
+      
+      if (this.networkId && envelope.networkId !== this.networkId) {
+        return {
+          valid: false,
+          reason: `envelope is for network ${envelope.networkId}, not ${this.networkId}`
+        };
+      }
+      
+      // 0. Check if the owner is banned
+      if (this.isWalletBanned(owner)) {
+        return {
+          valid: false,
+          reason: 'owner wallet is banned due to suspicious activity'
+        };
+      }
+      
+      // 0b. A rotated key can no longer split or merge
+      const rotationFailure = this._checkRotation(owner, null);
+      if (rotationFailure) {
+        return rotationFailure;
+      }
+      
+      // 1. Value must be conserved: parent = children, merged = sum of inputs
+      const conservation = envelope.checkConservation();
+      if (!conservation.valid) {
+        this.recordValidationFailure(owner);
+        return {
+          valid: false,
+          reason: conservation.reason
+        };
+      }
+      
+      // 2. The coins must be exactly the signed inputs
+      const inputMatch = envelope.matchesCoins(coins);
+      if (!inputMatch.valid) {
+        this.recordValidationFailure(owner);
+        return {
+          valid: false,
+          reason: inputMatch.reason
+        };
+      }
+      
+      // 2b. Inputs must all be of one asset, and outputs in units that asset allows
+      if (new Set(coins.map(coin => coin.asset || null)).size > 1) {
+        this.recordValidationFailure(owner);
+        return {
+          valid: false,
+          reason: 'cannot merge coins of different assets'
+        };
+      }
+      
+      const asset = coins[0].asset ? this.assets.get(coins[0].asset) : null;
+      for (const value of envelope.outputs) {
+        const unit = checkAssetValue(asset, value);
+        if (!unit.valid) {
+          this.recordValidationFailure(owner);
+          return {
+            valid: false,
+            reason: unit.reason
+          };
+        }
+      }
+      
+      // 2c. A renewal must carry the coin's own terms and stay within its original term
+      if (envelope.type === 'renew') {
+        const renewalFailure = this._checkRenewal(envelope, coins[0]);
+        if (renewalFailure) {
+          this.recordValidationFailure(owner);
+          return renewalFailure;
+        }
+      }
+      
+      // 3. Every input must be spendable (renewals also during the grace period)
+      for (const coin of coins) {
+        const coinFailure = this._checkCoin(coin, owner, null, envelope.type === 'renew');
+        if (coinFailure) {
+          return coinFailure;
+        }
+      }
+      
+      // 4. Replay protection
+      const txHash = envelope.getId();
+      if (this.recentTransactionCache.has(txHash)) {
+        this.recordValidationFailure(owner);
+        return {
+          valid: false,
+          reason: 'transaction replay detected'
+        };
+      }
+      
+      // 5. Verify the owner's signature
+      const signatureFailure = await this._checkSignature(owner, envelope.serialize(), signature, envelope.algorithm);
+      if (signatureFailure) {
+        return signatureFailure;
+      }
+      
+      // 6. All checks passed - the inputs are consumed for good
+      coins.forEach(coin => this._recordSpend(coin, txHash, { sender: owner, operation: envelope.type }, true));
+      
+      this._pruneCache();
+      this.resetValidationFailures(owner);
+      
+      validationSuccessful = true;
+      this.updateReputation(true, 1);
+      
+      return {
+        valid: true,
+        witnessId: this.wallet.getId(),
+        timestamp: Date.now(),
+        reputationScore: this.reputation.score
+      };
+    } catch (error) {
+      console.error(`Validation error: ${error.message}`);
+      
+      if (!validationSuccessful) {
+        this.updateReputation(false, 0.5);
+      }
+      
+      return {
+        valid: false,
+        reason: `validation error: ${error.message}`
+      };
+    }
+  }
+
+  // Run every witness check on an issuer's freeze, unfreeze or revoke request
+  async _evaluateStatusChange(change) {
+    this.stats.validationsPerformed++;
+    let validationSuccessful = false;
+    
+    try {
+      const { coin, signature } = change;
+      
+      if (!coin || !signature || !change.envelope) {
+        return {
+          valid: false,
+          reason: 'missing required status change data'
+        };
+      }
+      
+      const envelope = this._readEnvelope(change, StatusEnvelope);
+      if (!envelope) {
+        return {
+          valid: false,
+          reason: 'malformed status envelope'
+        };
+      }
+      
+      if (this.networkId && envelope.networkId !== this.networkId) {
+        return {
+          valid: false,
+          reason: `envelope is for network ${envelope.networkId}, not ${this.networkId}`
+        };
+      }
+      
+      // 1. Only a recognised issuer of this coin may decide its status
+      const issuer = this.issuers.get(envelope.issuerId);
+      if (!issuer) {
+        return {
+          valid: false,
+          reason: `unknown issuer ${envelope.issuerId}`
+        };
+      }
+      
+      if (!(coin.genesis || []).some(record => record.issuerId === envelope.issuerId)) {
+        return {
+          valid: false,
+          reason: `${envelope.issuerId} did not issue this coin`
+        };
+      }
+      
+      // 2. The request must describe the coin as it is now, and the action must be allowed
+      const match = envelope.matchesCoin(coin);
+      if (!match.valid) {
+        return {
+          valid: false,
+          reason: match.reason
+        };
+      }
+      
+      const transition = envelope.checkTransition(coin.status);
+      if (!transition.valid) {
+        return {
+          valid: false,
+          reason: transition.reason
+        };
+      }
+      
+      // 3. The coin itself must be genuine
+      if (!coin.verifyIntegrity()) {
+        return {
+          valid: false,
+          reason: 'coin integrity check failed'
+        };
+      }
+      
+      const provenance = coin.verifyProvenance(this.publicKeyDirectory, {
+        witnessThreshold: this.witnessThreshold,
+        issuers: this.issuers
+      });
+      if (!provenance.valid) {
+        return {
+          valid: false,
+          reason: `coin provenance broken at entry ${provenance.index}: ${provenance.reason}`
+        };
+      }
+      
+      const genesis = coin.verifyGenesis(this.issuers);
+      if (!genesis.valid) {
+        return {
+          valid: false,
+          reason: `coin genesis rejected: ${genesis.reason}`
+        };
+      }
+      
+      // 4. Replay protection
+      const txHash = envelope.getId();
+      if (this.recentTransactionCache.has(txHash)) {
+        return {
+          valid: false,
+          reason: 'transaction replay detected'
+        };
+      }
+      
+      // 5. Verify the issuer's signature
+      if (!verifyData(envelope.serialize(), signature, issuer.publicKey, envelope.algorithm)) {
+        return {
+          valid: false,
+          reason: `invalid issuer signature from ${envelope.issuerId}`
+        };
+      }
+      
+      // 6. All checks passed
+      this.recentTransactionCache.set(txHash, {
+        timestamp: Date.now(),
+        coinId: coin.id,
+        action: envelope.action
+      });
+      this._pruneCache();
+      
+      validationSuccessful = true;
+      this.updateReputation(true, 1);
+      
+      return {
+        valid: true,
+        witnessId: this.wallet.getId(),
+        timestamp: Date.now(),
+        reputationScore: this.reputation.score
+      };
+    } catch (error) {
+      console.error(`Validation error: ${error.message}`);
+      
+      if (!validationSuccessful) {
+        this.updateReputation(false, 0.5);
+      }
+      
+      return {
+        valid: false,
+        reason: `validation error: ${error.message}`
+      };
+    }
+  }
+
+  // Run every witness check on a history checkpoint: the coin's full history
+  // must verify, and the checkpoint must summarize exactly that history and the
+  // current state, so certifying it lets holders drop the entries safely
+  async _evaluateCheckpoint(request) {
+    this.stats.validationsPerformed++;
+    let validationSuccessful = false;
+    
+    try {
+      const { coin } = request;
+      
+      if (!coin || !request.envelope) {
+        return {
+          valid: false,
+          reason: 'missing required checkpoint data'
+        };
+      }
+      
+      const checkpoint = this._readEnvelope(request, Checkpoint);
+      if (!checkpoint) {
+        return {
+          valid: false,
+          reason: 'malformed checkpoint'
+        };
+      }
+      
+      if (this.networkId && checkpoint.networkId !== this.networkId) {
+        return {
+          valid: false,
+          reason: `checkpoint is for network ${checkpoint.networkId}, not ${this.networkId}`
+        };
+      }
+      
+      // 1. There must be history to compact
+      if (coin.history.length === 0) {
+        return {
+          valid: false,
+          reason: 'coin has no history to compact'
+        };
+      }
+      
+      // 2. The coin must be genuine, with an unbroken history
+      if (!coin.verifyIntegrity()) {
+        return {
+          valid: false,
+          reason: 'coin integrity check failed'
+        };
+      }
+      
+      const provenance = coin.verifyProvenance(this.publicKeyDirectory, {
+        witnessThreshold: this.witnessThreshold,
+        issuers: this.issuers
+      });
+      if (!provenance.valid) {
+        return {
+          valid: false,
+          reason: `coin provenance broken at entry ${provenance.index}: ${provenance.reason}`
+        };
+      }
+      
+      const genesis = coin.verifyGenesis(this.issuers);
+      if (!genesis.valid) {
+        return {
+          valid: false,
+          reason: `coin genesis rejected: ${genesis.reason}`
+        };
+      }
+      
+      // 3. Only the latest state of a coin can be checkpointed
+      const previous = this.recentTransactionCache.get(coin.id);
+      if (previous && (previous.consumed || previous.sequence >= coin.getSequence())) {
+        return {
+          valid: false,
+          reason: 'a later state of this coin has already been seen'
+        };
+      }
+      
+      // 4. The checkpoint must describe the coin and the history it replaces
+      const match = checkpoint.matchesCoin(coin);
+      if (!match.valid) {
+        return {
+          valid: false,
+          reason: match.reason
+        };
+      }
+      
+      validationSuccessful = true;
+      this.updateReputation(true, 0.5);
+      
+      return {
+        valid: true,
+        witnessId: this.wallet.getId(),
+        timestamp: Date.now(),
+        reputationScore: this.reputation.score
+      };
+    } catch (error) {
+      console.error(`Validation error: ${error.message}`);
+      
+      if (!validationSuccessful) {
+        this.updateReputation(false, 0.5);
+      }
+      
+      return {
+        valid: false,
+        reason: `validation error: ${error.message}`
+      };
+    }
+  }
+
+  // Check a renewal against the coin it renews. Returns a failed validation
+  // result, or null if the renewal may go ahead.
+  _checkRenewal(envelope, coin) {
+    const { expiryDate, since, demurrage } = envelope.renewal;
+    
+    if (!coin.expiryDate) {
+      return { valid: false, reason: 'coin has no expiry date to renew' };
+    }
+    
+    // The timestamp sets the demurrage charged, so it must be current
+    if (Math.abs(this.clock() - envelope.timestamp) > MAX_RENEWAL_SKEW) {
+      return { valid: false, reason: 'renewal timestamp is too far from the current time' };
+    }
+    
+    if (since !== coin.created || canonicalHash(demurrage || null) !== canonicalHash(coin.getDemurrage())) {
+      return { valid: false, reason: 'renewal does not carry the coin\'s issue time and demurrage terms' };
+    }
+    
+    if (expiryDate - envelope.timestamp > coin.expiryDate - coin.created) {
+      return { valid: false, reason: 'renewal cannot extend the coin beyond its original term' };
+    }
+    
+    return null;
+  }
+
+  // Refuse spends by a rotated wallet unless they move coins to its successor.
+  // Returns a failed validation result, or null if the spend is allowed.
+  _checkRotation(sender, recipient) {
+    const rotation = this.keyRotations.get(sender);
+    if (!rotation || recipient === rotation.newWalletId) {
+      return null;
+    }
+    
+    this.recordValidationFailure(sender);
+    return {
+      valid: false,
+      reason: `sender key was rotated to ${rotation.newWalletId}; its coins may only move there`
+    };
+  }
+
+  // Match a transfer against the payment request its envelope references.
+  // Returns { failure } when the attached request is forged or doesn't fit the
+  // transfer, otherwise { payment } flagging how the amount compares (null when
+  // the transfer pays no request, unverified when the request wasn't attached).
+  _checkPaymentRequest(transaction, envelope, value) {
+    if (!envelope.reference) {
+      return transaction.paymentRequest
+        ? { failure: { valid: false, reason: 'payment request attached but not referenced by the signed envelope' } }
+        : { payment: null };
+    }
+    
+    if (!transaction.paymentRequest) {
+      return { payment: { requestId: envelope.reference, status: 'unverified', paid: value } };
+    }
+    
+    let request;
+    try {
+      request = PaymentRequest.fromJSON(transaction.paymentRequest);
+    } catch (err) {
+      return { failure: { valid: false, reason: `malformed payment request: ${err.message}` } };
+    }
+    
+    if (request.getId() !== envelope.reference) {
+      return { failure: { valid: false, reason: 'payment request does not match the envelope reference' } };
+    }
+    
+    if (request.recipient !== envelope.recipient) {
+      return { failure: { valid: false, reason: 'transfer recipient is not the payment request recipient' } };
+    }
+    
+    // Late payments still settle; they are flagged rather than refused
+    const check = request.verify({ networkId: this.networkId, allowExpired: true });
+    if (!check.valid) {
+      this.recordValidationFailure(envelope.sender);
+      return { failure: { valid: false, reason: check.reason } };
+    }
+    
+    return {
+      payment: {
+        requestId: request.getId(),
+        status: request.settlementFor(value),
+        requested: request.amount,
+        paid: value,
+        late: request.isExpired(envelope.timestamp)
+      }
+    };
+  }
+
+  // Checks every coin must pass before it can be spent, split or merged.
+  // Returns a failed validation result, or null if the coin is fine.
+  // spend carries the preimage of a single transfer; batches, splits and merges
+  // pass none, so coins with spend conditions cannot move that way.
+  // renewal accepts an expired coin still within the renewal grace period.
+  _checkCoin(coin, sender, spend = null, renewal = false) {
+    // 1. Verify coin integrity
+    if (!coin.verifyIntegrity()) {
+      this.recordValidationFailure(sender);
+      return {
+        valid: false,
+        reason: 'coin integrity check failed'
+      };
+    }
+    
+    // 1b. Verify the whole chain of custody, not just the latest hop
+    const provenance = coin.verifyProvenance(this.publicKeyDirectory, {
+      witnessThreshold: this.witnessThreshold,
+      issuers: this.issuers
+    });
+    if (!provenance.valid) {
+      this.recordValidationFailure(sender);
+      return {
+        valid: false,
+        reason: `coin provenance broken at entry ${provenance.index}: ${provenance.reason}`
+      };
+    }
+    
+    // 1c. The coin's value must come from a recognised issuer
+    const genesis = coin.verifyGenesis(this.issuers);
+    if (!genesis.valid) {
+      this.recordValidationFailure(sender);
+      return {
+        valid: false,
+        reason: `coin genesis rejected: ${genesis.reason}`
+      };
+    }
+    
+    // 1d. Coins of other assets must be of a registered one, minted by its issuer
+    if (coin.asset) {
+      const asset = this.assets.get(coin.asset);
+      if (!asset) {
+        this.recordValidationFailure(sender);
+        return {
+          valid: false,
+          reason: `unknown asset ${coin.asset}`
+        };
+      }
+      if (coin.genesis.some(record => record.issuerId !== asset.issuer)) {
+        this.recordValidationFailure(sender);
+        return {
+          valid: false,
+          reason: `coin of asset ${coin.asset} was not minted by its issuer`
+        };
+      }
+    }
+    
+    // 2. Check coin status
+    if (coin.status !== 'active') {
+      this.recordValidationFailure(sender);
+      return {
+        valid: false,
+        reason: `coin status is ${coin.status}, not active`
+      };
+    }
+    
+    // 2b. An issuer decision applies to every copy of the coin, including ones
+    // presented from before it. Holding a frozen coin is not held against the sender.
+    const decision = this.coinStatuses.get(coin.id);
+    if (decision && decision.status !== 'active') {
+      return {
+        valid: false,
+        reason: `coin was ${decision.status} by issuer ${decision.issuerId}: ${decision.reason}`
+      };
+    }
+    
+    // 3. Zero balance check
+    if (coin.value <= 0) {
+      this.stats.zeroBalancePrevented++;
+      this.recordValidationFailure(sender);
+      return {
+        valid: false,
+        reason: 'zero or negative value coin detected'
+      };
+    }
+    
+    // 4. Ensure the coin value hasn't been inflated - compare with our last known value
+    if (this.validatedValues.has(coin.id)) {
+      const lastKnownValue = this.validatedValues.get(coin.id);
+      if (coin.value > lastKnownValue) {
+        this.recordValidationFailure(sender);
+        return {
+          valid: false,
+          reason: `coin value has been inflated from ${lastKnownValue} to ${coin.value}`
+        };
+      }
+    }
+    
+    // 5. Double-spend check with Bloom filter. A bare coin ID means the coin was
+    // consumed by a split or merge; a spend key means this exact state was spent.
+    // The exact cache also catches stale copies of a coin we saw move on.
+    const previous = this.recentTransactionCache.get(coin.id);
+    const staleCopy = Boolean(previous) && coin.getSequence() <= previous.sequence;
+    
+    if (this.seenCoins.has(coin.id) || this.seenCoins.has(coin.getSpendKey()) || staleCopy) {
+      // Double check in our exact cache for confirmation and details
+      if (previous && (previous.consumed || staleCopy)) {
+        this.stats.doubleSpendsPrevented++;
+        this.recordValidationFailure(sender);
+        
+        // Update reputation - catching double-spends is important, so higher importance
+        this.updateReputation(true, 2);
+        
+        return {
+          valid: false, 
+          reason: previous.consumed
+            ? `coin was already consumed by a ${previous.operation} (${new Date(previous.timestamp).toISOString()})`
+            : `confirmed double-spend detected (previous transfer: ${new Date(previous.timestamp).toISOString()})`,
+          previousTimestamp: previous.timestamp
+        };
+      }
+      
+      // Still reject if in Bloom filter but not in cache (older transaction)
+      this.stats.doubleSpendsPrevented++;
+      this.recordValidationFailure(sender);
+      
+      // Update reputation
+      this.updateReputation(true, 1.5);
+      
+      return {
+        valid: false, 
+        reason: 'possible double-spend detected'
+      };
+    }
+    
+    // 6. Verify coin hasn't expired
+    const expiresAt = coin.expiryDate && (renewal ? coin.expiryDate + this.renewalGracePeriod : coin.expiryDate);
+    if (expiresAt && this.clock() > expiresAt) {
+      return {
+        valid: false,
+        reason: renewal ? 'coin is past its renewal grace period' : 'coin has expired'
+      };
+    }
+    
+    // 7. Enforce time and hash locks: the owner claims, the refund wallet refunds
+    const conditions = coin.getConditions();
+    if (conditions) {
+      const spendCheck = spend
+        ? checkSpend(conditions, { owner: coin.ownerId, sender, preimage: spend.preimage })
+        : { valid: false, reason: 'a conditional coin can only be claimed or refunded by a single transfer' };
+      if (!spendCheck.valid) {
+        this.recordValidationFailure(sender);
+        return {
+          valid: false,
+          reason: `spend conditions not met: ${spendCheck.reason}`
+        };
+      }
+    }
+    
+    return null;
+  }
+
+  // Verify a signature with the signer's registered public key.
+  // Returns a failed validation result, or null if the signature is valid.
+  async _checkSignature(signer, data, signature, algorithm = null) {
+    if (MultisigPolicy.isMultisigSignature(signature)) {
+      return this._checkMultisig(signer, data, signature);
+    }
+    
+    try {
+      const publicKey = await this.getPublicKeyForWallet(signer, algorithm);
+      
+      if (!publicKey) {
+        return {
+          valid: false,
+          reason: algorithm
+            ? `unable to retrieve a public key of type ${algorithm} for the sender`
+            : 'unable to retrieve sender public key'
+        };
+      }
+      
+      if (!this.wallet.verifySignature(data, signature, publicKey, algorithm)) {
+        this.stats.invalidSignatures++;
+        this.recordValidationFailure(signer);
+        return {
+          valid: false,
+          reason: 'invalid signature'
+        };
+      }
+      
+      this.stats.validSignatures++;
+      return null;
+    } catch (err) {
+      this.stats.invalidSignatures++;
+      this.recordValidationFailure(signer);
+      return {
+        valid: false,
+        reason: `signature verification error: ${err.message}`
+      };
+    }
+  }
+
+  // Verify a multisig owner's signature bundle: the policy must hash to the
+  // owner ID and enough distinct members must have signed
+  _checkMultisig(owner, data, bundle) {
+    const check = MultisigPolicy.verifyBundle(owner, data, bundle);
+    if (!check.valid) {
+      this.stats.invalidSignatures++;
+      this.recordValidationFailure(owner);
+      return {
+        valid: false,
+        reason: `multisig check failed: ${check.reason}`
+      };
+    }
+    
+    this.stats.validSignatures++;
+    return null;
+  }
+
+  // Remember that a coin state was spent (or the coin consumed outright)
+  _recordSpend(coin, txHash, details, consumed = false) {
+    this.seenCoins.add(consumed ? coin.id : coin.getSpendKey());
+    
+    this.recentTransactionCache.set(coin.id, {
+      timestamp: Date.now(),
+      hash: txHash,
+      ...details,
+      value: coin.value,
+      sequence: coin.getSequence(),
+      consumed
+    });
+    
+    this.recentTransactionCache.set(txHash, {
+      timestamp: Date.now(),
+      coinId: coin.id
+    });
+    
+    // Track this value for future inflation checks
+    this.validatedValues.set(coin.id, coin.value);
+  }
+
   // Prune old entries from the transaction cache
   _pruneCache() {
     if (this.recentTransactionCache.size <= this.maxCacheSize) {
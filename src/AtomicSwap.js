@@ -0,0 +1,102 @@
+const Coin = require('./Coin');
+const SwapEnvelope = require('./SwapEnvelope');
+
+// A coin-for-coin swap while its two signatures are being collected. One
+// party proposes it (signing straight away), the other checks and signs it -
+// it can be passed between them as JSON - and then it goes to the witnesses.
+class AtomicSwap {
+  constructor({ envelope, coins, signatures }) {
+    this.envelope = SwapEnvelope.fromJSON(envelope.toJSON ? envelope.toJSON() : envelope);
+    this.coins = (coins || []).map(coin => coin instanceof Coin ? coin : Coin.fromJSON(coin)); // In envelope order
+    this.signatures = signatures || {}; // walletId -> signature over the envelope
+  }
+
+  // Offer giveCoins (held by the proposing wallet) for takeCoins (current
+  // copies of the counterparty's coins), signed by the proposer.
+  // theirAlgorithm is the counterparty's key algorithm; without it the
+  // counterparty fills it in and the proposer signs again after them.
+  static propose(wallet, giveCoins, takeCoins, networkId = null, theirAlgorithm = null) {
+    const envelope = SwapEnvelope.forCoins(giveCoins, takeCoins, networkId, wallet.algorithm, theirAlgorithm);
+    return new AtomicSwap({ envelope, coins: [...giveCoins, ...takeCoins] }).sign(wallet);
+  }
+
+  getId() {
+    return this.envelope.getId();
+  }
+
+  // What a party gives and receives in this swap
+  getTermsFor(walletId) {
+    const give = this.envelope.getLeg(walletId);
+    if (!give) {
+      return null;
+    }
+    const receive = this.envelope.legs.find(leg => leg.recipient === walletId);
+    return { give: give.coins, receive: receive.coins, counterparty: give.recipient };
+  }
+
+  // Sign as one of the two parties, after checking the swap is well formed.
+  // A party whose key algorithm the proposer left out fills it in first; that
+  // changes the envelope, so the other party has to sign it again.
+  sign(wallet) {
+    const walletId = wallet.getId();
+    if (!this.envelope.getParties().includes(walletId)) {
+      throw new Error(`Wallet ${walletId} is not a party to this swap`);
+    }
+
+    const legs = this.envelope.checkLegs();
+    if (!legs.valid) {
+      throw new Error(`Refusing to sign swap: ${legs.reason}`);
+    }
+
+    const match = this.envelope.matchesCoins(this.coins);
+    if (!match.valid) {
+      throw new Error(`Refusing to sign swap: ${match.reason}`);
+    }
+
+    const algorithm = this.envelope.getAlgorithm(walletId);
+    if (algorithm && algorithm !== wallet.algorithm) {
+      throw new Error(`Refusing to sign swap: it declares a ${algorithm} key, but this wallet uses ${wallet.algorithm}`);
+    }
+    if (!algorithm && this.envelope.version >= 2) {
+      this.envelope = this.envelope.withAlgorithm(walletId, wallet.algorithm);
+      this.signatures = {};
+    }
+
+    this.signatures[walletId] = wallet.sign(this.envelope.serialize());
+    return this;
+  }
+
+  // Both parties have signed
+  isComplete() {
+    return this.envelope.getParties().every(party => Boolean(this.signatures[party]));
+  }
+
+  // Transaction in the shape Network._processSwap expects
+  toTransaction() {
+    return {
+      type: 'swap',
+      envelope: this.envelope,
+      coins: this.coins,
+      signatures: this.signatures,
+      parties: this.envelope.getParties(),
+      timestamp: this.envelope.timestamp
+    };
+  }
+
+  toJSON() {
+    return {
+      envelope: this.envelope.toJSON(),
+      coins: this.coins.map(coin => coin.toJSON()),
+      signatures: this.signatures
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || !data.envelope || !Array.isArray(data.coins)) {
+      throw new Error('Atomic swap is missing its envelope or coins');
+    }
+    return new AtomicSwap(data);
+  }
+}
+
+module.exports = AtomicSwap;
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { canonicalize, canonicalHash } = require('./canonical');
+
+// Version 1 predates the signer's key algorithm and is still accepted
+const BATCH_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+// Signed statement of a multi-coin transfer: the sender hands several coins to
+// one recipient, and the witnesses approve or reject them together. Each coin's
+// transfer entry stores the whole batch, so provenance can be checked per coin.
+class BatchEnvelope {
+  constructor({ sender, recipient, coins, networkId, algorithm, reference, nonce, timestamp, version = BATCH_VERSION }) {
+    this.version = version;
+    this.type = 'batch';
+    this.sender = sender;
+    this.recipient = recipient;
+    this.coins = (coins || []).map(({ coinId, coinHash, value }) => ({ coinId, coinHash, value }));
+    this.networkId = networkId || null;
+    this.algorithm = version >= 2 ? algorithm || null : undefined; // Signer's key algorithm
+    this.reference = reference || undefined; // Payment request ID being paid (left out of the JSON when unset)
+    this.nonce = nonce || crypto.randomBytes(16).toString('hex');
+    this.timestamp = timestamp || Date.now();
+  }
+
+  // Build a batch describing the current state of each coin
+  static forCoins(coins, recipient, networkId = null, algorithm = null, reference = null) {
+    return new BatchEnvelope({
+      sender: coins.length > 0 ? coins[0].ownerId : null,
+      recipient,
+      coins: coins.map(coin => ({ coinId: coin.id, coinHash: coin.hash, value: coin.value })),
+      networkId,
+      algorithm,
+      reference
+    });
+  }
+
+  // Check whether a stored envelope is a batch rather than a single transfer
+  static isBatch(data) {
+    return Boolean(data) && data.type === 'batch';
+  }
+
+  serialize() {
+    return canonicalize(this.toJSON());
+  }
+
+  // Unique identifier of the batch (also the transaction id)
+  getId() {
+    return canonicalHash(this.toJSON());
+  }
+
+  // Total value moved by the batch
+  getTotalValue() {
+    return this.coins.reduce((total, coin) => total + coin.value, 0);
+  }
+
+  // The signed state of one coin in the batch, or null
+  findCoin(coinId) {
+    return this.coins.find(coin => coin.coinId === coinId) || null;
+  }
+
+  // A batch must move at least one coin, each coin once, all of positive value
+  checkCoins() {
+    if (this.coins.length === 0) {
+      return { valid: false, reason: 'batch contains no coins' };
+    }
+
+    const coinIds = new Set(this.coins.map(coin => coin.coinId));
+    if (coinIds.size !== this.coins.length) {
+      return { valid: false, reason: 'the same coin appears more than once in the batch' };
+    }
+
+    if (this.coins.some(coin => typeof coin.value !== 'number' || !(coin.value > 0))) {
+      return { valid: false, reason: 'batch coin values must be positive numbers' };
+    }
+
+    return { valid: true };
+  }
+
+  // Check that the coins are exactly the signed ones, in their signed state
+  matchesCoins(coins) {
+    if (!Array.isArray(coins) || coins.length !== this.coins.length) {
+      return { valid: false, reason: 'coins do not match the batch' };
+    }
+
+    for (let i = 0; i < coins.length; i++) {
+      const coin = coins[i];
+      const signed = this.coins[i];
+
+      if (coin.id !== signed.coinId || coin.hash !== signed.coinHash) {
+        return { valid: false, reason: `coin ${coin.id} does not match the signed batch state` };
+      }
+      if (coin.value !== signed.value) {
+        return { valid: false, reason: `coin ${coin.id} value does not match the signed batch value` };
+      }
+      if (coin.ownerId !== this.sender) {
+        return { valid: false, reason: `sender does not own coin ${coin.id}` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      sender: this.sender,
+      recipient: this.recipient,
+      coins: this.coins,
+      networkId: this.networkId,
+      algorithm: this.algorithm,
+      reference: this.reference,
+      nonce: this.nonce,
+      timestamp: this.timestamp
+    };
+  }
+
+  static fromJSON(data) {
+    if (!BatchEnvelope.isBatch(data)) {
+      throw new Error('Invalid batch envelope');
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(data.version)) {
+      throw new Error(`Unsupported batch envelope version: ${data.version}`);
+    }
+
+    if (!data.nonce || !data.timestamp) {
+      throw new Error('Batch envelope is missing nonce or timestamp');
+    }
+
+    return new BatchEnvelope(data);
+  }
+}
+
+BatchEnvelope.VERSION = BATCH_VERSION;
+
+module.exports = BatchEnvelope;
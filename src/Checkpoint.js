@@ -0,0 +1,142 @@
+const { canonicalize, canonicalHash } = require('./canonical');
+
+const CHECKPOINT_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// Only coins that can still change hands are worth compacting
+const COMPACTABLE_STATUSES = ['active', 'frozen', 'revoked'];
+
+// Witness-signed summary of a coin's state and of the history leading to it.
+// Once a quorum certifies it, the entries it summarizes are dropped and the
+// checkpoint becomes the trusted start of the coin's provenance. The coin hash
+// is unchanged: it counts the compacted entries through the checkpoint.
+class Checkpoint {
+  constructor({ coinId, coinHash, ownerId, value, status, lastTransferred, conditions, sequence, lastHash, historyHash, parents, networkId, timestamp, version = CHECKPOINT_VERSION }) {
+    this.version = version;
+    this.type = 'checkpoint';
+    this.coinId = coinId;
+    this.coinHash = coinHash; // Coin hash at the checkpoint
+    this.ownerId = ownerId;
+    this.value = value;
+    this.status = status;
+    this.lastTransferred = lastTransferred;
+    this.conditions = conditions || undefined; // Spend conditions in force, if any
+    this.sequence = sequence; // Number of history entries the coin had, including earlier checkpoints
+    this.lastHash = lastHash; // Hash recorded by the last compacted entry
+    this.historyHash = historyHash; // Rolling hash of every compacted entry
+    this.parents = parents || undefined; // Coins a split, merge or renewal issued this coin from
+    this.networkId = networkId || null;
+    this.timestamp = timestamp || Date.now();
+  }
+
+  // Summarize a coin's current state and the history to be dropped
+  static forCoin(coin, networkId = null) {
+    return new Checkpoint({
+      coinId: coin.id,
+      coinHash: coin.hash,
+      ownerId: coin.ownerId,
+      value: coin.value,
+      status: coin.status,
+      lastTransferred: coin.lastTransferred,
+      conditions: coin.getConditions(),
+      sequence: coin.getSequence(),
+      lastHash: coin.getLastHash(),
+      historyHash: Checkpoint.hashHistory(coin.checkpoint, coin.history),
+      parents: Checkpoint.parentsOf(coin),
+      networkId
+    });
+  }
+
+  // Hash of history entries chained onto the previous checkpoint's history hash
+  static hashHistory(previous, entries) {
+    return canonicalHash({ previous: previous ? previous.historyHash : null, entries });
+  }
+
+  // Coins the coin was issued from, carried over from its first entry or last checkpoint
+  static parentsOf(coin) {
+    if (coin.checkpoint) {
+      return coin.checkpoint.parents || undefined;
+    }
+    return (coin.history.length > 0 && coin.history[0].parents) || undefined;
+  }
+
+  static isCheckpoint(data) {
+    return Boolean(data) && data.type === 'checkpoint';
+  }
+
+  serialize() {
+    return canonicalize(this.toJSON());
+  }
+
+  // Unique identifier of the checkpoint (also the transaction id)
+  getId() {
+    return canonicalHash(this.toJSON());
+  }
+
+  // Check the checkpoint describes exactly the coin's current state and the
+  // history it replaces
+  matchesCoin(coin) {
+    if (!COMPACTABLE_STATUSES.includes(coin.status)) {
+      return { valid: false, reason: `a ${coin.status} coin cannot be compacted` };
+    }
+    if (coin.id !== this.coinId || coin.hash !== this.coinHash) {
+      return { valid: false, reason: 'checkpoint does not describe the coin\'s current state' };
+    }
+    if (this.sequence !== coin.getSequence() || this.lastHash !== coin.getLastHash()) {
+      return { valid: false, reason: 'checkpoint sequence does not match the coin history' };
+    }
+    if (this.ownerId !== coin.ownerId ||
+        this.value !== coin.value ||
+        this.status !== coin.status ||
+        this.lastTransferred !== coin.lastTransferred ||
+        canonicalHash(this.conditions || null) !== canonicalHash(coin.getConditions())) {
+      return { valid: false, reason: 'checkpoint state does not match the coin' };
+    }
+    if (this.historyHash !== Checkpoint.hashHistory(coin.checkpoint, coin.history) ||
+        canonicalHash(this.parents || null) !== canonicalHash(Checkpoint.parentsOf(coin) || null)) {
+      return { valid: false, reason: 'checkpoint does not summarize the coin history' };
+    }
+    return { valid: true };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      coinId: this.coinId,
+      coinHash: this.coinHash,
+      ownerId: this.ownerId,
+      value: this.value,
+      status: this.status,
+      lastTransferred: this.lastTransferred,
+      conditions: this.conditions,
+      sequence: this.sequence,
+      lastHash: this.lastHash,
+      historyHash: this.historyHash,
+      parents: this.parents,
+      networkId: this.networkId,
+      timestamp: this.timestamp
+    };
+  }
+
+  static fromJSON(data) {
+    if (!Checkpoint.isCheckpoint(data)) {
+      throw new Error('Invalid checkpoint');
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(data.version)) {
+      throw new Error(`Unsupported checkpoint version: ${data.version}`);
+    }
+
+    if (!data.coinId || !data.coinHash || !Number.isInteger(data.sequence) || !data.historyHash) {
+      throw new Error('Checkpoint is missing required fields');
+    }
+
+    return new Checkpoint(data);
+  }
+}
+
+Checkpoint.VERSION = CHECKPOINT_VERSION;
+Checkpoint.COMPACTABLE_STATUSES = COMPACTABLE_STATUSES;
+
+module.exports = Checkpoint;
@@ -1,19 +1,44 @@
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const TransferEnvelope = require('./TransferEnvelope');
+const OperationEnvelope = require('./OperationEnvelope');
+const BatchEnvelope = require('./BatchEnvelope');
+const SwapEnvelope = require('./SwapEnvelope');
+const StatusEnvelope = require('./StatusEnvelope');
+const Checkpoint = require('./Checkpoint');
+const QuorumCertificate = require('./QuorumCertificate');
+const MintRecord = require('./MintRecord');
+const MultisigPolicy = require('./MultisigPolicy');
+const { canonicalHash } = require('./canonical');
+const { verifyData, resolvePublicKey } = require('./signatures');
+const { resolveRecipient } = require('./address');
+const { checkSpend } = require('./conditions');
+const wire = require('./wire');
+const { COIN_SCHEMA_VERSION, CoinLoadError, CoinTamperedError, MalformedCoinError, migrateCoin, checkCoinFields } = require('./coinSchema');
+
+// Status an operation leaves its input coins in
+const CONSUMED_STATUS = { split: 'split', merge: 'merged', renew: 'renewed' };
 
 class Coin {
+  // metadata.asset sets the coin's asset type (see assets.js); it is kept on
+  // the coin itself rather than in the free-form metadata.
   constructor(initialOwnerId, value = 1, id = null, metadata = {}) {
+    const { asset = null, ...properties } = metadata || {};
+    
     // If ID is provided, use it (for loading existing coins), otherwise generate new
     this.id = id || uuidv4();
     this.ownerId = initialOwnerId; // Current owner's wallet ID
     this.value = value; // Denomination/value of the coin
+    this.asset = asset; // Asset type; null for the native coin
     this.history = []; // Transaction history (temporary, only while active)
+    this.checkpoint = null; // Witness-certified summary of compacted history, if any
     this.created = Date.now();
     this.lastTransferred = this.created;
-    this.metadata = metadata; // Additional coin properties
-    this.version = "1.0.0"; // For future compatibility
-    this.status = "active"; // Status: active, spent, frozen, revoked
-    this.expiryDate = metadata.expiryDate || null; // Optional expiry date
+    this.metadata = properties; // Additional coin properties
+    this.version = COIN_SCHEMA_VERSION; // Serialized format version (see coinSchema.js)
+    this.status = "active"; // Status: active, spent, split, merged, renewed, expired, frozen, revoked
+    this.expiryDate = properties.expiryDate || null; // Optional expiry date
+    this.genesis = []; // Signed mint records backing this coin's value
     
     // Validate the value
     if (typeof this.value !== 'number' || this.value <= 0) {
@@ -25,12 +50,22 @@ class Coin {
   }
 
   // Transfer ownership to a new wallet
-  transfer(newOwnerId, signature, witnesses) {
+  // newOwner may be a wallet ID or an address; an address for a different
+  // network than the envelope's is refused
+  transfer(newOwner, signature, witnesses, certificate = null, envelope = null) {
     // Validate inputs
-    if (!newOwnerId || typeof newOwnerId !== 'string') {
+    if (!newOwner || typeof newOwner !== 'string') {
       throw new Error('Invalid recipient ID');
     }
     
+    // In a swap each coin has its own giver and receiver
+    const parties = envelope && SwapEnvelope.isSwap(envelope) ? envelope.findCoin(this.id) || {} : envelope;
+    
+    const newOwnerId = resolveRecipient(newOwner, envelope ? envelope.networkId : null);
+    if (parties && parties.recipient !== newOwnerId) {
+      throw new Error('Recipient does not match the signed envelope');
+    }
+    
     if (!signature) {
       throw new Error('Signature required for transfer');
     }
@@ -50,13 +85,26 @@ class Coin {
       throw new Error('Cannot transfer expired coin');
     }
     
+    // A conditional coin moves only as a claim by its owner or a refund
+    const sender = parties ? parties.sender : this.ownerId;
+    const spend = checkSpend(this.getConditions(), {
+      owner: this.ownerId,
+      sender,
+      preimage: envelope ? envelope.preimage : null
+    });
+    if (!spend.valid) {
+      throw new Error(`Cannot transfer coin: ${spend.reason}`);
+    }
+    
     // Record the transfer in history
     const transfer = {
-      from: this.ownerId,
+      from: sender,
       to: newOwnerId,
       timestamp: Date.now(),
       signature: signature,
+      envelope: envelope ? envelope.toJSON() : null, // The statement the owner signed
       witnesses: witnesses || [], // Array of witness IDs who validated this transfer
+      certificate: certificate ? certificate.toJSON() : null, // Signed quorum approvals
       hash: this.hash, // Include previous hash for verification chain
       value: this.value
     };
@@ -64,6 +112,7 @@ class Coin {
     this.history.push(transfer);
     this.ownerId = newOwnerId;
     this.lastTransferred = transfer.timestamp;
+    this._setConditions(envelope ? envelope.conditions : null);
     
     // Update the coin's hash after transfer
     this.updateHash();
@@ -71,82 +120,301 @@ class Coin {
     return this;
   }
 
-  // Split a coin into two coins of lesser value
-  split(newValue) {
-    // Validate new value
-    if (typeof newValue !== 'number' || newValue <= 0 || newValue >= this.value) {
-      throw new Error('Split value must be positive and less than the coin value');
+  // Freeze, unfreeze or revoke the coin on its issuer's signed request, as
+  // approved by the witness quorum. The decision stays in the coin's history.
+  applyStatusChange(envelope, signature, witnesses, certificate) {
+    if (!envelope || !StatusEnvelope.isStatusChange(envelope)) {
+      throw new Error('Status change requires a signed status envelope');
     }
     
-    // Create new coin with the specified value
-    const newCoin = new Coin(
-      this.ownerId,
-      newValue,
-      null, // New UUID will be generated
-      this.metadata
-    );
+    if (!signature) {
+      throw new Error(`Issuer signature required to ${envelope.action}`);
+    }
     
-    // Record split in both coins' histories
-    const splitEvent = {
-      type: 'split',
-      timestamp: Date.now(),
-      parentCoinId: this.id,
-      childCoinId: newCoin.id,
-      parentValue: this.value,
-      childValue: newValue
-    };
+    if (!certificate) {
+      throw new Error(`Quorum certificate required to ${envelope.action}`);
+    }
     
-    // Reduce this coin's value
-    this.value -= newValue;
+    const match = envelope.matchesCoin(this);
+    if (!match.valid) {
+      throw new Error(`Invalid ${envelope.action}: ${match.reason}`);
+    }
     
-    // Add split event to history
-    this.history.push(splitEvent);
-    newCoin.history.push(splitEvent);
+    const transition = envelope.checkTransition(this.status);
+    if (!transition.valid) {
+      throw new Error(`Invalid ${envelope.action}: ${transition.reason}`);
+    }
     
-    // Update hashes
+    this.history.push({
+      type: envelope.action,
+      timestamp: Date.now(),
+      issuerId: envelope.issuerId,
+      reason: envelope.reason,
+      signature,
+      envelope: envelope.toJSON(),
+      witnesses: witnesses || [],
+      certificate: certificate.toJSON(),
+      hash: this.hash,
+      value: this.value
+    });
+    this.status = envelope.getResultingStatus();
     this.updateHash();
-    newCoin.updateHash();
     
-    return newCoin;
+    return this;
   }
 
-  // Merge this coin with another coin to create a higher value
-  merge(otherCoin) {
-    // Validate other coin is owned by the same person
-    if (this.ownerId !== otherCoin.ownerId) {
-      throw new Error('Can only merge coins owned by the same wallet');
+  // Split this coin into child coins as approved by the witness quorum.
+  // The coin is consumed and the children are issued with the IDs derived from
+  // the signed split envelope, so their lineage can be verified later.
+  split(envelope, signature, certificate) {
+    if (!envelope || envelope.type !== 'split') {
+      throw new Error('Split requires a signed split envelope');
     }
     
-    // Validate other coin is active
-    if (otherCoin.status !== "active" || this.status !== "active") {
-      throw new Error('Can only merge active coins');
+    return Coin.reissue([this], envelope, signature, certificate);
+  }
+
+  // Merge coins into one coin worth their sum as approved by the witness quorum.
+  // All input coins are consumed and a new coin is issued.
+  static merge(coins, envelope, signature, certificate) {
+    if (!envelope || envelope.type !== 'merge') {
+      throw new Error('Merge requires a signed merge envelope');
     }
     
-    // Record merge in history
-    const mergeEvent = {
-      type: 'merge',
-      timestamp: Date.now(),
-      coinId1: this.id,
-      coinId2: otherCoin.id,
-      value1: this.value,
-      value2: otherCoin.value
+    return Coin.reissue(coins, envelope, signature, certificate)[0];
+  }
+
+  // Reissue an expiring coin with the new expiry date (and value, after any
+  // demurrage) approved by the witness quorum. This coin is consumed.
+  renew(envelope, signature, certificate) {
+    if (!envelope || envelope.type !== 'renew') {
+      throw new Error('Renewal requires a signed renew envelope');
+    }
+    
+    return Coin.reissue([this], envelope, signature, certificate)[0];
+  }
+
+  // Consume input coins and issue the outputs of a split, merge or renewal
+  static reissue(coins, envelope, signature, certificate) {
+    if (!signature) {
+      throw new Error(`Signature required for ${envelope.type}`);
+    }
+    
+    if (!certificate) {
+      throw new Error(`Quorum certificate required for ${envelope.type}`);
+    }
+    
+    const conservation = envelope.checkConservation();
+    if (!conservation.valid) {
+      throw new Error(`Invalid ${envelope.type}: ${conservation.reason}`);
+    }
+    
+    const inputCheck = envelope.matchesCoins(coins);
+    if (!inputCheck.valid) {
+      throw new Error(`Invalid ${envelope.type}: ${inputCheck.reason}`);
+    }
+    
+    if (coins.some(coin => coin.status !== "active")) {
+      throw new Error(`Can only ${envelope.type} active coins`);
+    }
+    
+    if (coins.some(coin => coin.getConditions())) {
+      throw new Error(`Conditional coins must be claimed before a ${envelope.type}`);
+    }
+    
+    const operationId = envelope.getId();
+    const outputIds = envelope.getOutputIds();
+    const proof = {
+      envelope: envelope.toJSON(),
+      signature,
+      certificate: certificate.toJSON()
     };
     
-    // Increase this coin's value
-    this.value += otherCoin.value;
+    // Outputs are backed by the mint records of everything they were made from
+    const genesis = Coin.combineGenesis(coins);
     
-    // Mark other coin as spent
-    otherCoin.status = "merged";
-    otherCoin.history.push(mergeEvent);
+    // Issue the output coins, each starting with a record of where it came from
+    const outputs = envelope.outputs.map((value, index) => {
+      const metadata = envelope.type === 'renew'
+        ? { ...coins[0].metadata, expiryDate: envelope.renewal.expiryDate }
+        : coins[0].metadata;
+      const output = new Coin(envelope.owner, value, outputIds[index], { ...metadata, asset: coins[0].asset });
+      output.genesis = genesis;
+      output.updateHash();
+      output.history.push({
+        type: envelope.type,
+        timestamp: Date.now(),
+        operationId,
+        parents: envelope.inputs.map(input => input.coinId),
+        index,
+        value,
+        ...proof,
+        hash: output.hash
+      });
+      output.updateHash();
+      return output;
+    });
     
-    // Add merge event to this coin's history
-    this.history.push(mergeEvent);
+    // Consume the inputs
+    coins.forEach(coin => {
+      coin.history.push({
+        type: envelope.type,
+        timestamp: Date.now(),
+        operationId,
+        children: outputIds,
+        value: coin.value,
+        ...proof,
+        hash: coin.hash
+      });
+      coin.status = CONSUMED_STATUS[envelope.type];
+      coin.updateHash();
+    });
     
-    // Update hash
-    this.updateHash();
-    otherCoin.updateHash();
+    return outputs;
+  }
+
+  // Union of the mint records of several coins, without duplicates
+  static combineGenesis(coins) {
+    const records = new Map();
+    coins.forEach(coin => {
+      (coin.genesis || []).forEach(record => {
+        records.set(MintRecord.fromJSON(record).getId(), record);
+      });
+    });
+    return Array.from(records.values());
+  }
+
+  // Check that the coin's value is backed by mint records signed by recognised
+  // issuers. issuers is a Map issuerId -> { publicKey, supplyCap }.
+  verifyGenesis(issuers) {
+    if (!this.genesis || this.genesis.length === 0) {
+      return { valid: false, reason: 'coin has no mint record' };
+    }
     
-    return this;
+    let backedValue = 0;
+    const seen = new Set();
+    
+    for (const data of this.genesis) {
+      let record;
+      try {
+        record = MintRecord.fromJSON(data);
+      } catch (err) {
+        return { valid: false, reason: `malformed mint record: ${err.message}` };
+      }
+      
+      const issuer = issuers ? issuers.get(record.issuerId) : null;
+      if (!issuer) {
+        return { valid: false, reason: `mint record signed by unrecognised issuer ${record.issuerId}` };
+      }
+      
+      if (!record.verify(issuer.publicKey)) {
+        return { valid: false, reason: `invalid mint signature from issuer ${record.issuerId}` };
+      }
+      
+      if (issuer.supplyCap && record.issuedTotal > issuer.supplyCap) {
+        return { valid: false, reason: `mint exceeds supply cap of issuer ${record.issuerId}` };
+      }
+      
+      if ((record.asset || null) !== this.asset) {
+        return { valid: false, reason: `mint record is for asset ${record.asset || 'native'}, not ${this.asset || 'native'}` };
+      }
+      
+      const recordId = record.getId();
+      if (seen.has(recordId)) {
+        return { valid: false, reason: 'duplicate mint record' };
+      }
+      seen.add(recordId);
+      
+      backedValue += record.value;
+    }
+    
+    // A coin minted directly must match its record exactly, down to the owner
+    // it was minted for (checkpoints are certified, so they vouch for the owner)
+    const issuance = Checkpoint.parentsOf(this);
+    if (!issuance) {
+      const record = this.genesis[0];
+      if (this.genesis.length !== 1 || record.coinId !== this.id || record.value !== this.value) {
+        return { valid: false, reason: 'mint record does not describe this coin' };
+      }
+      const firstTransfer = this.history.find(e => (e.type || 'transfer') === 'transfer');
+      const firstOwner = firstTransfer ? firstTransfer.from : this.ownerId;
+      if (!this.checkpoint && record.ownerId !== firstOwner) {
+        return { valid: false, reason: `coin was minted for ${record.ownerId}, not ${firstOwner}` };
+      }
+    } else if (this.value > backedValue) {
+      return { valid: false, reason: `coin value ${this.value} exceeds minted value ${backedValue}` };
+    }
+    
+    return { valid: true };
+  }
+
+  // Spend conditions in force on the current state (see conditions.js), or null
+  getConditions() {
+    return (this.metadata && this.metadata.conditions) || null;
+  }
+
+  // Conditions are replaced on every transfer: the envelope that moved the coin sets them
+  _setConditions(conditions) {
+    const { conditions: previous, ...metadata } = this.metadata || {};
+    this.metadata = conditions ? { ...metadata, conditions } : metadata;
+  }
+
+  // Hash of the spend conditions (undefined without conditions, which keeps older coin hashes unchanged)
+  getConditionsHash() {
+    const conditions = this.getConditions();
+    return conditions ? canonicalHash(conditions) : undefined;
+  }
+
+  // Demurrage terms from the coin's metadata (see renewal.js), or null
+  getDemurrage() {
+    return (this.metadata && this.metadata.demurrage) || null;
+  }
+
+  // Hash of the expiry date and demurrage terms (undefined when the coin has
+  // neither, which keeps older coin hashes unchanged)
+  getTermsHash() {
+    const demurrage = this.getDemurrage();
+    return this.expiryDate || demurrage
+      ? canonicalHash({ expiryDate: this.expiryDate || undefined, demurrage: demurrage || undefined })
+      : undefined;
+  }
+
+  // Position of the coin's current state in its history - each state can be spent once.
+  // Entries compacted into a checkpoint still count.
+  getSequence() {
+    return (this.checkpoint ? this.checkpoint.sequence : 0) + this.history.length;
+  }
+
+  // Hash recorded by the latest history entry, compacted or not, or null
+  getLastHash() {
+    if (this.history.length > 0) {
+      return this.history[this.history.length - 1].hash;
+    }
+    return this.checkpoint ? this.checkpoint.lastHash : null;
+  }
+
+  // Replace the history with a checkpoint certified by the witness quorum.
+  // The coin hash does not change. Returns the number of entries dropped.
+  compact(checkpoint, certificate) {
+    if (!certificate) {
+      throw new Error('Quorum certificate required to compact history');
+    }
+    
+    const match = checkpoint.matchesCoin(this);
+    if (!match.valid) {
+      throw new Error(`Invalid checkpoint: ${match.reason}`);
+    }
+    
+    const dropped = this.history.length;
+    this.checkpoint = { ...checkpoint.toJSON(), certificate: certificate.toJSON() };
+    this.history = [];
+    
+    return dropped;
+  }
+
+  // Identifies the current coin state for double-spend detection
+  getSpendKey() {
+    return `${this.id}:${this.getSequence()}`;
   }
 
   // Check if coin has sufficient value for a transaction
@@ -156,20 +424,57 @@ class Coin {
 
   // Update the hash of the coin for integrity verification
   updateHash() {
-    const data = JSON.stringify({
+    this.hash = this.calculateHash();
+    return this.hash;
+  }
+
+  // Calculate the hash of the coin's current state without storing it
+  calculateHash() {
+    return Coin.computeHash(this._hashState());
+  }
+
+  // The state fields the coin hash covers
+  _hashState() {
+    return {
       id: this.id,
       ownerId: this.ownerId,
       value: this.value,
       created: this.created,
       lastTransferred: this.lastTransferred,
-      historyLength: this.history.length,
+      historyLength: this.getSequence(),
       status: this.status,
-      // Include the last history item's hash if it exists
-      lastHash: this.history.length > 0 ? this.history[this.history.length - 1].hash : null
+      // Include the last history item's hash if it exists (compacted entries count too)
+      lastHash: this.getLastHash(),
+      genesisHash: this.getGenesisHash(),
+      conditionsHash: this.getConditionsHash(),
+      asset: this.asset || undefined,
+      termsHash: this.getTermsHash()
+    };
+  }
+
+  // Hash of the mint records (undefined for unminted coins, which keeps their hash unchanged)
+  getGenesisHash() {
+    return this.genesis && this.genesis.length > 0 ? canonicalHash(this.genesis) : undefined;
+  }
+
+  // Hash a coin state - also used to recompute past states when checking provenance
+  static computeHash(state) {
+    const data = JSON.stringify({
+      id: state.id,
+      ownerId: state.ownerId,
+      value: state.value,
+      created: state.created,
+      lastTransferred: state.lastTransferred,
+      historyLength: state.historyLength,
+      status: state.status,
+      lastHash: state.lastHash,
+      genesisHash: state.genesisHash,
+      conditionsHash: state.conditionsHash,
+      asset: state.asset,
+      termsHash: state.termsHash
     });
     
-    this.hash = crypto.createHash('sha256').update(data).digest('hex');
-    return this.hash;
+    return crypto.createHash('sha256').update(data).digest('hex');
   }
 
   // Get the current owner ID
@@ -177,58 +482,521 @@ class Coin {
     return this.ownerId;
   }
 
-  // Get coin details as string for signing/verification
-  getSignatureData(recipientId, timestamp = Date.now()) {
-    return `${this.id}-${this.ownerId}-${recipientId}-${timestamp}-${this.value}-${this.hash}-${this.status}`;
-  }
-
   // Serialize the coin to JSON
   toJSON() {
     return {
       id: this.id,
       ownerId: this.ownerId,
       value: this.value,
+      asset: this.asset,
       created: this.created,
       lastTransferred: this.lastTransferred,
       hash: this.hash,
       history: this.history,
+      checkpoint: this.checkpoint,
       metadata: this.metadata,
       version: this.version,
       status: this.status,
-      expiryDate: this.expiryDate
+      expiryDate: this.expiryDate,
+      genesis: this.genesis
     };
   }
 
-  // Create a coin from serialized data
-  static fromJSON(data) {
+  // Create a coin from serialized data, upgrading older formats first (see
+  // coinSchema.js). By default loading is strict: malformed fields, an
+  // unsupported version or a hash mismatch throw a CoinLoadError. With
+  // { strict: false } (for forensics) whatever is there is loaded, the stored
+  // hash is kept as found and every problem is listed in coin.loadIssues.
+  static fromJSON(data, { strict = true } = {}) {
+    if (!data || typeof data !== 'object') {
+      throw new MalformedCoinError(null, 'data', 'must be an object');
+    }
+    
+    const issues = [];
+    let migrated = data;
+    try {
+      migrated = migrateCoin(data, { hashCoin: Coin.hashData });
+    } catch (err) {
+      if (strict || !(err instanceof CoinLoadError)) {
+        throw err;
+      }
+      issues.push(err);
+    }
+    
+    issues.push(...checkCoinFields(migrated));
+    if (strict && issues.length > 0) {
+      throw issues[0];
+    }
+    
+    const coin = Coin._restore(migrated);
+    
+    // Verify integrity
+    const calculatedHash = coin.updateHash();
+    if (calculatedHash !== migrated.hash) {
+      const tampered = new CoinTamperedError(coin.id, migrated.hash, calculatedHash);
+      if (strict) {
+        throw tampered;
+      }
+      issues.push(tampered);
+      coin.hash = migrated.hash;
+    }
+    
+    if (!strict) {
+      coin.loadIssues = issues;
+    }
+    
+    return coin;
+  }
+
+  // Compact binary form (see wire.js); decodes to exactly toJSON, so the hash is unchanged
+  toBinary() {
+    return wire.encode('coin', this.toJSON());
+  }
+
+  // Rebuild a coin from its binary form, loading it like fromJSON
+  static fromBinary(buffer, options = {}) {
+    return Coin.fromJSON(wire.decode('coin', buffer), options);
+  }
+
+  // Rebuild a coin from (migrated) serialized data without checking it,
+  // defaulting whatever is missing
+  static _restore(data) {
+    const metadata = data.metadata && typeof data.metadata === 'object' ? data.metadata : {};
     const coin = new Coin(
       data.ownerId,
-      data.value || 1,
+      Number.isFinite(data.value) && data.value > 0 ? data.value : 1,
       data.id,
-      data.metadata || {}
+      { ...metadata, asset: data.asset || null }
     );
     
     coin.created = data.created || Date.now();
     coin.lastTransferred = data.lastTransferred || coin.created;
-    coin.history = data.history || [];
-    coin.hash = data.hash;
-    coin.version = data.version || "1.0.0";
+    coin.history = Array.isArray(data.history) ? data.history : [];
+    coin.checkpoint = data.checkpoint || null;
+    coin.version = data.version || COIN_SCHEMA_VERSION;
     coin.status = data.status || "active";
     coin.expiryDate = data.expiryDate || null;
-    
-    // Verify integrity
-    const calculatedHash = coin.updateHash();
-    if (calculatedHash !== data.hash) {
-      console.warn('Coin hash mismatch - possible tampering detected');
-    }
+    coin.genesis = Array.isArray(data.genesis) ? data.genesis : [];
+    coin.updateHash();
     
     return coin;
   }
 
+  // Hash of serialized coin data. { legacy: true } uses the layout of builds
+  // before renewal terms (expiry date, demurrage) were covered by the hash.
+  static hashData(data, { legacy = false } = {}) {
+    const coin = Coin._restore(data);
+    return legacy ? Coin.computeHash({ ...coin._hashState(), termsHash: undefined }) : coin.hash;
+  }
+
   // Verify the coin's integrity
   verifyIntegrity() {
-    const calculatedHash = this.updateHash();
-    return calculatedHash === this.hash;
+    return this.calculateHash() === this.hash;
+  }
+
+  // Walk the whole history from the owner the coin was minted for (or the owner of
+  // the operation that issued it) and check the chain of custody: every transfer, split,
+  // merge and renewal is signed by the owner at that point, each entry links to the
+  // hash of the state before it, and value is conserved from entry to entry (less
+  // any demurrage charged at renewal). Freezes,
+  // unfreezes and revocations must be signed by an issuer of the coin.
+  // keyResolver is a Map or function walletId -> publicKey; options.issuers (a Map
+  // issuerId -> { publicKey }) supplies issuer keys. Certificates found on
+  // entries are checked too; options.witnessThreshold makes them mandatory.
+  // Returns { valid: true, entries } or a report of the first broken link.
+  verifyProvenance(keyResolver, options = {}) {
+    const broken = (index, reason) => ({
+      valid: false,
+      index,
+      type: index >= 0 && this.history[index] ? (this.history[index].type || 'transfer') : null,
+      reason,
+      entry: index >= 0 ? this.history[index] || null : null
+    });
+    
+    // A checkpoint replaces the entries before it as the trusted starting state
+    let start = null;
+    if (this.checkpoint) {
+      const checkpointCheck = this._verifyCheckpoint(keyResolver, options);
+      if (!checkpointCheck.valid) {
+        return broken(-1, `checkpoint rejected: ${checkpointCheck.reason}`);
+      }
+      start = checkpointCheck.checkpoint;
+    }
+    const offset = start ? start.sequence : 0;
+    
+    // The walk starts from an owner someone signed for: the certified checkpoint,
+    // the mint record, or (set below) the operation that issued the coin
+    let owner = start ? start.ownerId : this._mintedOwner();
+    let value = start ? start.value : null;
+    let lastTransferred = start ? start.lastTransferred : this.created;
+    let consumedBy = null;
+    let conditions = start ? start.conditions || null : null; // Spend conditions set by the last transfer
+    let status = start ? start.status : 'active'; // Changed only by issuer decisions
+    
+    for (let i = 0; i < this.history.length; i++) {
+      const entry = this.history[i];
+      const type = entry.type || 'transfer';
+      
+      if (consumedBy) {
+        return broken(i, `entry recorded after the coin was consumed by a ${consumedBy}`);
+      }
+      
+      // Check signatures first - nothing else in an unsigned entry can be trusted
+      let operation = null;
+      let statusChange = null;
+      if (StatusEnvelope.ACTIONS.includes(type)) {
+        const statusCheck = this._verifyStatusEntry(entry, keyResolver, options);
+        if (!statusCheck.valid) {
+          return broken(i, statusCheck.reason);
+        }
+        statusChange = statusCheck.envelope;
+      } else if (type === 'transfer') {
+        const transferCheck = this._verifyTransferEntry(entry, keyResolver, options);
+        if (!transferCheck.valid) {
+          return broken(i, transferCheck.reason);
+        }
+      } else if (OperationEnvelope.TYPES.includes(type)) {
+        const operationCheck = this._verifyOperationEntry(entry, keyResolver, options);
+        if (!operationCheck.valid) {
+          return broken(i, operationCheck.reason);
+        }
+        operation = operationCheck.envelope;
+      } else {
+        return broken(i, `unknown history entry type: ${type}`);
+      }
+      
+      const input = operation ? operation.inputs.find(inp => inp.coinId === this.id) : null;
+      const outputIndex = operation && !input ? operation.getOutputIds().indexOf(this.id) : -1;
+      
+      if (operation && !input && outputIndex < 0) {
+        return broken(i, `${type} entry does not reference this coin`);
+      }
+      
+      // Establish the starting value from the first entry
+      if (i === 0 && !start) {
+        if (type === 'transfer' || statusChange) {
+          value = entry.value;
+        } else {
+          value = input ? input.value : operation.outputs[outputIndex];
+          if (!input) {
+            owner = operation.owner;
+          }
+        }
+        if (owner === null) {
+          return broken(i, 'coin has no mint record naming its first owner');
+        }
+        if (type === 'transfer' && entry.from !== owner) {
+          return broken(i, `transfer from ${entry.from} but coin was owned by ${owner}`);
+        }
+      }
+      
+      // Hash linkage: the entry must point at the state it was applied to
+      const expectedHash = Coin.computeHash({
+        id: this.id,
+        ownerId: owner,
+        value,
+        created: this.created,
+        lastTransferred,
+        historyLength: offset + i,
+        status,
+        lastHash: i > 0 ? this.history[i - 1].hash : start ? start.lastHash : null,
+        genesisHash: this.getGenesisHash(),
+        conditionsHash: conditions ? canonicalHash(conditions) : undefined,
+        asset: this.asset || undefined,
+        termsHash: this.getTermsHash()
+      });
+      
+      if (entry.hash !== expectedHash) {
+        return broken(i, 'hash does not link to the previous coin state');
+      }
+      
+      if (statusChange) {
+        const transition = statusChange.checkTransition(status);
+        if (!transition.valid) {
+          return broken(i, transition.reason);
+        }
+        status = statusChange.getResultingStatus();
+        continue;
+      }
+      
+      if (status !== 'active') {
+        return broken(i, `${type} of a ${status} coin`);
+      }
+      
+      if (type === 'transfer') {
+        const spend = checkSpend(conditions, {
+          owner,
+          sender: entry.from,
+          preimage: entry.envelope.preimage,
+          now: entry.timestamp
+        });
+        if (!spend.valid) {
+          return broken(i, conditions
+            ? `spend conditions not met: ${spend.reason}`
+            : `transfer from ${entry.from} but coin was owned by ${owner}`);
+        }
+        if (entry.value !== value) {
+          return broken(i, `transfer value ${entry.value} does not match coin value ${value}`);
+        }
+        
+        owner = entry.to;
+        lastTransferred = entry.timestamp;
+        conditions = entry.envelope.conditions || null;
+        continue;
+      }
+      
+      if (conditions) {
+        return broken(i, `${type} of a coin with unmet spend conditions`);
+      }
+      
+      if (operation.owner !== owner) {
+        return broken(i, `${type} signed by ${operation.owner} but coin was owned by ${owner}`);
+      }
+      
+      if (input) {
+        // This coin was consumed by the operation
+        if (input.value !== value || input.coinHash !== entry.hash) {
+          return broken(i, `${type} consumed a different state of this coin`);
+        }
+        consumedBy = type;
+      } else if (i !== 0 || start) {
+        return broken(i, `coin issued by a ${type} must start with that ${type}`);
+      } else if (type === 'renew' && this.expiryDate !== operation.renewal.expiryDate) {
+        return broken(i, 'coin expiry differs from the one it was renewed with');
+      }
+    }
+    
+    // The current state must be the end of the chain
+    if (owner === null) {
+      return broken(-1, 'coin has no mint record naming its first owner');
+    }
+    if (owner !== this.ownerId) {
+      return broken(-1, `history ends with owner ${owner} but coin is owned by ${this.ownerId}`);
+    }
+    if (this.history.length > 0 || start) {
+      if (value !== this.value) {
+        return broken(-1, `history ends with value ${value} but coin has value ${this.value}`);
+      }
+      if (canonicalHash(conditions) !== canonicalHash(this.getConditions())) {
+        return broken(-1, 'coin spend conditions differ from those it was transferred with');
+      }
+      const governed = ['frozen', 'revoked'];
+      if ((governed.includes(status) || governed.includes(this.status)) && status !== this.status) {
+        return broken(-1, `history ends with status ${status} but coin has status ${this.status}`);
+      }
+      const consumedStatus = CONSUMED_STATUS[consumedBy];
+      if (consumedBy && this.status !== consumedStatus) {
+        return broken(-1, `coin was consumed by a ${consumedBy} but has status ${this.status}`);
+      }
+    }
+    
+    if (!this.verifyIntegrity()) {
+      return broken(-1, 'current coin hash does not match its state');
+    }
+    
+    return { valid: true, entries: this.history.length, compacted: offset };
+  }
+
+  // Owner named by the mint record of a directly minted coin, or null.
+  // The record's signature is checked by verifyGenesis.
+  _mintedOwner() {
+    const record = (this.genesis || []).find(data => data && data.coinId === this.id);
+    return record ? record.ownerId : null;
+  }
+
+  // Check the checkpoint's quorum certificate and that it describes a state of this coin
+  _verifyCheckpoint(keyResolver, options) {
+    let checkpoint;
+    let certificate;
+    try {
+      checkpoint = Checkpoint.fromJSON(this.checkpoint);
+      certificate = QuorumCertificate.fromJSON(this.checkpoint.certificate);
+    } catch (err) {
+      return { valid: false, reason: `malformed checkpoint: ${err.message}` };
+    }
+    
+    if (checkpoint.coinId !== this.id || !Checkpoint.COMPACTABLE_STATUSES.includes(checkpoint.status)) {
+      return { valid: false, reason: 'checkpoint does not describe this coin' };
+    }
+    
+    const certificateCheck = certificate.verify(keyResolver, {
+      txId: checkpoint.getId(),
+      threshold: options.witnessThreshold
+    });
+    if (!certificateCheck.valid) {
+      return { valid: false, reason: `quorum certificate rejected: ${certificateCheck.reason}` };
+    }
+    
+    // The summarized state must hash to the coin hash the witnesses certified
+    const stateHash = Coin.computeHash({
+      id: this.id,
+      ownerId: checkpoint.ownerId,
+      value: checkpoint.value,
+      created: this.created,
+      lastTransferred: checkpoint.lastTransferred,
+      historyLength: checkpoint.sequence,
+      status: checkpoint.status,
+      lastHash: checkpoint.lastHash,
+      genesisHash: this.getGenesisHash(),
+      conditionsHash: checkpoint.conditions ? canonicalHash(checkpoint.conditions) : undefined,
+      asset: this.asset || undefined,
+      termsHash: this.getTermsHash()
+    });
+    if (stateHash !== checkpoint.coinHash) {
+      return { valid: false, reason: 'checkpoint state does not match its coin hash' };
+    }
+    
+    return { valid: true, checkpoint };
+  }
+
+  // Check the owner's signature (and any quorum certificate) on a transfer entry
+  _verifyTransferEntry(entry, keyResolver, options) {
+    if (!entry.envelope) {
+      return { valid: false, reason: 'transfer has no signed envelope' };
+    }
+    
+    // A coin moved as part of a batch or swap stores the whole envelope
+    const isBatch = BatchEnvelope.isBatch(entry.envelope);
+    const isSwap = SwapEnvelope.isSwap(entry.envelope);
+    
+    let envelope;
+    try {
+      envelope = isBatch
+        ? BatchEnvelope.fromJSON(entry.envelope)
+        : isSwap ? SwapEnvelope.fromJSON(entry.envelope) : TransferEnvelope.fromJSON(entry.envelope);
+    } catch (err) {
+      return { valid: false, reason: `malformed envelope: ${err.message}` };
+    }
+    
+    const signed = isSwap
+      ? envelope.findCoin(this.id) || {}
+      : {
+        ...(isBatch ? envelope.findCoin(this.id) : { coinId: envelope.coinId, coinHash: envelope.coinHash, value: envelope.value }),
+        sender: envelope.sender,
+        recipient: envelope.recipient
+      };
+    
+    if (signed.coinId !== this.id ||
+        signed.coinHash !== entry.hash ||
+        signed.value !== entry.value ||
+        signed.sender !== entry.from ||
+        signed.recipient !== entry.to) {
+      return { valid: false, reason: 'signed envelope does not match the transfer record' };
+    }
+    
+    return this._verifySignedEntry(entry, envelope, signed.sender, keyResolver, options);
+  }
+
+  // Check the issuer's signature and certificate on a freeze, unfreeze or revoke entry
+  _verifyStatusEntry(entry, keyResolver, options) {
+    if (!entry.envelope) {
+      return { valid: false, reason: `${entry.type} has no signed envelope` };
+    }
+    
+    let envelope;
+    try {
+      envelope = StatusEnvelope.fromJSON(entry.envelope);
+    } catch (err) {
+      return { valid: false, reason: `malformed envelope: ${err.message}` };
+    }
+    
+    if (envelope.action !== entry.type ||
+        envelope.coinId !== this.id ||
+        envelope.coinHash !== entry.hash ||
+        envelope.issuerId !== entry.issuerId ||
+        envelope.reason !== entry.reason) {
+      return { valid: false, reason: `signed envelope does not match the ${entry.type} record` };
+    }
+    
+    if (!this.genesis.some(record => record.issuerId === envelope.issuerId)) {
+      return { valid: false, reason: `${envelope.issuerId} did not issue this coin` };
+    }
+    
+    // Issuer keys come from the issuer registry when one is given
+    const issuer = options.issuers ? options.issuers.get(envelope.issuerId) : null;
+    const resolver = walletId => walletId === envelope.issuerId && issuer
+      ? issuer.publicKey
+      : resolvePublicKey(keyResolver, walletId);
+    
+    const signatureCheck = this._verifySignedEntry(entry, envelope, envelope.issuerId, resolver, options);
+    if (!signatureCheck.valid) {
+      return signatureCheck;
+    }
+    
+    return { valid: true, envelope };
+  }
+
+  // Check the owner's signature, value conservation and certificate on a split or merge entry
+  _verifyOperationEntry(entry, keyResolver, options) {
+    if (!entry.envelope) {
+      return { valid: false, reason: `${entry.type} has no signed envelope` };
+    }
+    
+    let envelope;
+    try {
+      envelope = OperationEnvelope.fromJSON(entry.envelope);
+    } catch (err) {
+      return { valid: false, reason: `malformed envelope: ${err.message}` };
+    }
+    
+    if (envelope.type !== entry.type || envelope.getId() !== entry.operationId) {
+      return { valid: false, reason: `signed envelope does not match the ${entry.type} record` };
+    }
+    
+    const conservation = envelope.checkConservation();
+    if (!conservation.valid) {
+      return { valid: false, reason: conservation.reason };
+    }
+    
+    const signatureCheck = this._verifySignedEntry(entry, envelope, envelope.owner, keyResolver, options);
+    if (!signatureCheck.valid) {
+      return signatureCheck;
+    }
+    
+    return { valid: true, envelope };
+  }
+
+  // Verify the signer's signature over an envelope and the quorum certificate for it.
+  // A multisig owner's entry carries the policy and its members' signatures.
+  _verifySignedEntry(entry, envelope, signer, keyResolver, options) {
+    if (MultisigPolicy.isMultisigSignature(entry.signature)) {
+      const multisigCheck = MultisigPolicy.verifyBundle(signer, envelope.serialize(), entry.signature);
+      if (!multisigCheck.valid) {
+        return { valid: false, reason: `multisig owner ${signer}: ${multisigCheck.reason}` };
+      }
+    } else {
+      const publicKey = resolvePublicKey(keyResolver, signer);
+      if (!publicKey) {
+        return { valid: false, reason: `no public key known for owner ${signer}` };
+      }
+      
+      // A swap names each party's key algorithm on that party's leg
+      const algorithm = SwapEnvelope.isSwap(envelope) ? envelope.getAlgorithm(signer) : envelope.algorithm;
+      if (!verifyData(envelope.serialize(), entry.signature, publicKey, algorithm)) {
+        return { valid: false, reason: `invalid owner signature from ${signer}` };
+      }
+    }
+    
+    if (entry.certificate) {
+      let certificate;
+      try {
+        certificate = QuorumCertificate.fromJSON(entry.certificate);
+      } catch (err) {
+        return { valid: false, reason: `malformed quorum certificate: ${err.message}` };
+      }
+      
+      const certificateCheck = certificate.verify(keyResolver, {
+        txId: envelope.getId(),
+        threshold: options.witnessThreshold
+      });
+      if (!certificateCheck.valid) {
+        return { valid: false, reason: `quorum certificate rejected: ${certificateCheck.reason}` };
+      }
+    } else if (options.witnessThreshold) {
+      return { valid: false, reason: 'entry has no quorum certificate' };
+    }
+    
+    return { valid: true };
   }
 
   // Get compact representation of the coin
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const bip39 = require('bip39');
+const Wallet = require('./Wallet');
+
+// SLIP-0010 master key salt for Ed25519
+const ED25519_SEED_KEY = 'ed25519 seed';
+
+// Every identity lives under m/44'/7337'/account'/index' (all hardened, as Ed25519 requires)
+const PURPOSE = 44;
+const COIN_TYPE = 7337;
+
+// Identities derived past the last used one before discovery gives up
+const DEFAULT_GAP_LIMIT = 20;
+
+// DER prefix of a PKCS#8 Ed25519 private key; the 32-byte seed follows it
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const HARDENED_OFFSET = 0x80000000;
+
+// SLIP-0010 hardened child derivation for Ed25519
+function deriveNode(seed, path) {
+  let digest = crypto.createHmac('sha512', ED25519_SEED_KEY).update(seed).digest();
+  let key = digest.subarray(0, 32);
+  let chainCode = digest.subarray(32);
+
+  for (const index of path) {
+    const data = Buffer.alloc(37);
+    key.copy(data, 1);
+    data.writeUInt32BE(index + HARDENED_OFFSET, 33);
+
+    digest = crypto.createHmac('sha512', chainCode).update(data).digest();
+    key = digest.subarray(0, 32);
+    chainCode = digest.subarray(32);
+  }
+
+  return key;
+}
+
+// PEM Ed25519 key pair from a 32-byte private seed
+function keyPairFromSeed(privateSeed) {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, privateSeed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  return {
+    publicKey: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    algorithm: 'ed25519'
+  };
+}
+
+// A hierarchical deterministic wallet: one recovery phrase yields any number of
+// receiving identities, each an ordinary Ed25519 Wallet. Losing every key file
+// loses nothing as long as the phrase survives.
+class HDWallet {
+  // mnemonic: BIP-39 recovery phrase. options.passphrase is the optional BIP-39
+  // passphrase (a different passphrase yields an unrelated set of identities).
+  constructor(mnemonic, options = {}) {
+    if (!bip39.validateMnemonic(mnemonic)) {
+      throw new Error('Invalid recovery phrase');
+    }
+
+    this.mnemonic = mnemonic;
+    this.account = options.account || 0;
+    this.seed = bip39.mnemonicToSeedSync(mnemonic, options.passphrase || '');
+    this.identities = []; // Derived Wallets, by index
+
+    this.deriveIdentities(options.identities || 1);
+  }
+
+  // Create a wallet with a fresh recovery phrase (128 bits = 12 words, 256 bits = 24 words)
+  static generate(options = {}) {
+    const mnemonic = bip39.generateMnemonic(options.strength || 128);
+    return new HDWallet(mnemonic, options);
+  }
+
+  // Restore a wallet from its phrase alone. Identities are derived until
+  // `gapLimit` consecutive ones are unused according to options.isUsed(walletId)
+  // (e.g. a lookup in a witness's key directory).
+  static restore(mnemonic, options = {}) {
+    const { isUsed = () => false, gapLimit = DEFAULT_GAP_LIMIT, ...walletOptions } = options;
+    const wallet = new HDWallet(mnemonic, { ...walletOptions, identities: 1 });
+
+    let lastUsed = isUsed(wallet.identities[0].getId()) ? 0 : -1;
+    for (let index = 1; index - lastUsed <= gapLimit; index++) {
+      if (isUsed(wallet.deriveIdentity(index).getId())) {
+        lastUsed = index;
+      }
+    }
+
+    // Keep the used identities plus one fresh receiving identity
+    wallet.identities = wallet.identities.slice(0, lastUsed + 2);
+    return wallet;
+  }
+
+  // Derivation path of an identity
+  getPath(index) {
+    return `m/${PURPOSE}'/${COIN_TYPE}'/${this.account}'/${index}'`;
+  }
+
+  // Derive (or return the already derived) identity at an index
+  deriveIdentity(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+      throw new Error(`Invalid identity index: ${index}`);
+    }
+
+    if (!this.identities[index]) {
+      const privateSeed = deriveNode(this.seed, [PURPOSE, COIN_TYPE, this.account, index]);
+      this.identities[index] = new Wallet(null, null, { keyPair: keyPairFromSeed(privateSeed) });
+    }
+
+    return this.identities[index];
+  }
+
+  // Make sure the first `count` identities exist
+  deriveIdentities(count) {
+    for (let index = 0; index < count; index++) {
+      this.deriveIdentity(index);
+    }
+    return this.identities.slice(0, count);
+  }
+
+  // A new identity to hand out for receiving coins
+  getNextReceivingIdentity() {
+    const unused = this.identities.find(wallet => wallet.getCoinCount() === 0 && wallet.transactions.length === 0);
+    return unused || this.deriveIdentity(this.identities.length);
+  }
+
+  getIdentity(index) {
+    return this.identities[index] || null;
+  }
+
+  // The derived identity owning a wallet ID, or null
+  findIdentity(walletId) {
+    return this.identities.find(wallet => wallet.getId() === walletId) || null;
+  }
+
+  getIds() {
+    return this.identities.map(wallet => wallet.getId());
+  }
+
+  // Add a coin to whichever identity owns it
+  addCoin(coin) {
+    const identity = this.findIdentity(coin.ownerId);
+    return identity ? identity.addCoin(coin) : false;
+  }
+
+  // All coins across identities
+  getCoins() {
+    return this.identities.flatMap(wallet => wallet.coins);
+  }
+
+  // Combined balance of every identity in one asset (the native coin by default)
+  getBalance(asset = null) {
+    return this.identities.reduce((total, wallet) => total + wallet.getBalance(asset), 0);
+  }
+
+  // Combined balance of every identity in each asset
+  getBalances() {
+    return this.identities.reduce((balances, wallet) => {
+      Object.entries(wallet.getBalances()).forEach(([asset, value]) => {
+        balances[asset] = (balances[asset] || 0) + value;
+      });
+      return balances;
+    }, {});
+  }
+
+  getCoinCount() {
+    return this.identities.reduce((total, wallet) => total + wallet.getCoinCount(), 0);
+  }
+
+  // Combined history, newest first, each entry tagged with its identity
+  getTransactionHistory() {
+    return this.identities
+      .flatMap(wallet => wallet.transactions.map(tx => ({ ...tx, walletId: wallet.getId() })))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+}
+
+HDWallet.DEFAULT_GAP_LIMIT = DEFAULT_GAP_LIMIT;
+
+module.exports = HDWallet;
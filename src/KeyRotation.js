@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { canonicalize, canonicalHash } = require('./canonical');
+const { verifyData, detectKeyAlgorithm, walletIdForPublicKey } = require('./signatures');
+
+const ROTATION_VERSION = 1;
+
+// Statement retiring a wallet key in favour of a new one. The old key signs it
+// to authorise the hand-over, and the new key signs it to prove the successor
+// really holds its private key. Once agents register it, the old identity may
+// only move its coins to the new one.
+class KeyRotation {
+  constructor({ oldWalletId, newWalletId, newPublicKey, newAlgorithm, networkId, nonce, timestamp, oldSignature = null, newSignature = null, version = ROTATION_VERSION }) {
+    this.version = version;
+    this.oldWalletId = oldWalletId;
+    this.newWalletId = newWalletId;
+    this.newPublicKey = newPublicKey;
+    this.newAlgorithm = newAlgorithm || null;
+    this.networkId = networkId || null;
+    this.nonce = nonce || crypto.randomBytes(16).toString('hex');
+    this.timestamp = timestamp || Date.now();
+    this.oldSignature = oldSignature; // By the retiring key
+    this.newSignature = newSignature; // By the successor key
+  }
+
+  // Build and sign a rotation from oldWallet to newWallet
+  static create(oldWallet, newWallet, networkId = null) {
+    const rotation = new KeyRotation({
+      oldWalletId: oldWallet.getId(),
+      newWalletId: newWallet.getId(),
+      newPublicKey: newWallet.publicKey,
+      newAlgorithm: newWallet.algorithm,
+      networkId
+    });
+
+    rotation.oldSignature = oldWallet.sign(rotation.getSignedData());
+    rotation.newSignature = newWallet.sign(rotation.getSignedData());
+    return rotation;
+  }
+
+  // Canonical string covered by both signatures
+  getSignedData() {
+    const { oldSignature, newSignature, ...unsigned } = this.toJSON();
+    return canonicalize(unsigned);
+  }
+
+  getId() {
+    const { oldSignature, newSignature, ...unsigned } = this.toJSON();
+    return canonicalHash(unsigned);
+  }
+
+  // Check the statement against the retiring wallet's registered public key
+  verify(oldPublicKey) {
+    if (!oldPublicKey || walletIdForPublicKey(oldPublicKey) !== this.oldWalletId) {
+      return { valid: false, reason: 'public key does not belong to the retiring wallet' };
+    }
+
+    if (walletIdForPublicKey(this.newPublicKey) !== this.newWalletId) {
+      return { valid: false, reason: 'new wallet ID does not match the new public key' };
+    }
+
+    if (this.newWalletId === this.oldWalletId) {
+      return { valid: false, reason: 'a key cannot be rotated to itself' };
+    }
+
+    if (this.newAlgorithm && detectKeyAlgorithm(this.newPublicKey) !== this.newAlgorithm) {
+      return { valid: false, reason: `new public key is not a ${this.newAlgorithm} key` };
+    }
+
+    if (!verifyData(this.getSignedData(), this.oldSignature, oldPublicKey)) {
+      return { valid: false, reason: 'invalid signature from the retiring key' };
+    }
+
+    if (!verifyData(this.getSignedData(), this.newSignature, this.newPublicKey)) {
+      return { valid: false, reason: 'invalid signature from the new key' };
+    }
+
+    return { valid: true };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      oldWalletId: this.oldWalletId,
+      newWalletId: this.newWalletId,
+      newPublicKey: this.newPublicKey,
+      newAlgorithm: this.newAlgorithm,
+      networkId: this.networkId,
+      nonce: this.nonce,
+      timestamp: this.timestamp,
+      oldSignature: this.oldSignature,
+      newSignature: this.newSignature
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== ROTATION_VERSION) {
+      throw new Error(`Unsupported key rotation version: ${data && data.version}`);
+    }
+    return new KeyRotation(data);
+  }
+}
+
+KeyRotation.VERSION = ROTATION_VERSION;
+
+module.exports = KeyRotation;
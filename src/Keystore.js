@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { canonicalize } = require('./canonical');
+
+// Version 1 authenticated only the public key; it still decrypts, and is
+// written as version 2 the next time the passphrase changes
+const KEYSTORE_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+// Default scrypt cost - roughly 16MB of memory per derivation
+const DEFAULT_KDF_PARAMS = { N: 16384, r: 8, p: 1 };
+
+// Passphrase-protected storage for a wallet's private key. The key is derived
+// from the passphrase with scrypt and the private key encrypted with AES-256-GCM;
+// the public key, key algorithm and KDF settings are stored in the clear but
+// bound to the ciphertext as associated data, so none can be changed without detection.
+class Keystore {
+  // Encrypt a key pair with a passphrase. The key algorithm, if given, is
+  // recorded alongside the public key.
+  static encrypt({ publicKey, privateKey, algorithm }, passphrase, kdfParams = DEFAULT_KDF_PARAMS) {
+    Keystore._checkPassphrase(passphrase);
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = Keystore._deriveKey(passphrase, salt, kdfParams);
+
+    const keystore = {
+      version: KEYSTORE_VERSION,
+      algorithm,
+      publicKey,
+      crypto: {
+        kdf: 'scrypt',
+        kdfParams: { ...kdfParams, salt: salt.toString('base64') },
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64')
+      }
+    };
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Keystore._associatedData(keystore));
+    const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+    keystore.crypto.authTag = cipher.getAuthTag().toString('base64');
+    keystore.crypto.ciphertext = ciphertext.toString('base64');
+    return keystore;
+  }
+
+  // Decrypt a keystore, returning { publicKey, privateKey, algorithm }
+  static decrypt(keystore, passphrase) {
+    if (!Keystore.isEncrypted(keystore)) {
+      throw new Error('Not an encrypted wallet keystore');
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(keystore.version)) {
+      throw new Error(`Unsupported keystore version: ${keystore.version}`);
+    }
+
+    const params = keystore.crypto;
+    if (params.kdf !== 'scrypt' || params.cipher !== 'aes-256-gcm') {
+      throw new Error(`Unsupported keystore encryption: ${params.kdf}/${params.cipher}`);
+    }
+
+    if (!passphrase) {
+      throw new Error('Passphrase required to unlock this wallet');
+    }
+
+    const { salt, ...kdfParams } = params.kdfParams;
+    const key = Keystore._deriveKey(passphrase, Buffer.from(salt, 'base64'), kdfParams);
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(params.iv, 'base64'));
+      decipher.setAAD(Keystore._associatedData(keystore));
+      decipher.setAuthTag(Buffer.from(params.authTag, 'base64'));
+      const privateKey = Buffer.concat([
+        decipher.update(Buffer.from(params.ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+
+      return { publicKey: keystore.publicKey, privateKey, algorithm: keystore.algorithm };
+    } catch (err) {
+      // GCM authentication fails the same way for a wrong passphrase and for tampering
+      throw new Error('Incorrect passphrase or corrupted keystore - unable to decrypt wallet key');
+    }
+  }
+
+  // Re-encrypt a keystore under a new passphrase
+  static changePassphrase(keystore, oldPassphrase, newPassphrase) {
+    const keys = Keystore.decrypt(keystore, oldPassphrase);
+    const { salt, ...kdfParams } = keystore.crypto.kdfParams;
+    return Keystore.encrypt(keys, newPassphrase, kdfParams);
+  }
+
+  // Whether parsed key file data is an encrypted keystore (vs. a legacy plaintext file)
+  static isEncrypted(data) {
+    return Boolean(data && data.crypto && data.crypto.ciphertext);
+  }
+
+  // Clear-text fields the ciphertext is bound to
+  static _associatedData(keystore) {
+    if (keystore.version === 1) {
+      return Buffer.from(keystore.publicKey);
+    }
+
+    const { kdf, kdfParams, cipher } = keystore.crypto;
+    return Buffer.from(canonicalize({
+      publicKey: keystore.publicKey,
+      algorithm: keystore.algorithm || null,
+      kdf,
+      kdfParams,
+      cipher
+    }));
+  }
+
+  static _deriveKey(passphrase, salt, { N, r, p }) {
+    return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+  }
+
+  static _checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      throw new Error('A non-empty passphrase is required to encrypt the wallet');
+    }
+  }
+}
+
+Keystore.VERSION = KEYSTORE_VERSION;
+
+module.exports = Keystore;
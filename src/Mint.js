@@ -0,0 +1,75 @@
+const Coin = require('./Coin');
+const MintRecord = require('./MintRecord');
+const StatusEnvelope = require('./StatusEnvelope');
+const Wallet = require('./Wallet');
+
+// An issuer: the only way new value enters the network. Every coin it creates
+// carries a mint record signed with the issuer's key.
+class Mint {
+  constructor(wallet = null, options = {}) {
+    this.wallet = wallet || new Wallet();
+    this.supplyCap = options.supplyCap || null; // Optional maximum total supply
+    this.issued = options.issued || 0; // Total value issued so far
+  }
+
+  // Issuer identifier (the issuing wallet's ID)
+  getIssuerId() {
+    return this.wallet.getId();
+  }
+
+  getPublicKey() {
+    return this.wallet.publicKey;
+  }
+
+  // Remaining value this issuer may create, or Infinity without a cap
+  getRemainingSupply() {
+    return this.supplyCap === null ? Infinity : this.supplyCap - this.issued;
+  }
+
+  // Create a new coin for an owner with a signed mint record.
+  // metadata.asset mints a registered asset instead of the native coin.
+  mint(ownerId, value, metadata = {}) {
+    if (typeof value !== 'number' || value <= 0) {
+      throw new Error('Mint value must be a positive number');
+    }
+
+    if (value > this.getRemainingSupply()) {
+      throw new Error(`Supply cap of ${this.supplyCap} would be exceeded (issued: ${this.issued})`);
+    }
+
+    const coin = new Coin(ownerId, value, null, metadata);
+
+    const record = new MintRecord({
+      issuerId: this.getIssuerId(),
+      coinId: coin.id,
+      ownerId,
+      value,
+      asset: coin.asset,
+      issuedTotal: this.issued + value
+    });
+    record.signature = this.wallet.sign(record.getSignedData());
+
+    coin.genesis = [record.toJSON()];
+    coin.updateHash();
+
+    this.issued += value;
+    return coin;
+  }
+
+  // Sign a request to freeze, unfreeze or revoke a coin this issuer minted.
+  // It takes effect only once a witness quorum approves it (Network.changeCoinStatus).
+  requestStatusChange(coin, action, reason, networkId = null) {
+    const envelope = StatusEnvelope.forCoin(coin, action, this.getIssuerId(), reason, networkId, this.wallet.algorithm);
+
+    return {
+      type: 'status',
+      envelope,
+      signature: this.wallet.sign(envelope.serialize()),
+      coin,
+      issuerId: envelope.issuerId,
+      timestamp: envelope.timestamp
+    };
+  }
+}
+
+module.exports = Mint;
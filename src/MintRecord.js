@@ -0,0 +1,62 @@
+const { canonicalize, canonicalHash } = require('./canonical');
+const { verifyData } = require('./signatures');
+
+const MINT_RECORD_VERSION = 1;
+
+// Signed statement by an issuer that a coin was created. Carries the issuer's
+// running supply total so witnesses can enforce supply caps offline.
+class MintRecord {
+  constructor({ issuerId, coinId, ownerId, value, asset, issuedTotal, timestamp, signature = null, version = MINT_RECORD_VERSION }) {
+    this.version = version;
+    this.issuerId = issuerId;
+    this.coinId = coinId;
+    this.ownerId = ownerId; // First owner of the minted coin
+    this.value = value;
+    this.asset = asset || undefined; // Asset minted; left out for the native coin so older records keep their signatures
+    this.issuedTotal = issuedTotal; // Issuer's total supply including this coin
+    this.timestamp = timestamp || Date.now();
+    this.signature = signature;
+  }
+
+  // Canonical string covered by the issuer signature
+  getSignedData() {
+    const { signature, ...unsigned } = this.toJSON();
+    return canonicalize(unsigned);
+  }
+
+  // Identifier of the record (independent of the signature encoding)
+  getId() {
+    const { signature, ...unsigned } = this.toJSON();
+    return canonicalHash(unsigned);
+  }
+
+  // Check the signature against the issuer's public key
+  verify(publicKey) {
+    return verifyData(this.getSignedData(), this.signature, publicKey);
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      issuerId: this.issuerId,
+      coinId: this.coinId,
+      ownerId: this.ownerId,
+      value: this.value,
+      asset: this.asset,
+      issuedTotal: this.issuedTotal,
+      timestamp: this.timestamp,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== MINT_RECORD_VERSION) {
+      throw new Error(`Unsupported mint record version: ${data && data.version}`);
+    }
+    return new MintRecord(data);
+  }
+}
+
+MintRecord.VERSION = MINT_RECORD_VERSION;
+
+module.exports = MintRecord;
@@ -0,0 +1,130 @@
+const { canonicalHash } = require('./canonical');
+const { verifyData, detectKeyAlgorithm, walletIdForPublicKey } = require('./signatures');
+
+const POLICY_VERSION = 1;
+
+// Shared ownership: a coin owned by a policy can only move with valid
+// signatures from at least `threshold` of its member keys. The policy ID has
+// the same shape as a wallet ID, so a policy can be paid like any wallet.
+class MultisigPolicy {
+  constructor({ threshold, publicKeys, version = POLICY_VERSION }) {
+    this.version = version;
+    this.threshold = threshold;
+    // Sorted by wallet ID so every member builds the same policy
+    this.publicKeys = [...(publicKeys || [])].sort((a, b) =>
+      walletIdForPublicKey(a).localeCompare(walletIdForPublicKey(b)));
+  }
+
+  // Build an m-of-n policy over member public keys
+  static create(threshold, publicKeys) {
+    const policy = new MultisigPolicy({ threshold, publicKeys });
+    const check = policy.validate();
+    if (!check.valid) {
+      throw new Error(`Invalid multisig policy: ${check.reason}`);
+    }
+    return policy;
+  }
+
+  // Check the policy itself is well formed
+  validate() {
+    if (!Array.isArray(this.publicKeys) || this.publicKeys.length === 0) {
+      return { valid: false, reason: 'policy has no member keys' };
+    }
+
+    if (!Number.isInteger(this.threshold) || this.threshold < 1 || this.threshold > this.publicKeys.length) {
+      return { valid: false, reason: `threshold must be between 1 and ${this.publicKeys.length}` };
+    }
+
+    if (this.publicKeys.some(key => !detectKeyAlgorithm(key))) {
+      return { valid: false, reason: 'policy contains an unsupported key' };
+    }
+
+    if (new Set(this.getMembers()).size !== this.publicKeys.length) {
+      return { valid: false, reason: 'policy lists the same key twice' };
+    }
+
+    return { valid: true };
+  }
+
+  // Owner ID of coins held under this policy
+  getId() {
+    return canonicalHash({ type: 'multisig', threshold: this.threshold, members: this.getMembers() }).substring(0, 16);
+  }
+
+  // Wallet IDs of the members
+  getMembers() {
+    return this.publicKeys.map(key => walletIdForPublicKey(key));
+  }
+
+  isMember(walletId) {
+    return this.getMembers().includes(walletId);
+  }
+
+  getPublicKey(walletId) {
+    return this.publicKeys.find(key => walletIdForPublicKey(key) === walletId) || null;
+  }
+
+  // Count the distinct members with a valid signature over data.
+  // signatures is an array of { signer, signature }.
+  verifySignatures(data, signatures) {
+    const signers = new Set();
+
+    (signatures || []).forEach(({ signer, signature }) => {
+      const publicKey = this.getPublicKey(signer);
+      if (publicKey && !signers.has(signer) && verifyData(data, signature, publicKey)) {
+        signers.add(signer);
+      }
+    });
+
+    if (signers.size < this.threshold) {
+      return { valid: false, count: signers.size, reason: `only ${signers.size} of ${this.threshold} required signatures are valid` };
+    }
+    return { valid: true, count: signers.size, signers: Array.from(signers) };
+  }
+
+  // Whether a stored signature is a multisig bundle rather than a single signature
+  static isMultisigSignature(signature) {
+    return Boolean(signature) && typeof signature === 'object' && signature.type === 'multisig';
+  }
+
+  // Check a multisig bundle ({ type, policy, signatures }) signed by owner ownerId.
+  // The policy travels with the signatures; its ID must be the owner.
+  static verifyBundle(ownerId, data, bundle) {
+    let policy;
+    try {
+      policy = MultisigPolicy.fromJSON(bundle.policy);
+    } catch (err) {
+      return { valid: false, reason: `malformed multisig policy: ${err.message}` };
+    }
+
+    const check = policy.validate();
+    if (!check.valid) {
+      return check;
+    }
+
+    if (policy.getId() !== ownerId) {
+      return { valid: false, reason: `multisig policy ${policy.getId()} does not own the coin` };
+    }
+
+    return policy.verifySignatures(data, bundle.signatures);
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      threshold: this.threshold,
+      publicKeys: this.publicKeys
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== POLICY_VERSION) {
+      throw new Error(`Unsupported multisig policy version: ${data && data.version}`);
+    }
+    return new MultisigPolicy(data);
+  }
+}
+
+MultisigPolicy.VERSION = POLICY_VERSION;
+
+module.exports = MultisigPolicy;
@@ -0,0 +1,142 @@
+const Coin = require('./Coin');
+const TransferEnvelope = require('./TransferEnvelope');
+const BatchEnvelope = require('./BatchEnvelope');
+const MultisigPolicy = require('./MultisigPolicy');
+const { verifyData } = require('./signatures');
+
+// A transfer of policy-owned coins while its signatures are being collected.
+// One member proposes it, the others check and co-sign it (it can be passed
+// around as JSON), and once the threshold is reached it goes to the witnesses.
+class MultisigTransfer {
+  constructor({ policy, coins, envelope, signatures }) {
+    this.policy = policy instanceof MultisigPolicy ? policy : MultisigPolicy.fromJSON(policy);
+    this.coins = (coins || []).map(coin => coin instanceof Coin ? coin : Coin.fromJSON(coin));
+    this.envelope = BatchEnvelope.isBatch(envelope)
+      ? BatchEnvelope.fromJSON(envelope.toJSON ? envelope.toJSON() : envelope)
+      : TransferEnvelope.fromJSON(envelope.toJSON ? envelope.toJSON() : envelope);
+    this.signatures = signatures || []; // { signer, signature } from members
+  }
+
+  // Describe a transfer of one or more policy-owned coins. Signatures are added with sign().
+  static propose(policy, coins, recipientId, networkId = null) {
+    const list = Array.isArray(coins) ? coins : [coins];
+    if (list.length === 0) {
+      throw new Error('A multisig transfer needs at least one coin');
+    }
+    if (list.some(coin => coin.ownerId !== policy.getId())) {
+      throw new Error('Every coin must be owned by the multisig policy');
+    }
+
+    const envelope = list.length > 1
+      ? BatchEnvelope.forCoins(list, recipientId, networkId)
+      : TransferEnvelope.forCoin(list[0], recipientId, networkId);
+
+    return new MultisigTransfer({ policy, coins: list, envelope });
+  }
+
+  isBatch() {
+    return BatchEnvelope.isBatch(this.envelope);
+  }
+
+  getId() {
+    return this.envelope.getId();
+  }
+
+  // Check that the envelope describes these coins, owned by this policy
+  checkCoins() {
+    if (this.envelope.sender !== this.policy.getId()) {
+      return { valid: false, reason: 'envelope sender is not the multisig policy' };
+    }
+
+    if (this.isBatch()) {
+      const check = this.envelope.checkCoins();
+      return check.valid ? this.envelope.matchesCoins(this.coins) : check;
+    }
+
+    return this.coins.length === 1
+      ? this.envelope.matchesCoin(this.coins[0])
+      : { valid: false, reason: 'a single transfer must carry one coin' };
+  }
+
+  // Co-sign as a member wallet, after checking what is being signed
+  sign(wallet) {
+    const walletId = wallet.getId();
+    if (!this.policy.isMember(walletId)) {
+      throw new Error(`Wallet ${walletId} is not a member of multisig ${this.policy.getId()}`);
+    }
+
+    const check = this.checkCoins();
+    if (!check.valid) {
+      throw new Error(`Refusing to sign multisig transfer: ${check.reason}`);
+    }
+
+    return this.addSignature(walletId, wallet.sign(this.envelope.serialize()));
+  }
+
+  // Add a signature collected elsewhere. Invalid or non-member signatures are refused.
+  addSignature(signer, signature) {
+    const publicKey = this.policy.getPublicKey(signer);
+    if (!publicKey) {
+      throw new Error(`${signer} is not a member of multisig ${this.policy.getId()}`);
+    }
+    if (!verifyData(this.envelope.serialize(), signature, publicKey)) {
+      throw new Error(`Invalid signature from ${signer}`);
+    }
+
+    this.signatures = this.signatures.filter(entry => entry.signer !== signer);
+    this.signatures.push({ signer, signature });
+    return this;
+  }
+
+  // Members who have signed so far
+  getSigners() {
+    return this.signatures.map(entry => entry.signer);
+  }
+
+  isComplete() {
+    return this.policy.verifySignatures(this.envelope.serialize(), this.signatures).valid;
+  }
+
+  // The signature bundle witnesses verify and coins store in their history
+  getSignature() {
+    return {
+      type: 'multisig',
+      policy: this.policy.toJSON(),
+      signatures: this.signatures
+    };
+  }
+
+  // Transaction in the shape Network._processTransaction expects
+  toTransaction() {
+    const transaction = {
+      envelope: this.envelope,
+      signature: this.getSignature(),
+      sender: this.envelope.sender,
+      recipient: this.envelope.recipient,
+      timestamp: this.envelope.timestamp
+    };
+
+    if (this.isBatch()) {
+      return { type: 'batch', coins: this.coins, ...transaction };
+    }
+    return { coin: this.coins[0], ...transaction };
+  }
+
+  toJSON() {
+    return {
+      policy: this.policy.toJSON(),
+      coins: this.coins.map(coin => coin.toJSON()),
+      envelope: this.envelope.toJSON(),
+      signatures: this.signatures
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || !data.policy || !data.envelope || !Array.isArray(data.coins)) {
+      throw new Error('Multisig transfer is missing its policy, envelope or coins');
+    }
+    return new MultisigTransfer(data);
+  }
+}
+
+module.exports = MultisigTransfer;
@@ -1,9 +1,17 @@
 const Agent = require('./Agent');
-const crypto = require('crypto');
+const Wallet = require('./Wallet');
 const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const Coin = require('./Coin');
+const OperationEnvelope = require('./OperationEnvelope');
+const Mint = require('./Mint');
+const QuorumCertificate = require('./QuorumCertificate');
+const MultisigPolicy = require('./MultisigPolicy');
+const Checkpoint = require('./Checkpoint');
+const { isAddress, validateAddress } = require('./address');
+const { normalizeAsset } = require('./assets');
+const { DEFAULT_GRACE_PERIOD, DEFAULT_WARNING_PERIOD } = require('./renewal');
 
 class Network extends EventEmitter {
   constructor(options = {}) {
@@ -17,6 +25,13 @@ class Network extends EventEmitter {
       networkId: 'main',
       peerTimeout: 30000, // 30 seconds
       maxRetries: 3,
+      issuers: [], // Mint instances allowed to create coins
+      supplyCap: null, // Supply cap of the default issuer
+      assets: [], // Asset definitions besides the native coin (see assets.js)
+      renewalGracePeriod: DEFAULT_GRACE_PERIOD, // How long expired coins stay renewable
+      expiryWarningPeriod: DEFAULT_WARNING_PERIOD, // How long before expiry holders are warned
+      keyAlgorithm: 'ed25519', // Agent wallet keys; an array assigns algorithms round-robin
+      clock: Date.now, // Current time in ms for expiry and renewal checks
       ...options
     };
     
@@ -37,17 +52,151 @@ class Network extends EventEmitter {
     this.pendingTransactions = new Map(); // txId -> {transaction, witnesses, retries}
     this.networkId = this.options.networkId;
     this.startTime = Date.now();
+    this.wireStats = { transfers: 0, coins: 0, jsonBytes: 0, encodedBytes: 0 }; // Size of delivered coins as JSON vs binary
     
     // Create agents with persistence
+    const keyAlgorithms = [].concat(this.options.keyAlgorithm);
     for (let i = 0; i < this.options.numAgents; i++) {
       const agentPath = path.join(agentsDir, `agent-${i}.json`);
-      this.agents.push(new Agent(i, agentPath));
+      this.agents.push(new Agent(i, agentPath, {
+        networkId: this.options.networkId,
+        witnessThreshold: this.options.requiredWitnesses,
+        renewalGracePeriod: this.options.renewalGracePeriod,
+        clock: this.options.clock,
+        keyAlgorithm: keyAlgorithms[i % keyAlgorithms.length]
+      }));
     }
     
+    // Every agent knows every other agent's wallet key, so witness
+    // attestations and quorum certificates can be checked anywhere
+    this._registerAgentKeys();
+    
+    // Configured issuers; without any, the network gets its own issuer
+    this.issuers = [];
+    const issuers = this.options.issuers.length > 0
+      ? this.options.issuers
+      : [new Mint(null, { supplyCap: this.options.supplyCap })];
+    issuers.forEach(mint => this.registerIssuer(mint));
+    this.mint = this.issuers[0];
+    
+    // Registered asset types, each tied to one of the issuers
+    this.assets = new Map(); // assetId -> definition
+    this.options.assets.forEach(definition => this.registerAsset(definition));
+    
     // Set up periodic network tasks
     this._setupNetworkTasks();
   }
 
+  // Register all agent wallet keys with all agents
+  _registerAgentKeys() {
+    this.agents.forEach(agent => {
+      const walletId = agent.getWallet().getId();
+      const publicKey = agent.getWallet().publicKey;
+      
+      this.agents.forEach(otherAgent => {
+        otherAgent.registerPublicKey(walletId, publicKey);
+      });
+    });
+  }
+
+  // Recognise an issuer on every agent
+  registerIssuer(mint) {
+    this.issuers.push(mint);
+    this.agents.forEach(agent => {
+      agent.registerIssuer(mint.getIssuerId(), mint.getPublicKey(), mint.supplyCap);
+    });
+    return mint.getIssuerId();
+  }
+
+  // Register an asset type on every agent. Its issuer must already be recognised.
+  registerAsset(definition) {
+    const asset = normalizeAsset(definition);
+    if (!this.issuers.some(mint => mint.getIssuerId() === asset.issuer)) {
+      throw new Error(`Asset ${asset.id} names an unknown issuer: ${asset.issuer}`);
+    }
+    if (this.assets.has(asset.id)) {
+      throw new Error(`Asset ${asset.id} is already registered`);
+    }
+    
+    this.assets.set(asset.id, asset);
+    this.agents.forEach(agent => agent.registerAsset(asset));
+    this.emit('asset:registered', asset);
+    return asset.id;
+  }
+
+  // Mint a coin of a registered asset through its issuer into an agent's wallet
+  issueAsset(agentId, assetId, value) {
+    const agent = this.agents[agentId];
+    const asset = this.assets.get(assetId);
+    if (!agent || !asset) {
+      throw new Error(agent ? `Unknown asset: ${assetId}` : 'invalid agent ID');
+    }
+    
+    const mint = this.issuers.find(issuer => issuer.getIssuerId() === asset.issuer);
+    const coin = mint.mint(agent.getWallet().getId(), value, { asset: assetId });
+    agent.getWallet().addCoin(coin);
+    return coin;
+  }
+
+  // Announce a key rotation to every agent. Succeeds only if all of them accept it.
+  async registerKeyRotation(rotation) {
+    for (const agent of this.agents) {
+      const result = await agent.registerKeyRotation(rotation);
+      if (!result.valid) {
+        return { success: false, reason: `agent ${agent.id} rejected the rotation: ${result.reason}` };
+      }
+    }
+    
+    this.emit('key:rotated', { oldWalletId: rotation.oldWalletId, newWalletId: rotation.newWalletId });
+    return { success: true };
+  }
+
+  // Retire an agent's wallet key: the old key signs a rotation naming a fresh
+  // key, every agent registers it, and all coins move to the new identity in
+  // one witness-validated batch. The agent then uses the new wallet.
+  async rotateAgentKey(agentId, options = {}) {
+    const agent = this.agents[agentId];
+    if (!agent) {
+      return { success: false, reason: 'invalid agent ID' };
+    }
+    
+    const oldWallet = agent.getWallet();
+    const newWallet = new Wallet(null, null, { algorithm: options.algorithm || oldWallet.algorithm });
+    const rotation = oldWallet.createKeyRotation(newWallet, this.networkId);
+    
+    const registration = await this.registerKeyRotation(rotation);
+    if (!registration.success) {
+      return registration;
+    }
+    
+    // Move every coin to the new identity; on failure they return to the old wallet
+    let migrated = [];
+    if (oldWallet.getCoinCount() > 0) {
+      const batch = oldWallet.transferCoins(
+        oldWallet.coins.map((_, index) => index),
+        newWallet.getAddress(this.networkId),
+        this.networkId
+      );
+      const result = await this._processTransaction(batch);
+      
+      if (result.status !== 'confirmed') {
+        return {
+          success: false,
+          rotation,
+          reason: `coin migration ${result.status === 'failed' ? `failed: ${result.failReason}` : 'awaiting witnesses'}`
+        };
+      }
+      
+      batch.coins.forEach(coin => newWallet.addCoin(coin));
+      migrated = batch.coins;
+    }
+    
+    agent.wallet = newWallet;
+    console.log(`🔑 Agent ${agentId} rotated key ${rotation.oldWalletId} -> ${rotation.newWalletId} (${migrated.length} coins migrated)`);
+    
+    return { success: true, rotation, oldWalletId: rotation.oldWalletId, newWalletId: rotation.newWalletId, coins: migrated };
+  }
+
   // Set up periodic tasks for network maintenance
   _setupNetworkTasks() {
     // Clean up stale peers
@@ -64,6 +213,12 @@ class Network extends EventEmitter {
     this.statsInterval = setInterval(() => {
       this._collectNetworkStats();
     }, 5 * 60000); // Every 5 minutes
+    
+    // Warn about coins nearing expiry
+    this.expiryWarned = new Set(); // coinId:state already reported
+    this.expiryInterval = setInterval(() => {
+      this.checkExpiringCoins();
+    }, 60 * 60000); // Every hour
   }
 
   // Clean up disconnected peers
@@ -89,8 +244,9 @@ class Network extends EventEmitter {
   async _retryPendingTransactions() {
     for (const [txId, tx] of this.pendingTransactions.entries()) {
       if (tx.retries >= this.options.maxRetries) {
-        // Transaction failed after max retries
+        // Transaction failed after max retries - the senders get their coins back
         this.pendingTransactions.delete(txId);
+        this._settleFailed(txId, tx.transaction);
         this.emit('transaction:failed', { 
           txId, 
           reason: 'max retries exceeded',
@@ -99,11 +255,22 @@ class Network extends EventEmitter {
         continue;
       }
       
+      // Rejected transactions are kept for reference until the next sweep, never retried
+      if (tx.status === 'failed') {
+        this.pendingTransactions.delete(txId);
+        this.emit('transaction:failed', {
+          txId,
+          reason: tx.failReason,
+          transaction: tx.transaction
+        });
+        continue;
+      }
+      
       // Increment retry count
       tx.retries++;
       
       // Try to get more witness validations
-      await this._processTransaction(tx.transaction);
+      await this._dispatchTransaction(tx.transaction);
     }
   }
 
@@ -114,6 +281,7 @@ class Network extends EventEmitter {
       activePeers: this.peers.size,
       pendingTransactions: this.pendingTransactions.size,
       witnessStats: this.agents.map(agent => agent.getStats()),
+      wire: { ...this.wireStats },
       timestamp: Date.now()
     };
     
@@ -245,15 +413,26 @@ class Network extends EventEmitter {
     return normalizedWeights.length - 1;
   }
 
-  // Process an incoming transaction through the network
-  async _processTransaction(transaction) {
-    const { coin, signature, sender, recipient, timestamp } = transaction;
-    
-    // Generate transaction ID
-    const txId = crypto.createHash('sha256')
-      .update(`${coin.id}-${sender}-${recipient}-${timestamp}`)
-      .digest('hex');
-    
+  // Route a transaction to the processor for its type
+  _dispatchTransaction(transaction) {
+    if (OperationEnvelope.TYPES.includes(transaction.type)) {
+      return this._processOperation(transaction);
+    }
+    if (transaction.type === 'status') {
+      return this._processStatusChange(transaction);
+    }
+    if (transaction.type === 'checkpoint') {
+      return this._processCheckpoint(transaction);
+    }
+    if (transaction.type === 'swap') {
+      return this._processSwap(transaction);
+    }
+    return this._processTransaction(transaction);
+  }
+
+  // Collect witness verdicts until the quorum approves the transaction or a
+  // witness rejects it. `validate` asks one witness for its signed verdict.
+  async _gatherQuorum(txId, transaction, excludeAgents, validate) {
     // If the transaction is new, add to pending
     if (!this.pendingTransactions.has(txId)) {
       this.pendingTransactions.set(txId, {
@@ -270,20 +449,20 @@ class Network extends EventEmitter {
     // Get the pending transaction record
     const pendingTx = this.pendingTransactions.get(txId);
     
+    if (pendingTx.status === 'failed') {
+      return { status: 'failed', reason: pendingTx.failReason };
+    }
+    
     // Skip if we already have enough validations
     if (pendingTx.validations.filter(v => v.valid).length >= this.options.requiredWitnesses) {
-      return txId;
+      return { status: 'pending' };
     }
     
-    // Get witnesses for this transaction (excluding sender and recipient agents)
-    const senderAgentIndex = this.agents.findIndex(a => a.getWallet().getId() === sender);
-    const recipientAgentIndex = this.agents.findIndex(a => a.getWallet().getId() === recipient);
-    
     // Get witnesses we haven't tried yet
     const usedWitnessIds = new Set(pendingTx.witnesses.map(w => w.id));
     const witnesses = this.getRandomWitnesses(
       this.options.requiredWitnesses,
-      [senderAgentIndex, recipientAgentIndex, ...Array.from(usedWitnessIds)]
+      [...excludeAgents, ...Array.from(usedWitnessIds)]
     );
     
     // Log witness selection with their reputation scores
@@ -293,13 +472,13 @@ class Network extends EventEmitter {
       }`);
     }
     
-    // Have all witnesses validate the transfer
+    // Have all witnesses validate the transaction
     for (const witness of witnesses) {
       // Add to the list of witnesses we've tried
       pendingTx.witnesses.push({ id: witness.id, timestamp: Date.now() });
       
       // Get validation result - now async
-      const validation = await witness.validateTransfer(transaction);
+      const validation = await validate(witness);
       
       // Record the validation
       pendingTx.validations.push({
@@ -320,7 +499,7 @@ class Network extends EventEmitter {
         pendingTx.status = 'failed';
         pendingTx.failReason = validation.reason;
         
-        return txId;
+        return { status: 'failed', reason: validation.reason };
       }
     }
     
@@ -328,53 +507,504 @@ class Network extends EventEmitter {
     const validWitnesses = pendingTx.validations.filter(v => v.valid);
     
     if (validWitnesses.length >= this.options.requiredWitnesses) {
-      // Transaction is valid! Complete it
-      const witnessIds = validWitnesses.map(v => v.witnessId);
-      
-      // Complete the transfer and update coin ownership
-      transaction.coin.transfer(recipient, transaction.signature, witnessIds);
-      
-      // Find recipient agent (if it's in our network)
-      const recipientAgent = this.agents.find(a => a.getWallet().getId() === recipient);
-      if (recipientAgent) {
-        // If in our network, add to their wallet
-        recipientAgent.getWallet().addCoin(transaction.coin);
-      }
-      
-      // Remove from pending
+      return { status: 'approved', validWitnesses };
+    }
+    
+    // Not enough valid witnesses yet
+    return { status: 'pending', validations: validWitnesses.length };
+  }
+
+  // Bundle the witnesses' signed approvals into a certificate that travels with the coins
+  _issueCertificate(envelope, validWitnesses) {
+    return QuorumCertificate.fromAttestations(
+      envelope,
+      validWitnesses.map(v => v.attestation).filter(Boolean),
+      this.options.requiredWitnesses
+    );
+  }
+
+  // Count the size of coins delivered by a transfer, as JSON and in the binary
+  // wire format (see wire.js); each coin carries its envelopes and attestations
+  _recordWireSize(coins) {
+    this.wireStats.transfers++;
+    coins.forEach(coin => {
+      this.wireStats.coins++;
+      this.wireStats.jsonBytes += Buffer.byteLength(JSON.stringify(coin.toJSON()));
+      this.wireStats.encodedBytes += coin.toBinary().length;
+    });
+  }
+
+  // Tell the sending wallet (if it is in this network) how its transaction ended
+  _settleSender(walletId, txId, confirmed) {
+    const senderAgent = this.agents.find(a => a.getWallet().getId() === walletId);
+    if (senderAgent) {
+      senderAgent.getWallet().settlePending(txId, confirmed);
+    }
+  }
+
+  // Hand back the coins every signing wallet set aside for a failed transaction
+  _settleFailed(txId, transaction) {
+    const signers = transaction.type === 'swap'
+      ? transaction.envelope.getParties()
+      : [transaction.envelope && transaction.envelope.owner, transaction.sender];
+    signers.filter(Boolean).forEach(walletId => this._settleSender(walletId, txId, false));
+  }
+
+  // Update the sending wallet's history (if it is in this network)
+  _updateSenderStatus(walletId, txId, status) {
+    const senderIndex = this._agentIndexForWallet(walletId);
+    if (senderIndex !== -1) {
+      this.agents[senderIndex].getWallet().updateTransferStatus(txId, status);
+    }
+  }
+
+  // Agents whose wallets have joined a multisig policy
+  _multisigMembers(policyId) {
+    return this.agents.filter(a => a.getWallet().multisigPolicies.has(policyId));
+  }
+
+  // Index of the agent holding a wallet, or -1 if it is not in this network
+  _agentIndexForWallet(walletId) {
+    return this.agents.findIndex(a => a.getWallet().getId() === walletId);
+  }
+
+  // Process an incoming transfer or batch through the network. A batch is
+  // approved or rejected as a unit: every coin moves or none does.
+  async _processTransaction(transaction) {
+    const { sender, recipient, envelope } = transaction;
+    const isBatch = transaction.type === 'batch';
+    const coins = isBatch ? transaction.coins : [transaction.coin];
+    
+    // The transaction ID is the hash of the signed envelope
+    const txId = envelope.getId();
+    
+    // Witnesses exclude the sender and recipient agents
+    const quorum = await this._gatherQuorum(
+      txId,
+      transaction,
+      [this._agentIndexForWallet(sender), this._agentIndexForWallet(recipient)],
+      witness => isBatch ? witness.validateBatch(transaction) : witness.validateTransfer(transaction)
+    );
+    
+    if (quorum.status === 'failed') {
+      // The coins go back to the sender
+      this._settleSender(sender, txId, false);
+      return { txId, status: 'failed', failReason: quorum.reason };
+    }
+    
+    if (quorum.status !== 'approved') {
+      return { txId, status: 'pending', validations: quorum.validations };
+    }
+    
+    // Make sure every coin can still move before changing any of them
+    const stuck = coins.find(coin => coin.status !== 'active' || (coin.expiryDate && this.options.clock() > coin.expiryDate));
+    if (stuck) {
+      const reason = `coin ${stuck.id} can no longer be transferred`;
       this.pendingTransactions.delete(txId);
-      
-      // Emit success event
-      this.emit('transaction:confirmed', { 
-        txId, 
-        transaction,
-        witnesses: witnessIds
+      this._settleSender(sender, txId, false);
+      this.emit('transaction:invalid', { txId, reason, transaction });
+      return { txId, status: 'failed', failReason: reason };
+    }
+    
+    // Transaction is valid! Complete it
+    const witnessIds = quorum.validWitnesses.map(v => v.witnessId);
+    const certificate = this._issueCertificate(envelope, quorum.validWitnesses);
+    
+    // Complete the transfer and update coin ownership
+    const holders = coins.map(coin => coin.ownerId);
+    coins.forEach(coin => coin.transfer(recipient, transaction.signature, witnessIds, certificate, envelope));
+    this._recordWireSize(coins);
+    
+    // A refunded coin leaves its holder's wallet without the holder signing
+    holders.forEach((holder, index) => {
+      const holderIndex = holder !== sender ? this._agentIndexForWallet(holder) : -1;
+      if (holderIndex !== -1) {
+        this.agents[holderIndex].getWallet().removeCoin(coins[index].id, { txId });
+      }
+    });
+    
+    // Find recipient agent (if it's in our network)
+    const recipientAgent = this.agents.find(a => a.getWallet().getId() === recipient);
+    let delivery = null;
+    if (recipientAgent) {
+      // If in our network, deliver to their wallet - its policy may hold the coins in the inbox
+      delivery = recipientAgent.getWallet().receiveIncoming(coins, { txId, sender, returnOf: transaction.returnOf });
+    } else {
+      // Coins paid to a multisig policy are tracked by every member wallet
+      const members = this._multisigMembers(recipient);
+      members.forEach(member => coins.forEach(coin => member.getWallet().addCoin(coin, { txId, from: sender })));
+      delivery = members.length > 0 ? 'accepted' : null;
+    }
+    
+    // Shared coins that left a multisig policy are no longer held by its members
+    this._multisigMembers(sender).forEach(member =>
+      member.getWallet().releaseSharedCoins(coins.map(coin => coin.id), txId));
+    
+    // Remove from pending
+    this.pendingTransactions.delete(txId);
+    this._settleSender(sender, txId, true);
+    if (delivery === 'pending') {
+      this._updateSenderStatus(sender, txId, 'awaiting acceptance');
+      this.emit('transfer:incoming', { txId, sender, recipient, coinIds: coins.map(coin => coin.id) });
+    }
+    
+    // One receipt covers every coin the transaction moved
+    const receipt = {
+      txId,
+      type: isBatch ? 'batch' : 'transfer',
+      sender,
+      recipient,
+      coinIds: coins.map(coin => coin.id),
+      value: coins.reduce((total, coin) => total + coin.value, 0),
+      witnesses: witnessIds,
+      delivery, // 'accepted', 'pending' (in the recipient's inbox), or null outside this network
+      payment: quorum.validWitnesses[0].payment || null, // How the transfer settles the invoice it references
+      timestamp: Date.now()
+    };
+    
+    // Emit success event
+    this.emit('transaction:confirmed', { 
+      txId, 
+      transaction,
+      witnesses: witnessIds,
+      certificate,
+      receipt
+    });
+    
+    console.log(`✅ ${isBatch ? `Batch of ${coins.length} coins` : `Coin ${coins[0].id.substring(0, 6)}...`} (value: ${receipt.value}) transferred from ${sender.substring(0, 8)} to ${recipient.substring(0, 8)}`);
+    if (receipt.payment && receipt.payment.status !== 'paid') {
+      console.log(`⚠️ Payment request ${receipt.payment.requestId.substring(0, 8)} is ${receipt.payment.status}${receipt.payment.late ? ' (paid late)' : ''}`);
+    }
+    
+    return { txId, status: 'confirmed', witnesses: witnessIds, certificate, receipt };
+  }
+
+  // Process a split or merge through the witness quorum
+  async _processOperation(operation) {
+    const { envelope, signature, coins } = operation;
+    const txId = envelope.getId();
+    
+    const quorum = await this._gatherQuorum(
+      txId,
+      operation,
+      [this._agentIndexForWallet(envelope.owner)],
+      witness => witness.validateOperation(operation)
+    );
+    
+    if (quorum.status === 'failed') {
+      this._settleSender(envelope.owner, txId, false);
+      return { txId, status: 'failed', failReason: quorum.reason };
+    }
+    
+    if (quorum.status !== 'approved') {
+      return { txId, status: 'pending', validations: quorum.validations };
+    }
+    
+    const witnessIds = quorum.validWitnesses.map(v => v.witnessId);
+    const certificate = this._issueCertificate(envelope, quorum.validWitnesses);
+    
+    // Consume the inputs and issue the new coins
+    const outputs = envelope.type === 'merge'
+      ? [Coin.merge(coins, envelope, signature, certificate)]
+      : envelope.type === 'renew'
+        ? [coins[0].renew(envelope, signature, certificate)]
+        : coins[0].split(envelope, signature, certificate);
+    
+    const ownerAgent = this.agents.find(a => a.getWallet().getId() === envelope.owner);
+    if (ownerAgent) {
+      outputs.forEach(coin => ownerAgent.getWallet().addCoin(coin));
+    }
+    
+    this.pendingTransactions.delete(txId);
+    this._settleSender(envelope.owner, txId, true);
+    
+    this.emit('operation:confirmed', {
+      txId,
+      operation,
+      outputs,
+      witnesses: witnessIds,
+      certificate
+    });
+    
+    const verb = { split: 'Split', merge: 'Merged', renew: 'Renewed' }[envelope.type];
+    console.log(`✅ ${verb} ${coins.map(c => c.id.substring(0, 6)).join(', ')} into ${outputs.map(c => `${c.id.substring(0, 6)}(${c.value})`).join(', ')}`);
+    
+    return { txId, status: 'confirmed', witnesses: witnessIds, certificate, outputs };
+  }
+
+  // Process an atomic swap through one witness quorum. Both legs are applied
+  // together: if any coin cannot move, every coin is restored to its prior state.
+  async _processSwap(transaction) {
+    const { envelope, coins, signatures } = transaction;
+    const txId = envelope.getId();
+    const parties = envelope.getParties();
+    
+    const quorum = await this._gatherQuorum(
+      txId,
+      transaction,
+      parties.map(party => this._agentIndexForWallet(party)),
+      witness => witness.validateSwap(transaction)
+    );
+    
+    if (quorum.status === 'failed') {
+      this._settleFailed(txId, transaction);
+      return { txId, status: 'failed', failReason: quorum.reason };
+    }
+    
+    if (quorum.status !== 'approved') {
+      return { txId, status: 'pending', validations: quorum.validations };
+    }
+    
+    const witnessIds = quorum.validWitnesses.map(v => v.witnessId);
+    const certificate = this._issueCertificate(envelope, quorum.validWitnesses);
+    
+    // Apply both legs, rolling every coin back if any transfer is refused
+    const snapshots = coins.map(coin => JSON.parse(JSON.stringify(coin.toJSON())));
+    try {
+      coins.forEach(coin => {
+        const { sender, recipient } = envelope.findCoin(coin.id);
+        coin.transfer(recipient, signatures[sender], witnessIds, certificate, envelope);
       });
-      
-      console.log(`✅ Coin ${transaction.coin.id.substring(0, 6)}... transferred from ${sender.substring(0, 8)} to ${recipient.substring(0, 8)}`);
-      
-      return { txId, status: 'confirmed', witnesses: witnessIds };
+    } catch (err) {
+      coins.forEach((coin, index) => Object.assign(coin, Coin.fromJSON(snapshots[index])));
+      const reason = `swap could not be applied: ${err.message}`;
+      this.pendingTransactions.delete(txId);
+      this._settleFailed(txId, transaction);
+      this.emit('transaction:invalid', { txId, reason, transaction });
+      return { txId, status: 'failed', failReason: reason };
     }
     
-    // Not enough valid witnesses yet
-    return { txId, status: 'pending', validations: validWitnesses.length };
+    // Update both wallets if they are in this network
+    parties.forEach(party => {
+      const partyIndex = this._agentIndexForWallet(party);
+      if (partyIndex !== -1) {
+        this.agents[partyIndex].getWallet().settleSwap(envelope, coins, txId);
+      }
+    });
+    
+    this.pendingTransactions.delete(txId);
+    
+    const receipt = {
+      txId,
+      type: 'swap',
+      parties,
+      legs: envelope.legs.map(leg => ({
+        sender: leg.sender,
+        recipient: leg.recipient,
+        coinIds: leg.coins.map(coin => coin.coinId),
+        value: leg.coins.reduce((total, coin) => total + coin.value, 0),
+        assets: Array.from(new Set(leg.coins.map(coin => coin.asset || null)))
+      })),
+      witnesses: witnessIds,
+      timestamp: Date.now()
+    };
+    
+    this.emit('transaction:confirmed', { txId, transaction, witnesses: witnessIds, certificate, receipt });
+    console.log(`🔁 Swap ${txId.substring(0, 8)} confirmed between ${parties[0].substring(0, 8)} and ${parties[1].substring(0, 8)}`);
+    
+    return { txId, status: 'confirmed', witnesses: witnessIds, certificate, receipt };
+  }
+
+  // Submit a swap signed by both parties
+  async submitSwap(swap) {
+    if (!swap.isComplete()) {
+      return { success: false, reason: 'both parties must sign the swap' };
+    }
+    
+    const result = await this._processSwap(swap.toTransaction());
+    
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: result.failReason || 'awaiting witnesses' };
+    }
+    
+    return { success: true, txId: result.txId, receipt: result.receipt };
+  }
+
+  // Process an issuer's freeze, unfreeze or revoke through the witness quorum.
+  // Once approved the decision is written into the coin's history and every
+  // agent records it, so the coin is refused wherever it turns up.
+  async _processStatusChange(change) {
+    const { envelope, signature, coin } = change;
+    const txId = envelope.getId();
+    
+    const quorum = await this._gatherQuorum(
+      txId,
+      change,
+      [this._agentIndexForWallet(coin.ownerId), this._agentIndexForWallet(envelope.issuerId)],
+      witness => witness.validateStatusChange(change)
+    );
+    
+    if (quorum.status === 'failed') {
+      return { txId, status: 'failed', failReason: quorum.reason };
+    }
+    
+    if (quorum.status !== 'approved') {
+      return { txId, status: 'pending', validations: quorum.validations };
+    }
+    
+    const witnessIds = quorum.validWitnesses.map(v => v.witnessId);
+    const certificate = this._issueCertificate(envelope, quorum.validWitnesses);
+    
+    coin.applyStatusChange(envelope, signature, witnessIds, certificate);
+    this.agents.forEach(agent => agent.recordStatusChange(envelope, certificate));
+    this.pendingTransactions.delete(txId);
+    
+    const decision = {
+      txId,
+      coinId: coin.id,
+      action: envelope.action,
+      status: coin.status,
+      issuerId: envelope.issuerId,
+      reason: envelope.reason,
+      witnesses: witnessIds
+    };
+    
+    this.emit('coin:status', decision);
+    console.log(`🧊 Coin ${coin.id.substring(0, 6)}... ${coin.status} by issuer ${envelope.issuerId.substring(0, 8)}: ${envelope.reason}`);
+    
+    return { txId, status: 'confirmed', witnesses: witnessIds, certificate, decision };
+  }
+
+  // Have an issuer freeze, unfreeze or revoke a coin. coin is a coin or the ID
+  // of one held by a wallet in this network; mint defaults to the network issuer.
+  async changeCoinStatus(coin, action, reason, mint = this.mint) {
+    const target = typeof coin === 'string' ? this._findHeldCoin(coin) : coin;
+    if (!target) {
+      return { success: false, reason: 'coin not found' };
+    }
+    
+    const result = await this._processStatusChange(mint.requestStatusChange(target, action, reason, this.networkId));
+    
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: result.failReason || 'awaiting witnesses' };
+    }
+    
+    return { success: true, txId: result.txId, decision: result.decision };
+  }
+
+  async freezeCoin(coin, reason, mint = this.mint) {
+    return this.changeCoinStatus(coin, 'freeze', reason, mint);
+  }
+
+  async unfreezeCoin(coin, reason, mint = this.mint) {
+    return this.changeCoinStatus(coin, 'unfreeze', reason, mint);
+  }
+
+  async revokeCoin(coin, reason, mint = this.mint) {
+    return this.changeCoinStatus(coin, 'revoke', reason, mint);
+  }
+
+  // Audit trail of issuer decisions (who froze what and why), optionally for one coin
+  getStatusAudit(coinId = null) {
+    return this.agents.length > 0 ? this.agents[0].getStatusAudit(coinId) : [];
+  }
+
+  // Have the witness quorum certify a checkpoint of a coin's history, then drop
+  // the entries it summarizes. The coin hash and ownership are unchanged.
+  async _processCheckpoint(request) {
+    const { envelope, coin } = request;
+    const txId = envelope.getId();
+    
+    const quorum = await this._gatherQuorum(
+      txId,
+      request,
+      [this._agentIndexForWallet(coin.ownerId)],
+      witness => witness.validateCheckpoint(request)
+    );
+    
+    if (quorum.status === 'failed') {
+      return { txId, status: 'failed', failReason: quorum.reason };
+    }
+    
+    if (quorum.status !== 'approved') {
+      return { txId, status: 'pending', validations: quorum.validations };
+    }
+    
+    const witnessIds = quorum.validWitnesses.map(v => v.witnessId);
+    const certificate = this._issueCertificate(envelope, quorum.validWitnesses);
+    const dropped = coin.compact(envelope, certificate);
+    this.pendingTransactions.delete(txId);
+    
+    this.emit('coin:compacted', { txId, coinId: coin.id, dropped, sequence: envelope.sequence, witnesses: witnessIds });
+    console.log(`🗜️ Compacted coin ${coin.id.substring(0, 6)}...: ${dropped} history entries replaced by a checkpoint`);
+    
+    return { txId, status: 'confirmed', witnesses: witnessIds, certificate, dropped };
+  }
+
+  // Compact a coin's history into a witness-certified checkpoint. coin is a
+  // coin or the ID of one held by a wallet in this network.
+  async compactCoin(coin) {
+    const target = typeof coin === 'string' ? this._findHeldCoin(coin) : coin;
+    if (!target) {
+      return { success: false, reason: 'coin not found' };
+    }
+    
+    const envelope = Checkpoint.forCoin(target, this.networkId);
+    const result = await this._processCheckpoint({ type: 'checkpoint', envelope, coin: target, timestamp: envelope.timestamp });
+    
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: result.failReason || 'awaiting witnesses' };
+    }
+    
+    return { success: true, txId: result.txId, dropped: result.dropped };
+  }
+
+  // Compact every coin in an agent's wallet with at least minEntries history entries
+  async compactWallet(agentId, minEntries = 1) {
+    const agent = this.agents[agentId];
+    if (!agent) {
+      return { success: false, reason: 'invalid agent ID' };
+    }
+    
+    const summary = { success: true, compacted: 0, dropped: 0, failed: [] };
+    for (const coin of agent.getWallet().coins.filter(c => c.history.length >= Math.max(1, minEntries))) {
+      const result = await this.compactCoin(coin);
+      if (result.success) {
+        summary.compacted++;
+        summary.dropped += result.dropped;
+      } else {
+        summary.failed.push({ coinId: coin.id, reason: result.reason });
+      }
+    }
+    
+    return summary;
+  }
+
+  // A coin held by any wallet in this network, or null
+  _findHeldCoin(coinId) {
+    for (const agent of this.agents) {
+      const coin = agent.getWallet().findHeldCoin(coinId);
+      if (coin) {
+        return coin;
+      }
+    }
+    return null;
   }
 
   // Transfer a coin between two agents with witness verification
-  async transferCoin(fromAgentId, toAgentId, coinIndex) {
+  // The recipient is an agent index or a wallet address on this network.
+  // options.conditions locks the coin for the recipient (see conditions.js).
+  async transferCoin(fromAgentId, to, coinIndex, options = {}) {
     const sender = this.agents[fromAgentId];
-    const recipient = this.agents[toAgentId];
     
-    if (!sender || !recipient) {
+    if (!sender || (!isAddress(to) && !this.agents[to])) {
       console.log("❌ Invalid agent IDs");
       return { success: false, reason: 'invalid agent IDs' };
     }
     
-    // Get the recipient's wallet ID
-    const recipientId = recipient.getWallet().getId();
+    // Address the recipient - a malformed or wrong-network address stops here,
+    // before any witness is contacted
+    const recipientAddress = isAddress(to) ? to : this.agents[to].getWallet().getAddress(this.networkId);
+    const addressCheck = validateAddress(recipientAddress, this.networkId);
+    if (!addressCheck.valid) {
+      console.log(`❌ Invalid recipient address: ${addressCheck.reason}`);
+      return { success: false, reason: `invalid recipient address: ${addressCheck.reason}` };
+    }
     
     // Perform the transfer from sender's wallet
-    const transfer = sender.getWallet().transferCoin(coinIndex, recipientId);
+    const transfer = options.conditions
+      ? sender.getWallet().lockCoin(coinIndex, recipientAddress, options.conditions, this.networkId)
+      : sender.getWallet().transferCoin(coinIndex, recipientAddress, this.networkId);
     
     if (!transfer) {
       console.log(`❌ Agent ${fromAgentId} does not have a coin at index ${coinIndex}`);
@@ -384,13 +1014,375 @@ class Network extends EventEmitter {
     // Process the transaction through the network
     const result = await this._processTransaction(transfer);
     
-    // If the transfer failed, return the coin to the sender
-    if (result && result.status === 'failed') {
-      sender.getWallet().addCoin(transfer.coin);
-      return { success: false, reason: result.failReason || 'transaction failed' };
+    // If the transfer failed, the coin has already been returned to the sender
+    if (result.status === 'failed') {
+      return { success: false, txId: result.txId, reason: result.failReason || 'transaction failed' };
+    }
+    
+    // Still short of a quorum: the coin stays with the pending transfer until a retry settles it
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: 'awaiting witnesses' };
+    }
+    
+    return { success: true, txId: result.txId, receipt: result.receipt };
+  }
+
+  // Lock a coin for a recipient under time and hash conditions (escrow)
+  async lockCoin(fromAgentId, to, coinIndex, conditions) {
+    return this.transferCoin(fromAgentId, to, coinIndex, { conditions });
+  }
+
+  // Claim a conditional coin held by an agent, revealing the preimage if hash-locked
+  async claimCoin(agentId, coinIndex, preimage = null) {
+    const agent = this.agents[agentId];
+    const claim = agent ? agent.getWallet().claimCoin(coinIndex, preimage, null, this.networkId) : null;
+    if (!claim) {
+      return { success: false, reason: 'no conditional coin at that index' };
+    }
+    
+    return this._submitSpend(claim);
+  }
+
+  // Refund a coin an agent locked, once its refund time has passed
+  async refundCoin(agentId, coinId) {
+    const agent = this.agents[agentId];
+    const refund = agent ? agent.getWallet().refundCoin(coinId, this.networkId) : null;
+    if (!refund) {
+      return { success: false, reason: 'no refundable coin with that ID' };
+    }
+    
+    return this._submitSpend(refund);
+  }
+
+  // Run a signed transfer through the quorum and report the outcome
+  async _submitSpend(transfer) {
+    const result = await this._processTransaction(transfer);
+    
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: result.failReason || 'awaiting witnesses' };
     }
     
-    return { success: true, txId: result.txId };
+    return { success: true, txId: result.txId, receipt: result.receipt };
+  }
+
+  // Transfer several coins between two agents as one atomic batch
+  async transferCoins(fromAgentId, toAgentId, coinIndices) {
+    const sender = this.agents[fromAgentId];
+    const recipient = this.agents[toAgentId];
+    
+    if (!sender || !recipient) {
+      console.log("❌ Invalid agent IDs");
+      return { success: false, reason: 'invalid agent IDs' };
+    }
+    
+    const batch = sender.getWallet().transferCoins(coinIndices, recipient.getWallet().getId(), this.networkId);
+    
+    if (!batch) {
+      console.log(`❌ Agent ${fromAgentId} does not have coins at indices ${coinIndices.join(', ')}`);
+      return { success: false, reason: 'coins not found' };
+    }
+    
+    // On failure every coin has already been returned to the sender
+    const result = await this._processTransaction(batch);
+    
+    if (result.status === 'failed') {
+      return { success: false, txId: result.txId, reason: result.failReason || 'transaction failed' };
+    }
+    
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: 'awaiting witnesses' };
+    }
+    
+    return { success: true, txId: result.txId, receipt: result.receipt };
+  }
+
+  // Set up an m-of-n multisig policy over agents' wallet keys. Every member
+  // joins it, so coins paid to the policy ID show up as their shared coins.
+  createMultisig(agentIds, threshold) {
+    const members = agentIds.map(agentId => this.agents[agentId]);
+    if (members.some(member => !member)) {
+      throw new Error('Invalid agent IDs');
+    }
+    
+    const policy = MultisigPolicy.create(threshold, members.map(member => member.getWallet().publicKey));
+    members.forEach(member => member.getWallet().joinMultisig(policy));
+    
+    console.log(`🔐 Created ${threshold}-of-${members.length} multisig ${policy.getId()}`);
+    return policy;
+  }
+
+  // Send a fully co-signed multisig transfer to the witnesses
+  async submitMultisigTransfer(transfer) {
+    if (!transfer.isComplete()) {
+      return { success: false, reason: `needs ${transfer.policy.threshold} signatures, has ${transfer.getSigners().length}` };
+    }
+    
+    const result = await this._processTransaction(transfer.toTransaction());
+    
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: result.failReason || 'awaiting witnesses' };
+    }
+    
+    return { success: true, txId: result.txId, receipt: result.receipt };
+  }
+
+  // Accept a transfer held in an agent's inbox
+  acceptIncoming(agentId, txId) {
+    const wallet = this.agents[agentId] && this.agents[agentId].getWallet();
+    const incoming = wallet && wallet.getInbox().find(entry => entry.txId === txId);
+    if (!incoming || !wallet.acceptIncoming(txId)) {
+      return { success: false, reason: 'no pending incoming transfer with that ID' };
+    }
+    
+    this._updateSenderStatus(incoming.sender, txId, 'accepted');
+    this.emit('transfer:accepted', { txId, sender: incoming.sender, recipient: wallet.getId() });
+    return { success: true, txId };
+  }
+
+  // Refuse a transfer held in an agent's inbox. The coins go back to the
+  // sender as a new transfer approved by the witness quorum.
+  async rejectIncoming(agentId, txId) {
+    const wallet = this.agents[agentId] && this.agents[agentId].getWallet();
+    const returnTransfer = wallet && wallet.rejectIncoming(txId, this.networkId);
+    if (!returnTransfer) {
+      return { success: false, reason: 'no pending incoming transfer with that ID' };
+    }
+    
+    this._updateSenderStatus(returnTransfer.recipient, txId, 'rejected');
+    
+    // On failure the wallet puts the coins back in its inbox
+    const result = await this._processTransaction(returnTransfer);
+    
+    if (result.status === 'failed') {
+      this._updateSenderStatus(returnTransfer.recipient, txId, 'awaiting acceptance');
+    }
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: result.failReason || 'awaiting witnesses' };
+    }
+    
+    this.emit('transfer:rejected', { txId, returnTxId: result.txId, sender: returnTransfer.recipient, recipient: wallet.getId() });
+    return { success: true, txId: result.txId, receipt: result.receipt };
+  }
+
+  // Sign a transfer from an agent and package it for offline delivery. The
+  // bundle carries the keys this agent knows for everyone in the coins' history.
+  exportOfflineTransfer(fromAgentId, recipientAddress, coinIndices) {
+    const sender = this.agents[fromAgentId];
+    if (!sender) {
+      return null;
+    }
+    
+    return sender.getWallet().exportTransfer(coinIndices, recipientAddress, this.networkId, sender.publicKeyDirectory);
+  }
+
+  // Submit a wallet's queued offline transfers to the witnesses. Each one either
+  // settles (the coins join the wallet) or is rejected - a conflicting offline
+  // spend fails here as a double-spend. Transfers still short of a quorum stay queued.
+  async settleOfflineTransfers(wallet) {
+    const results = [];
+    
+    for (const { txId } of wallet.getQueuedTransfers()) {
+      const transaction = wallet.incomingTransfers.get(txId).bundle.toTransaction();
+      const result = await this._processTransaction(transaction);
+      
+      if (result.status === 'confirmed') {
+        wallet.settleIncoming(txId, true, transaction.coins || [transaction.coin]);
+      } else if (result.status === 'failed') {
+        wallet.settleIncoming(txId, false);
+      }
+      
+      results.push({ txId, status: result.status, reason: result.failReason || null, receipt: result.receipt || null });
+    }
+    
+    this.emit('offline:settled', { walletId: wallet.getId(), results });
+    return results;
+  }
+
+  // Split one of an agent's coins into coins of the given values via the witness quorum
+  async splitCoin(agentId, coinIndex, values) {
+    const agent = this.agents[agentId];
+    if (!agent) {
+      return { success: false, reason: 'invalid agent ID' };
+    }
+    
+    let operation;
+    try {
+      operation = agent.getWallet().splitCoin(coinIndex, values, this.networkId);
+    } catch (error) {
+      return { success: false, reason: error.message };
+    }
+    
+    if (!operation) {
+      return { success: false, reason: 'coin not found' };
+    }
+    
+    return this._settleOperation(operation);
+  }
+
+  // Renew an agent's expiring coin via the witness quorum, before it expires or
+  // within the grace period after. Demurrage in the coin's terms is charged.
+  async renewCoin(agentId, coinIndex, expiryDate = null) {
+    const agent = this.agents[agentId];
+    if (!agent) {
+      return { success: false, reason: 'invalid agent ID' };
+    }
+    
+    let operation;
+    try {
+      operation = agent.getWallet().renewCoin(coinIndex, expiryDate, this.networkId);
+    } catch (error) {
+      return { success: false, reason: error.message };
+    }
+    
+    if (!operation) {
+      return { success: false, reason: 'coin not found' };
+    }
+    
+    return this._settleOperation(operation);
+  }
+
+  // Warn holders about coins nearing or past expiry. Each coin is reported
+  // once per state change ('expiring', 'grace', 'expired').
+  checkExpiringCoins() {
+    const warnings = [];
+    
+    this.agents.forEach(agent => {
+      agent.getWallet().getExpiryWarnings({
+        warningPeriod: this.options.expiryWarningPeriod,
+        gracePeriod: this.options.renewalGracePeriod
+      }).forEach(warning => {
+        const key = `${warning.coinId}:${warning.state}`;
+        if (this.expiryWarned.has(key)) {
+          return;
+        }
+        this.expiryWarned.add(key);
+        
+        warnings.push({ agentId: agent.id, ...warning });
+        this.emit('coin:expiring', { agentId: agent.id, ...warning });
+        console.log(`⚠️ Agent ${agent.id}: coin ${warning.coinId.substring(0, 6)}... (value: ${warning.value}) ${
+          warning.state === 'expiring' ? 'expires' : 'expired'
+        } ${new Date(warning.expiryDate).toISOString()}${warning.state === 'grace' ? ' - renew it before the grace period ends' : ''}`);
+      });
+    });
+    
+    return warnings;
+  }
+
+  // Merge several of an agent's coins into one via the witness quorum
+  async mergeCoins(agentId, coinIndices) {
+    const agent = this.agents[agentId];
+    if (!agent) {
+      return { success: false, reason: 'invalid agent ID' };
+    }
+    
+    let operation;
+    try {
+      operation = agent.getWallet().mergeCoins(coinIndices, this.networkId);
+    } catch (error) {
+      return { success: false, reason: error.message };
+    }
+    
+    if (!operation) {
+      return { success: false, reason: 'coins not found' };
+    }
+    
+    return this._settleOperation(operation);
+  }
+
+  // Run an operation through the quorum (failed ones return their inputs to the owner)
+  async _settleOperation(operation) {
+    const result = await this._processOperation(operation);
+    
+    if (result.status === 'failed') {
+      return { success: false, reason: result.failReason || 'operation failed' };
+    }
+    
+    if (result.status !== 'confirmed') {
+      return { success: false, txId: result.txId, reason: 'awaiting witnesses' };
+    }
+    
+    return { success: true, txId: result.txId, coins: result.outputs };
+  }
+
+  // Run a wallet's payment bundle: merge the selected coins, split off the
+  // change, then transfer one coin worth exactly the amount. If any step
+  // fails the value stays with the sender and the recipient receives nothing.
+  async submitPayment(bundle) {
+    const agentId = this._agentIndexForWallet(bundle.sender);
+    if (agentId === -1) {
+      return this._failPayment(bundle, 'sender is not in this network');
+    }
+    
+    const wallet = this.agents[agentId].getWallet();
+    const inputIndices = bundle.getInputIds().map(coinId => wallet.findCoinIndex(coinId));
+    if (inputIndices.includes(-1)) {
+      return this._failPayment(bundle, 'selected coins are no longer in the wallet');
+    }
+    
+    let paymentCoin = wallet.coins[inputIndices[0]];
+    let receipt = null;
+    
+    for (const step of bundle.getPlan()) {
+      let result;
+      
+      if (step.type === 'merge') {
+        result = await this.mergeCoins(agentId, inputIndices);
+        if (result.success) {
+          paymentCoin = result.coins[0];
+        }
+      } else if (step.type === 'split') {
+        result = await this.splitCoin(agentId, wallet.findCoinIndex(paymentCoin.id), step.values);
+        if (result.success) {
+          paymentCoin = result.coins[0];
+        }
+      } else {
+        const transfer = wallet.transferCoin(
+          wallet.findCoinIndex(paymentCoin.id), bundle.recipient, this.networkId, bundle.getReference());
+        if (bundle.paymentRequest) {
+          // Lets the witnesses check the invoice the transfer claims to pay
+          transfer.paymentRequest = bundle.paymentRequest;
+        }
+        const outcome = await this._processTransaction(transfer);
+        receipt = outcome.receipt || null;
+        result = outcome.status === 'confirmed'
+          ? { success: true, txId: outcome.txId }
+          : { success: false, txId: outcome.txId, reason: outcome.failReason || 'awaiting witnesses' };
+      }
+      
+      bundle.recordStep(step.type, result);
+      if (!result.success) {
+        return this._failPayment(bundle, `${step.type} failed: ${result.reason}`);
+      }
+    }
+    
+    bundle.status = 'confirmed';
+    this.emit('payment:confirmed', { bundle, receipt });
+    
+    return { success: true, bundle, txId: bundle.steps[bundle.steps.length - 1].txId, receipt };
+  }
+
+  // Pay another wallet's signed payment request from an agent's coins
+  async payRequest(fromAgentId, request, options = {}) {
+    const sender = this.agents[fromAgentId];
+    if (!sender) {
+      return { success: false, reason: 'invalid agent ID' };
+    }
+    
+    let bundle;
+    try {
+      bundle = sender.getWallet().fulfilPaymentRequest(request, { ...options, networkId: this.networkId });
+    } catch (err) {
+      return { success: false, reason: err.message };
+    }
+    
+    return this.submitPayment(bundle);
+  }
+
+  // Mark a payment bundle as failed and report why
+  _failPayment(bundle, reason) {
+    bundle.status = 'failed';
+    this.emit('payment:failed', { bundle, reason });
+    return { success: false, reason, bundle };
   }
 
   // Simulate a double-spend attempt (advanced version)
@@ -401,9 +1393,9 @@ class Network extends EventEmitter {
       return { success: false, reason: 'invalid parameters' };
     }
     
-    // Save original coin for double-spend attempt
+    // Keep a copy of the coin as it is before spending - the double-spend attempt
     const originalCoin = sender.getWallet().coins[coinIndex];
-    const originalCoinId = originalCoin.id;
+    const staleCopy = Coin.fromJSON(JSON.parse(JSON.stringify(originalCoin.toJSON())));
     
     console.log("\n--- Attempting first transfer (should succeed) ---");
     
@@ -419,16 +1411,9 @@ class Network extends EventEmitter {
       // Second recipient
       const secondRecipient = this.agents[(fromAgentId + 2) % this.agents.length];
       
-      // For the second transfer, create a new coin with the same ID
+      // For the second transfer, spend the saved copy of the same coin
       // This simulates a double-spend attack
-      const fakeCoin = new Coin(
-        sender.getWallet().getId(),
-        originalCoin.value || 1,
-        originalCoinId
-      );
-      
-      // Add the fake coin to the sender's wallet temporarily
-      sender.getWallet().coins.push(fakeCoin);
+      sender.getWallet().coins.push(staleCopy);
       
       // Now try to transfer this coin (should be caught as double-spend)
       const doubleSpendIndex = sender.getWallet().coins.length - 1;
@@ -477,17 +1462,8 @@ class Network extends EventEmitter {
         // Random value between 1 and 10
         const value = Math.floor(Math.random() * 10) + 1;
         
-        // Create a coin directly
-        const coin = new Coin(agent.getWallet().getId(), value);
-        
-        // Register agent's public key for validation
-        const walletId = agent.getWallet().getId();
-        const publicKey = agent.getWallet().publicKey;
-        
-        // Register this public key with all agents
-        this.agents.forEach(otherAgent => {
-          otherAgent.registerPublicKey(walletId, publicKey);
-        });
+        // Mint the coin through the network issuer
+        const coin = this.mint.mint(agent.getWallet().getId(), value);
         
         // Add the coin to the wallet
         agent.getWallet().addCoin(coin);
@@ -506,6 +1482,7 @@ class Network extends EventEmitter {
     clearInterval(this.peerCleanupInterval);
     clearInterval(this.retryInterval);
     clearInterval(this.statsInterval);
+    clearInterval(this.expiryInterval);
     
     // Cleanup agents
     this.agents.forEach(agent => agent.destroy());
@@ -523,6 +1500,7 @@ class Network extends EventEmitter {
       pendingTransactions: this.pendingTransactions.size,
       requiredWitnesses: this.options.requiredWitnesses,
       uptime: Date.now() - this.startTime,
+      wire: { ...this.wireStats },
       agentReputations: this.agents.map(agent => ({
         id: agent.id,
         reputation: agent.getReputationScore()
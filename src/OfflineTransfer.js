@@ -0,0 +1,252 @@
+const fs = require('fs');
+const Coin = require('./Coin');
+const TransferEnvelope = require('./TransferEnvelope');
+const BatchEnvelope = require('./BatchEnvelope');
+const { verifyData, walletIdForPublicKey, resolvePublicKey } = require('./signatures');
+
+const OFFLINE_VERSION = 1;
+
+// Text blobs start with this prefix so they can be recognised when pasted
+const BLOB_PREFIX = 'rnbs-offline';
+
+// A signed transfer (or batch) packaged for carrying to the recipient by hand:
+// the coins with their full history and certificates, the signed envelope, and
+// the public keys needed to check it. The recipient can verify it without a
+// network connection and queue it until witnesses are reachable; only the
+// witnesses can tell whether the coins were spent elsewhere in the meantime.
+class OfflineTransfer {
+  constructor({ coins, envelope, signature, publicKeys, createdAt, version = OFFLINE_VERSION }) {
+    this.version = version;
+    this.coins = coins || []; // Coin JSON, in envelope order
+    this.envelope = envelope; // Envelope JSON
+    this.signature = signature;
+    this.publicKeys = publicKeys || {}; // walletId -> PEM for the sender, past owners and witnesses
+    this.createdAt = createdAt || Date.now();
+  }
+
+  // Package a transfer from Wallet.transferCoin or Wallet.transferCoins.
+  // publicKeys (a Map or object) adds keys of past owners and witnesses.
+  // Only keys for wallets the coins' histories mention are carried along.
+  static fromTransfer(transfer, senderPublicKey, publicKeys = {}) {
+    const available = publicKeys instanceof Map ? Object.fromEntries(publicKeys) : { ...publicKeys };
+    const coins = transfer.coins || [transfer.coin];
+
+    const keys = { [transfer.sender]: senderPublicKey };
+    OfflineTransfer.referencedWalletIds(coins).forEach(walletId => {
+      if (available[walletId]) {
+        keys[walletId] = available[walletId];
+      }
+    });
+
+    return new OfflineTransfer({
+      coins: coins.map(coin => coin.toJSON()),
+      envelope: transfer.envelope.toJSON(),
+      signature: transfer.signature,
+      publicKeys: keys
+    });
+  }
+
+  // Every owner and witness named in the coins' histories
+  static referencedWalletIds(coins) {
+    const walletIds = new Set();
+    coins.forEach(coin => coin.history.forEach(entry => {
+      [entry.from, entry.to, entry.envelope && entry.envelope.owner].forEach(id => id && walletIds.add(id));
+      if (entry.certificate) {
+        entry.certificate.attestations.forEach(attestation => walletIds.add(attestation.witnessId));
+      }
+    }));
+    return Array.from(walletIds);
+  }
+
+  isBatch() {
+    return BatchEnvelope.isBatch(this.envelope);
+  }
+
+  // Rebuild the signed envelope
+  getEnvelope() {
+    return this.isBatch() ? BatchEnvelope.fromJSON(this.envelope) : TransferEnvelope.fromJSON(this.envelope);
+  }
+
+  // Transaction ID the witnesses will settle it under
+  getId() {
+    return this.getEnvelope().getId();
+  }
+
+  getSender() {
+    return this.envelope.sender;
+  }
+
+  getRecipient() {
+    return this.envelope.recipient;
+  }
+
+  getValue() {
+    return this.coins.reduce((total, coin) => total + coin.value, 0);
+  }
+
+  // Rebuild the coins; strict loading refuses any whose stored hash no longer matches
+  getCoins() {
+    return this.coins.map(data => Coin.fromJSON(data));
+  }
+
+  // Keys carried in the bundle, kept only where the key really hashes to the wallet ID
+  getKeyResolver(fallback = null) {
+    return walletId => {
+      const embedded = this.publicKeys[walletId];
+      if (embedded && walletIdForPublicKey(embedded) === walletId) {
+        return embedded;
+      }
+      return resolvePublicKey(fallback, walletId);
+    };
+  }
+
+  // Check everything that can be checked offline: coin integrity and history,
+  // that the envelope describes these coins, and the sender's signature.
+  // options.recipientId insists on the recipient; options.keyResolver adds keys
+  // the verifier already trusts; options.witnessThreshold requires certificates
+  // on past hops. Returns { valid: true } or { valid: false, reason }.
+  verify(options = {}) {
+    let envelope;
+    let coins;
+    try {
+      envelope = this.getEnvelope();
+      coins = this.getCoins();
+    } catch (err) {
+      return { valid: false, reason: err.message };
+    }
+
+    if (options.recipientId && envelope.recipient !== options.recipientId) {
+      return { valid: false, reason: `transfer is addressed to ${envelope.recipient}, not ${options.recipientId}` };
+    }
+
+    if (this.isBatch()) {
+      const check = envelope.checkCoins();
+      if (!check.valid) {
+        return check;
+      }
+    }
+
+    const match = this.isBatch()
+      ? envelope.matchesCoins(coins)
+      : (coins.length === 1 ? envelope.matchesCoin(coins[0]) : { valid: false, reason: 'a single transfer must carry one coin' });
+    if (!match.valid) {
+      return match;
+    }
+
+    const keyResolver = this.getKeyResolver(options.keyResolver);
+
+    for (const coin of coins) {
+      if (coin.status !== 'active') {
+        return { valid: false, reason: `coin ${coin.id} has status ${coin.status}` };
+      }
+
+      const provenance = coin.verifyProvenance(keyResolver, { witnessThreshold: options.witnessThreshold || null });
+      if (!provenance.valid) {
+        return { valid: false, reason: `coin ${coin.id} provenance broken at entry ${provenance.index}: ${provenance.reason}` };
+      }
+    }
+
+    const senderKey = keyResolver(envelope.sender);
+    if (!senderKey) {
+      return { valid: false, reason: 'sender public key is missing' };
+    }
+
+    if (!verifyData(envelope.serialize(), this.signature, senderKey, envelope.algorithm)) {
+      return { valid: false, reason: 'invalid sender signature' };
+    }
+
+    return { valid: true };
+  }
+
+  // Transaction in the shape Network._processTransaction expects
+  toTransaction() {
+    const envelope = this.getEnvelope();
+    const coins = this.getCoins();
+    const transaction = {
+      envelope,
+      signature: this.signature,
+      sender: envelope.sender,
+      recipient: envelope.recipient,
+      timestamp: envelope.timestamp
+    };
+
+    if (this.isBatch()) {
+      return { type: 'batch', coins, ...transaction };
+    }
+    return { coin: coins[0], ...transaction };
+  }
+
+  // Self-contained text form, safe to paste into a message or QR code
+  encode() {
+    return `${BLOB_PREFIX}:${this.version}:${Buffer.from(JSON.stringify(this.toJSON())).toString('base64url')}`;
+  }
+
+  static decode(text) {
+    const [prefix, version, payload] = String(text).trim().split(':');
+    if (prefix !== BLOB_PREFIX || !payload) {
+      throw new Error('Not an offline transfer blob');
+    }
+    if (Number(version) !== OFFLINE_VERSION) {
+      throw new Error(`Unsupported offline transfer version: ${version}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+      throw new Error('Offline transfer blob is corrupted');
+    }
+    return OfflineTransfer.fromJSON(data);
+  }
+
+  // Accept a bundle, its JSON, a text blob, or a path to a file holding either
+  static from(source) {
+    if (source instanceof OfflineTransfer) {
+      return source;
+    }
+    if (typeof source === 'string') {
+      if (source.startsWith(`${BLOB_PREFIX}:`)) {
+        return OfflineTransfer.decode(source);
+      }
+      return OfflineTransfer.readFromFile(source);
+    }
+    return OfflineTransfer.fromJSON(source);
+  }
+
+  writeToFile(filePath) {
+    fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+    return filePath;
+  }
+
+  static readFromFile(filePath) {
+    const contents = fs.readFileSync(filePath, 'utf8').trim();
+    return contents.startsWith(`${BLOB_PREFIX}:`)
+      ? OfflineTransfer.decode(contents)
+      : OfflineTransfer.fromJSON(JSON.parse(contents));
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      coins: this.coins,
+      envelope: this.envelope,
+      signature: this.signature,
+      publicKeys: this.publicKeys,
+      createdAt: this.createdAt
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== OFFLINE_VERSION) {
+      throw new Error(`Unsupported offline transfer version: ${data && data.version}`);
+    }
+    if (!Array.isArray(data.coins) || !data.envelope || !data.signature) {
+      throw new Error('Offline transfer is missing coins, envelope or signature');
+    }
+    return new OfflineTransfer(data);
+  }
+}
+
+OfflineTransfer.VERSION = OFFLINE_VERSION;
+
+module.exports = OfflineTransfer;
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { v5: uuidv5 } = require('uuid');
+const { canonicalize, canonicalHash } = require('./canonical');
+const { applyDemurrage } = require('./renewal');
+
+// Version 1 predates the signer's key algorithm and is still accepted
+const OPERATION_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+// Namespace for deriving output coin IDs from an operation ID
+const OUTPUT_ID_NAMESPACE = '6f1c3d52-8a0e-4b7e-9c55-2f4a7d1e9b30';
+
+const OPERATION_TYPES = ['split', 'merge', 'renew'];
+
+// Values are compared in integer minor units, so float rounding in sums such
+// as 0.1 + 0.2 cannot make a balanced operation look unbalanced
+const VALUE_DECIMALS = 8;
+const UNITS_PER_COIN = 10 ** VALUE_DECIMALS;
+
+// A value in minor units, or null if it has more decimal places than coins allow
+function toUnits(value) {
+  const scaled = value * UNITS_PER_COIN;
+  const units = Math.round(scaled);
+  return Math.abs(scaled - units) <= Math.max(1e-6, Math.abs(scaled) * 4 * Number.EPSILON) ? units : null;
+}
+
+// Sum of coin values, exact to the minor unit where the values allow it
+function sumValues(values) {
+  const units = values.map(toUnits);
+  if (units.includes(null)) {
+    return values.reduce((total, value) => total + value, 0);
+  }
+  return units.reduce((total, value) => total + value, 0) / UNITS_PER_COIN;
+}
+
+// Signed statement of a split, merge or renewal: the owner consumes the input
+// coins and asks the witnesses to issue output coins of the given values. Output
+// IDs are derived from the envelope, so every child can be traced back to its parents.
+class OperationEnvelope {
+  constructor({ type, owner, inputs, outputs, renewal, networkId, algorithm, nonce, timestamp, version = OPERATION_VERSION }) {
+    this.version = version;
+    this.type = type;
+    this.owner = owner;
+    this.inputs = (inputs || []).map(({ coinId, coinHash, value }) => ({ coinId, coinHash, value }));
+    this.outputs = outputs || []; // Output coin values, in order
+    this.renewal = renewal || undefined; // Renewals only: { expiryDate, since, demurrage } (left out of the JSON otherwise)
+    this.networkId = networkId || null;
+    this.algorithm = version >= 2 ? algorithm || null : undefined; // Signer's key algorithm
+    this.nonce = nonce || crypto.randomBytes(16).toString('hex');
+    this.timestamp = timestamp || Date.now();
+  }
+
+  // Split one coin into several coins whose values add up to it
+  static forSplit(coin, values, networkId = null, algorithm = null) {
+    return new OperationEnvelope({
+      type: 'split',
+      owner: coin.ownerId,
+      inputs: [OperationEnvelope.describeCoin(coin)],
+      outputs: values,
+      networkId,
+      algorithm
+    });
+  }
+
+  // Merge several coins into one coin worth their sum
+  static forMerge(coins, networkId = null, algorithm = null) {
+    return new OperationEnvelope({
+      type: 'merge',
+      owner: coins.length > 0 ? coins[0].ownerId : null,
+      inputs: coins.map(coin => OperationEnvelope.describeCoin(coin)),
+      outputs: [sumValues(coins.map(coin => coin.value))],
+      networkId,
+      algorithm
+    });
+  }
+
+  // Reissue an expiring coin with a new expiry date. Demurrage in the coin's
+  // metadata is charged for the time since the coin was issued.
+  static forRenewal(coin, expiryDate, networkId = null, algorithm = null) {
+    const timestamp = Date.now();
+    const demurrage = (coin.metadata && coin.metadata.demurrage) || undefined;
+
+    return new OperationEnvelope({
+      type: 'renew',
+      owner: coin.ownerId,
+      inputs: [OperationEnvelope.describeCoin(coin)],
+      outputs: [applyDemurrage(coin.value, demurrage, timestamp - coin.created)],
+      renewal: { expiryDate, since: coin.created, demurrage },
+      networkId,
+      algorithm,
+      timestamp
+    });
+  }
+
+  static describeCoin(coin) {
+    return { coinId: coin.id, coinHash: coin.hash, value: coin.value };
+  }
+
+  // Canonical string that gets signed and verified
+  serialize() {
+    return canonicalize(this.toJSON());
+  }
+
+  // Unique identifier of this operation (also used as the transaction id)
+  getId() {
+    return canonicalHash(this.toJSON());
+  }
+
+  // Deterministic IDs of the coins this operation issues
+  getOutputIds() {
+    const operationId = this.getId();
+    return this.outputs.map((_, index) => uuidv5(`${operationId}:${index}`, OUTPUT_ID_NAMESPACE));
+  }
+
+  // Check the operation's shape and that value is conserved
+  checkConservation() {
+    if (!OPERATION_TYPES.includes(this.type)) {
+      return { valid: false, reason: `unknown operation type: ${this.type}` };
+    }
+
+    if (this.type === 'split' && (this.inputs.length !== 1 || this.outputs.length < 2)) {
+      return { valid: false, reason: 'split must consume one coin and issue at least two' };
+    }
+
+    if (this.type === 'merge' && (this.inputs.length < 2 || this.outputs.length !== 1)) {
+      return { valid: false, reason: 'merge must consume at least two coins and issue one' };
+    }
+
+    if (this.type === 'renew') {
+      return this._checkRenewal();
+    }
+
+    const inputIds = new Set(this.inputs.map(input => input.coinId));
+    if (inputIds.size !== this.inputs.length) {
+      return { valid: false, reason: 'the same coin is consumed more than once' };
+    }
+
+    if (this.outputs.some(value => typeof value !== 'number' || !(value > 0))) {
+      return { valid: false, reason: 'output values must be positive numbers' };
+    }
+
+    const inputUnits = this.inputs.map(input => toUnits(input.value));
+    const outputUnits = this.outputs.map(toUnits);
+    if (inputUnits.includes(null) || outputUnits.includes(null)) {
+      return { valid: false, reason: `coin values allow at most ${VALUE_DECIMALS} decimal places` };
+    }
+
+    const inputTotal = inputUnits.reduce((total, units) => total + units, 0);
+    const outputTotal = outputUnits.reduce((total, units) => total + units, 0);
+    if (inputTotal !== outputTotal) {
+      return { valid: false, reason: `value not conserved: inputs ${inputTotal / UNITS_PER_COIN}, outputs ${outputTotal / UNITS_PER_COIN}` };
+    }
+
+    return { valid: true };
+  }
+
+  // A renewal issues one coin worth the input less demurrage, expiring after the renewal
+  _checkRenewal() {
+    if (this.inputs.length !== 1 || this.outputs.length !== 1) {
+      return { valid: false, reason: 'renewal must consume one coin and issue one' };
+    }
+
+    const { expiryDate, since, demurrage } = this.renewal || {};
+    if (!Number.isInteger(expiryDate) || expiryDate <= this.timestamp) {
+      return { valid: false, reason: 'renewal needs an expiry date after the renewal' };
+    }
+    if (!Number.isInteger(since) || since > this.timestamp) {
+      return { valid: false, reason: 'renewal needs the time the coin was issued' };
+    }
+
+    let expected;
+    try {
+      expected = applyDemurrage(this.inputs[0].value, demurrage, this.timestamp - since);
+    } catch (err) {
+      return { valid: false, reason: err.message };
+    }
+
+    if (!(expected > 0)) {
+      return { valid: false, reason: 'demurrage has used up the coin\'s value' };
+    }
+    if (this.outputs[0] !== expected) {
+      return { valid: false, reason: `renewed value ${this.outputs[0]} does not match ${expected} after demurrage` };
+    }
+
+    return { valid: true };
+  }
+
+  // Check that the coins are exactly the inputs, in their signed state
+  matchesCoins(coins) {
+    if (!Array.isArray(coins) || coins.length !== this.inputs.length) {
+      return { valid: false, reason: 'coins do not match the operation inputs' };
+    }
+
+    for (let i = 0; i < coins.length; i++) {
+      const coin = coins[i];
+      const input = this.inputs[i];
+
+      if (coin.id !== input.coinId || coin.hash !== input.coinHash) {
+        return { valid: false, reason: `coin ${coin.id} does not match the signed input state` };
+      }
+      if (coin.value !== input.value) {
+        return { valid: false, reason: `coin ${coin.id} value does not match the signed input value` };
+      }
+      if (coin.ownerId !== this.owner) {
+        return { valid: false, reason: `coin ${coin.id} is not owned by the operation owner` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      owner: this.owner,
+      inputs: this.inputs,
+      outputs: this.outputs,
+      renewal: this.renewal,
+      networkId: this.networkId,
+      algorithm: this.algorithm,
+      nonce: this.nonce,
+      timestamp: this.timestamp
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid operation envelope');
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(data.version)) {
+      throw new Error(`Unsupported operation envelope version: ${data.version}`);
+    }
+
+    if (!data.nonce || !data.timestamp) {
+      throw new Error('Operation envelope is missing nonce or timestamp');
+    }
+
+    return new OperationEnvelope(data);
+  }
+}
+
+OperationEnvelope.VERSION = OPERATION_VERSION;
+OperationEnvelope.TYPES = OPERATION_TYPES;
+
+module.exports = OperationEnvelope;
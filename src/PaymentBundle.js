@@ -0,0 +1,82 @@
+const { v4: uuidv4 } = require('uuid');
+
+// A wallet's plan for paying an exact amount to one recipient. The selected
+// coins (plus any swept dust) are merged into one coin, the change is split
+// off, and the recipient receives a single coin worth exactly the amount -
+// so the payment either arrives whole or not at all. The network runs the
+// steps through the witness quorum (Network.submitPayment).
+class PaymentBundle {
+  constructor({ id, sender, recipient, amount, asset, networkId, strategy, coinIds, sweptCoinIds, inputTotal, paymentRequest, createdAt }) {
+    this.id = id || uuidv4();
+    this.sender = sender;
+    this.recipient = recipient;
+    this.amount = amount;
+    this.asset = asset || null; // Asset paid in; null for the native coin
+    this.networkId = networkId || null;
+    this.strategy = strategy;
+    this.coinIds = coinIds || []; // Coins selected to cover the amount
+    this.sweptCoinIds = sweptCoinIds || []; // Dust coins folded into the change
+    this.inputTotal = inputTotal;
+    this.change = inputTotal - amount;
+    this.paymentRequest = paymentRequest || null; // JSON of the PaymentRequest being fulfilled
+    this.createdAt = createdAt || Date.now();
+    this.status = 'planned'; // planned, confirmed, failed
+    this.steps = []; // Outcome of each executed step
+  }
+
+  // ID of the payment request the final transfer references, or null
+  getReference() {
+    return this.paymentRequest ? this.paymentRequest.requestId : null;
+  }
+
+  // Every coin the bundle consumes
+  getInputIds() {
+    return [...this.coinIds, ...this.sweptCoinIds];
+  }
+
+  // The witness operations needed before the final transfer
+  getPlan() {
+    const plan = [];
+    if (this.getInputIds().length > 1) {
+      plan.push({ type: 'merge', coinIds: this.getInputIds() });
+    }
+    if (this.change > 0) {
+      plan.push({ type: 'split', values: [this.amount, this.change] });
+    }
+    plan.push({ type: 'transfer', recipient: this.recipient, value: this.amount });
+    return plan;
+  }
+
+  // Record the outcome of one step
+  recordStep(type, result) {
+    this.steps.push({
+      type,
+      success: result.success,
+      txId: result.txId || null,
+      reason: result.reason || null,
+      timestamp: Date.now()
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      sender: this.sender,
+      recipient: this.recipient,
+      amount: this.amount,
+      asset: this.asset,
+      networkId: this.networkId,
+      strategy: this.strategy,
+      coinIds: this.coinIds,
+      sweptCoinIds: this.sweptCoinIds,
+      inputTotal: this.inputTotal,
+      change: this.change,
+      paymentRequest: this.paymentRequest,
+      createdAt: this.createdAt,
+      status: this.status,
+      steps: this.steps
+    };
+  }
+}
+
+module.exports = PaymentBundle;
@@ -0,0 +1,129 @@
+const { v4: uuidv4 } = require('uuid');
+const { canonicalize } = require('./canonical');
+const { encodeAddress } = require('./address');
+const { verifyData, walletIdForPublicKey } = require('./signatures');
+
+const REQUEST_VERSION = 1;
+
+// An invoice: the recipient's wallet signs the amount it wants, where to send
+// it and until when. The sender's wallet fulfils it with a transfer whose
+// envelope references the request ID, so witnesses and the recipient can match
+// the coins to the invoice and flag over- or under-payment.
+class PaymentRequest {
+  constructor({ requestId, recipient, address, publicKey, amount, memo, networkId, createdAt, expiresAt, signature = null, version = REQUEST_VERSION }) {
+    this.version = version;
+    this.requestId = requestId || uuidv4();
+    this.recipient = recipient; // Wallet ID to be paid
+    this.address = address; // Checksummed address of the recipient
+    this.publicKey = publicKey; // Recipient's key, so the request can be checked by anyone
+    this.amount = amount;
+    this.memo = memo || '';
+    this.networkId = networkId || null;
+    this.createdAt = createdAt || Date.now();
+    this.expiresAt = expiresAt || null;
+    this.signature = signature;
+  }
+
+  // Create and sign a request from the recipient's wallet.
+  // options: memo, networkId (default 'main'), expiresIn (ms)
+  static create(wallet, amount, options = {}) {
+    if (typeof amount !== 'number' || amount <= 0) {
+      throw new Error('Requested amount must be a positive number');
+    }
+
+    const networkId = options.networkId || 'main';
+    const createdAt = Date.now();
+    const request = new PaymentRequest({
+      recipient: wallet.getId(),
+      address: encodeAddress(wallet.getId(), networkId),
+      publicKey: wallet.publicKey,
+      amount,
+      memo: options.memo,
+      networkId,
+      createdAt,
+      expiresAt: options.expiresIn ? createdAt + options.expiresIn : null
+    });
+
+    request.signature = wallet.sign(request.getSignedData());
+    return request;
+  }
+
+  // Canonical string covered by the recipient's signature
+  getSignedData() {
+    const { signature, ...unsigned } = this.toJSON();
+    return canonicalize(unsigned);
+  }
+
+  // The ID transfers reference
+  getId() {
+    return this.requestId;
+  }
+
+  isExpired(now = Date.now()) {
+    return Boolean(this.expiresAt) && now > this.expiresAt;
+  }
+
+  // Check the request is signed by the wallet it asks payment for, and still open
+  verify(options = {}) {
+    if (!this.publicKey || walletIdForPublicKey(this.publicKey) !== this.recipient) {
+      return { valid: false, reason: 'request key does not belong to the recipient' };
+    }
+
+    if (this.address !== encodeAddress(this.recipient, this.networkId)) {
+      return { valid: false, reason: 'request address does not match the recipient' };
+    }
+
+    if (options.networkId && this.networkId !== options.networkId) {
+      return { valid: false, reason: `request is for network ${this.networkId}, not ${options.networkId}` };
+    }
+
+    if (typeof this.amount !== 'number' || !(this.amount > 0)) {
+      return { valid: false, reason: 'requested amount must be a positive number' };
+    }
+
+    if (!verifyData(this.getSignedData(), this.signature, this.publicKey)) {
+      return { valid: false, reason: 'invalid recipient signature on the request' };
+    }
+
+    if (!options.allowExpired && this.isExpired()) {
+      return { valid: false, reason: 'payment request has expired' };
+    }
+
+    return { valid: true };
+  }
+
+  // Compare a paid amount against the request: 'paid', 'underpaid' or 'overpaid'
+  settlementFor(paid) {
+    if (paid === this.amount) {
+      return 'paid';
+    }
+    return paid < this.amount ? 'underpaid' : 'overpaid';
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      requestId: this.requestId,
+      recipient: this.recipient,
+      address: this.address,
+      publicKey: this.publicKey,
+      amount: this.amount,
+      memo: this.memo,
+      networkId: this.networkId,
+      createdAt: this.createdAt,
+      expiresAt: this.expiresAt,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== REQUEST_VERSION) {
+      throw new Error(`Unsupported payment request version: ${data && data.version}`);
+    }
+    return new PaymentRequest(data);
+  }
+}
+
+PaymentRequest.VERSION = REQUEST_VERSION;
+
+module.exports = PaymentRequest;
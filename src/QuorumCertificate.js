@@ -0,0 +1,108 @@
+const WitnessAttestation = require('./WitnessAttestation');
+const { resolvePublicKey } = require('./signatures');
+
+const CERTIFICATE_VERSION = 1;
+
+// Bundle of witness approvals for one transaction. Stored on the coin's
+// transfer record so later holders can check the hop was approved by a quorum.
+class QuorumCertificate {
+  constructor({ txId, coinId, coinHash, threshold, attestations = [], issuedAt, version = CERTIFICATE_VERSION }) {
+    this.version = version;
+    this.txId = txId;
+    this.coinId = coinId;
+    this.coinHash = coinHash;
+    this.threshold = threshold;
+    this.attestations = attestations.map(a =>
+      a instanceof WitnessAttestation ? a : WitnessAttestation.fromJSON(a)
+    );
+    this.issuedAt = issuedAt || Date.now();
+  }
+
+  // Build a certificate from the approvals collected for an envelope
+  static fromAttestations(envelope, attestations, threshold) {
+    return new QuorumCertificate({
+      txId: envelope.getId(),
+      coinId: envelope.coinId || null,
+      coinHash: envelope.coinHash || null,
+      threshold,
+      attestations: attestations.filter(a => a.isApproval())
+    });
+  }
+
+  // Wallet IDs of the witnesses that signed
+  getWitnessIds() {
+    return this.attestations.map(a => a.witnessId);
+  }
+
+  // Verify offline against known witness keys. keyResolver is a Map or function
+  // walletId -> publicKey; witnesses it cannot resolve are not counted.
+  // options.threshold overrides the certificate's own threshold (use it to
+  // enforce local policy), options.txId binds the certificate to a transaction.
+  verify(keyResolver, options = {}) {
+    const threshold = options.threshold || this.threshold;
+
+    if (!threshold || threshold < 1) {
+      return { valid: false, reason: 'certificate has no quorum threshold' };
+    }
+
+    if (options.txId && options.txId !== this.txId) {
+      return { valid: false, reason: 'certificate is for a different transaction' };
+    }
+
+    const approvedBy = new Set();
+    for (const attestation of this.attestations) {
+      if (attestation.txId !== this.txId ||
+          attestation.coinId !== this.coinId ||
+          attestation.coinHash !== this.coinHash) {
+        return { valid: false, reason: `attestation from ${attestation.witnessId} is for a different transaction` };
+      }
+
+      if (!attestation.isApproval()) {
+        return { valid: false, reason: `attestation from ${attestation.witnessId} is not an approval` };
+      }
+
+      const publicKey = resolvePublicKey(keyResolver, attestation.witnessId);
+      if (!publicKey) {
+        continue; // Unregistered witness - does not count towards the quorum
+      }
+
+      if (!attestation.verify(publicKey)) {
+        return { valid: false, reason: `invalid signature from witness ${attestation.witnessId}` };
+      }
+
+      approvedBy.add(attestation.witnessId);
+    }
+
+    if (approvedBy.size < threshold) {
+      return {
+        valid: false,
+        reason: `only ${approvedBy.size} of ${threshold} required registered witnesses approved`
+      };
+    }
+
+    return { valid: true, witnesses: Array.from(approvedBy) };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      txId: this.txId,
+      coinId: this.coinId,
+      coinHash: this.coinHash,
+      threshold: this.threshold,
+      attestations: this.attestations.map(a => a.toJSON()),
+      issuedAt: this.issuedAt
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== CERTIFICATE_VERSION) {
+      throw new Error(`Unsupported quorum certificate version: ${data && data.version}`);
+    }
+    return new QuorumCertificate(data);
+  }
+}
+
+QuorumCertificate.VERSION = CERTIFICATE_VERSION;
+
+module.exports = QuorumCertificate;
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { canonicalize, canonicalHash } = require('./canonical');
+
+const STATUS_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// Status a coin must have for each action, and the status it ends up with
+const TRANSITIONS = {
+  freeze: { from: ['active'], to: 'frozen' },
+  unfreeze: { from: ['frozen'], to: 'active' },
+  revoke: { from: ['active', 'frozen'], to: 'revoked' }
+};
+
+// Issuer-signed request to freeze, unfreeze or revoke one coin. Witnesses
+// approve it like any other transaction; once applied it is recorded in the
+// coin's history and every agent refuses the coin while it is not active.
+class StatusEnvelope {
+  constructor({ action, issuerId, coinId, coinHash, reason, networkId, algorithm, nonce, timestamp, version = STATUS_VERSION }) {
+    this.version = version;
+    this.type = 'status';
+    this.action = action;
+    this.issuerId = issuerId;
+    this.coinId = coinId;
+    this.coinHash = coinHash; // State of the coin the decision applies to
+    this.reason = reason || '';
+    this.networkId = networkId || null;
+    this.algorithm = algorithm || null; // Issuer's key algorithm
+    this.nonce = nonce || crypto.randomBytes(16).toString('hex');
+    this.timestamp = timestamp || Date.now();
+  }
+
+  // Describe an action on the current state of a coin
+  static forCoin(coin, action, issuerId, reason, networkId = null, algorithm = null) {
+    return new StatusEnvelope({
+      action,
+      issuerId,
+      coinId: coin.id,
+      coinHash: coin.hash,
+      reason,
+      networkId,
+      algorithm
+    });
+  }
+
+  static isStatusChange(data) {
+    return Boolean(data) && data.type === 'status';
+  }
+
+  serialize() {
+    return canonicalize(this.toJSON());
+  }
+
+  // Unique identifier of the request (also the transaction id)
+  getId() {
+    return canonicalHash(this.toJSON());
+  }
+
+  // Status the coin has once the action is applied
+  getResultingStatus() {
+    return TRANSITIONS[this.action] ? TRANSITIONS[this.action].to : null;
+  }
+
+  // Check the action is known, explained and allowed from the coin's current status
+  checkTransition(status) {
+    const transition = TRANSITIONS[this.action];
+    if (!transition) {
+      return { valid: false, reason: `unknown status action: ${this.action}` };
+    }
+    if (!this.reason || typeof this.reason !== 'string') {
+      return { valid: false, reason: `a ${this.action} must give a reason` };
+    }
+    if (!transition.from.includes(status)) {
+      return { valid: false, reason: `cannot ${this.action} a coin with status ${status}` };
+    }
+    return { valid: true };
+  }
+
+  // Check that the envelope describes the coin as it is now
+  matchesCoin(coin) {
+    if (coin.id !== this.coinId) {
+      return { valid: false, reason: 'envelope coin id does not match coin' };
+    }
+    if (coin.hash !== this.coinHash) {
+      return { valid: false, reason: 'envelope coin hash does not match coin' };
+    }
+    return { valid: true };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      action: this.action,
+      issuerId: this.issuerId,
+      coinId: this.coinId,
+      coinHash: this.coinHash,
+      reason: this.reason,
+      networkId: this.networkId,
+      algorithm: this.algorithm,
+      nonce: this.nonce,
+      timestamp: this.timestamp
+    };
+  }
+
+  static fromJSON(data) {
+    if (!StatusEnvelope.isStatusChange(data)) {
+      throw new Error('Invalid status envelope');
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(data.version)) {
+      throw new Error(`Unsupported status envelope version: ${data.version}`);
+    }
+
+    if (!data.action || !data.issuerId || !data.coinId || !data.nonce || !data.timestamp) {
+      throw new Error('Status envelope is missing required fields');
+    }
+
+    return new StatusEnvelope(data);
+  }
+}
+
+StatusEnvelope.VERSION = STATUS_VERSION;
+StatusEnvelope.ACTIONS = Object.keys(TRANSITIONS);
+
+module.exports = StatusEnvelope;
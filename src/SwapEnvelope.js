@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { canonicalize, canonicalHash } = require('./canonical');
+
+// Version 1 predates each signer's key algorithm and is still accepted
+const SWAP_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+// Signed statement of a coin-for-coin exchange between two wallets. Each leg
+// lists the coins one party gives to the other; both parties sign the same
+// envelope and one witness quorum approves both legs, so either every coin
+// changes hands or none does. Coins record their asset type, so a swap can
+// exchange different assets. Each leg also names the key algorithm its
+// sender signs with.
+class SwapEnvelope {
+  constructor({ legs, networkId, nonce, timestamp, version = SWAP_VERSION }) {
+    this.version = version;
+    this.type = 'swap';
+    this.legs = (legs || []).map(({ sender, recipient, algorithm, coins }) => ({
+      sender,
+      recipient,
+      algorithm: version >= 2 ? algorithm || null : undefined, // Sender's key algorithm
+      coins: (coins || []).map(({ coinId, coinHash, value, asset }) => ({ coinId, coinHash, value, asset }))
+    }));
+    this.networkId = networkId || null;
+    this.nonce = nonce || crypto.randomBytes(16).toString('hex');
+    this.timestamp = timestamp || Date.now();
+  }
+
+  // Describe a swap of the current states of two sets of coins, each set held
+  // by one party; giveAlgorithm and takeAlgorithm are the parties' key algorithms
+  static forCoins(giveCoins, takeCoins, networkId = null, giveAlgorithm = null, takeAlgorithm = null) {
+    const describe = coins => coins.map(coin => ({
+      coinId: coin.id,
+      coinHash: coin.hash,
+      value: coin.value,
+      asset: SwapEnvelope.assetOf(coin)
+    }));
+    const partyA = giveCoins.length > 0 ? giveCoins[0].ownerId : null;
+    const partyB = takeCoins.length > 0 ? takeCoins[0].ownerId : null;
+
+    return new SwapEnvelope({
+      legs: [
+        { sender: partyA, recipient: partyB, algorithm: giveAlgorithm, coins: describe(giveCoins) },
+        { sender: partyB, recipient: partyA, algorithm: takeAlgorithm, coins: describe(takeCoins) }
+      ],
+      networkId
+    });
+  }
+
+  // Asset type of a coin (undefined for the native coin)
+  static assetOf(coin) {
+    return coin.asset || undefined;
+  }
+
+  static isSwap(data) {
+    return Boolean(data) && data.type === 'swap';
+  }
+
+  serialize() {
+    return canonicalize(this.toJSON());
+  }
+
+  // Unique identifier of the swap (also the transaction id)
+  getId() {
+    return canonicalHash(this.toJSON());
+  }
+
+  // The two wallets exchanging coins
+  getParties() {
+    return this.legs.map(leg => leg.sender);
+  }
+
+  // The leg in which party gives coins, or null
+  getLeg(party) {
+    return this.legs.find(leg => leg.sender === party) || null;
+  }
+
+  // Key algorithm a party declared for its signature, or null
+  getAlgorithm(party) {
+    const leg = this.getLeg(party);
+    return (leg && leg.algorithm) || null;
+  }
+
+  // The same swap with a party's key algorithm filled in. It is a different
+  // envelope, so signatures over this one do not carry over.
+  withAlgorithm(party, algorithm) {
+    return new SwapEnvelope({
+      ...this.toJSON(),
+      legs: this.legs.map(leg => leg.sender === party ? { ...leg, algorithm } : leg)
+    });
+  }
+
+  // Every coin in the swap, in envelope order (first leg, then second)
+  getCoins() {
+    return this.legs.reduce((all, leg) => all.concat(leg.coins), []);
+  }
+
+  // The signed state of one coin with who gives and who receives it, or null
+  findCoin(coinId) {
+    for (const leg of this.legs) {
+      const coin = leg.coins.find(signed => signed.coinId === coinId);
+      if (coin) {
+        return { ...coin, sender: leg.sender, recipient: leg.recipient };
+      }
+    }
+    return null;
+  }
+
+  // Two legs between two different wallets, each giving at least one coin,
+  // every coin listed once with a positive value
+  checkLegs() {
+    if (this.legs.length !== 2) {
+      return { valid: false, reason: 'a swap needs exactly two legs' };
+    }
+
+    const [first, second] = this.legs;
+    if (!first.sender || !second.sender || first.sender === second.sender) {
+      return { valid: false, reason: 'a swap needs two different parties' };
+    }
+    if (first.recipient !== second.sender || second.recipient !== first.sender) {
+      return { valid: false, reason: 'each leg must pay the other party' };
+    }
+    if (first.coins.length === 0 || second.coins.length === 0) {
+      return { valid: false, reason: 'each party must give at least one coin' };
+    }
+
+    const coins = this.getCoins();
+    if (new Set(coins.map(coin => coin.coinId)).size !== coins.length) {
+      return { valid: false, reason: 'the same coin appears more than once in the swap' };
+    }
+    if (coins.some(coin => typeof coin.value !== 'number' || !(coin.value > 0))) {
+      return { valid: false, reason: 'swap coin values must be positive numbers' };
+    }
+
+    return { valid: true };
+  }
+
+  // Check that the coins (in envelope order) are exactly the signed ones,
+  // in their signed state and held by the party giving them
+  matchesCoins(coins) {
+    const signedCoins = this.getCoins();
+    if (!Array.isArray(coins) || coins.length !== signedCoins.length) {
+      return { valid: false, reason: 'coins do not match the swap' };
+    }
+
+    for (let i = 0; i < coins.length; i++) {
+      const coin = coins[i];
+      const signed = this.findCoin(signedCoins[i].coinId);
+
+      if (coin.id !== signed.coinId || coin.hash !== signed.coinHash) {
+        return { valid: false, reason: `coin ${coin.id} does not match the signed swap state` };
+      }
+      if (coin.value !== signed.value || SwapEnvelope.assetOf(coin) !== signed.asset) {
+        return { valid: false, reason: `coin ${coin.id} value or asset does not match the signed swap` };
+      }
+      if (coin.ownerId !== signed.sender) {
+        return { valid: false, reason: `${signed.sender} does not own coin ${coin.id}` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      legs: this.legs,
+      networkId: this.networkId,
+      nonce: this.nonce,
+      timestamp: this.timestamp
+    };
+  }
+
+  static fromJSON(data) {
+    if (!SwapEnvelope.isSwap(data)) {
+      throw new Error('Invalid swap envelope');
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(data.version)) {
+      throw new Error(`Unsupported swap envelope version: ${data.version}`);
+    }
+
+    if (!data.nonce || !data.timestamp || !Array.isArray(data.legs)) {
+      throw new Error('Swap envelope is missing legs, nonce or timestamp');
+    }
+
+    return new SwapEnvelope(data);
+  }
+}
+
+SwapEnvelope.VERSION = SWAP_VERSION;
+
+module.exports = SwapEnvelope;
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { canonicalize, canonicalHash } = require('./canonical');
+const wire = require('./wire');
+
+// Current envelope format version - bump when the signed fields change.
+// Version 1 predates the signer's key algorithm and is still accepted, so
+// coins carrying older envelopes keep verifying.
+const ENVELOPE_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+// The exact statement a sender signs when handing a coin to someone else.
+// Wallets sign it and witnesses verify it, so both sides agree on the bytes.
+class TransferEnvelope {
+  constructor({ coinId, coinHash, value, sender, recipient, networkId, algorithm, reference, conditions, preimage, nonce, timestamp, version = ENVELOPE_VERSION }) {
+    this.version = version;
+    this.coinId = coinId;
+    this.coinHash = coinHash;
+    this.value = value;
+    this.sender = sender;
+    this.recipient = recipient;
+    this.networkId = networkId || null;
+    this.algorithm = version >= 2 ? algorithm || null : undefined; // Signer's key algorithm
+    this.reference = reference || undefined; // Payment request ID being paid (left out of the JSON when unset)
+    this.conditions = conditions || undefined; // Spend conditions the recipient's coin will carry (see conditions.js)
+    this.preimage = preimage || undefined; // Revealed to claim a hash-locked coin
+    this.nonce = nonce || crypto.randomBytes(16).toString('hex');
+    this.timestamp = timestamp || Date.now();
+  }
+
+  // Build an envelope describing the current state of a coin.
+  // options: conditions to lock the coin with, the preimage claiming a
+  // hash-locked coin, and sender (the refund wallet when refunding)
+  static forCoin(coin, recipient, networkId = null, algorithm = null, reference = null, options = {}) {
+    return new TransferEnvelope({
+      coinId: coin.id,
+      coinHash: coin.hash,
+      value: coin.value,
+      sender: options.sender || coin.ownerId,
+      recipient,
+      networkId,
+      algorithm,
+      reference,
+      conditions: options.conditions,
+      preimage: options.preimage
+    });
+  }
+
+  // Canonical string that gets signed and verified
+  serialize() {
+    return canonicalize(this.toJSON());
+  }
+
+  // Unique identifier of this envelope (also used as the transaction id)
+  getId() {
+    return canonicalHash(this.toJSON());
+  }
+
+  // Check that the envelope describes the coin as it is now
+  matchesCoin(coin) {
+    if (coin.id !== this.coinId) {
+      return { valid: false, reason: 'envelope coin id does not match coin' };
+    }
+    if (coin.hash !== this.coinHash) {
+      return { valid: false, reason: 'envelope coin hash does not match coin' };
+    }
+    if (coin.value !== this.value) {
+      return { valid: false, reason: 'envelope value does not match coin value' };
+    }
+    // A conditional coin can also be spent by its refund wallet (checked against the time lock elsewhere)
+    const conditions = coin.getConditions();
+    if (coin.ownerId !== this.sender && !(conditions && conditions.refundTo === this.sender)) {
+      return { valid: false, reason: 'sender does not own the coin' };
+    }
+    return { valid: true };
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      coinId: this.coinId,
+      coinHash: this.coinHash,
+      value: this.value,
+      sender: this.sender,
+      recipient: this.recipient,
+      networkId: this.networkId,
+      algorithm: this.algorithm,
+      reference: this.reference,
+      conditions: this.conditions,
+      preimage: this.preimage,
+      nonce: this.nonce,
+      timestamp: this.timestamp
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid transfer envelope');
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(data.version)) {
+      throw new Error(`Unsupported transfer envelope version: ${data.version}`);
+    }
+
+    // A received envelope must carry its own nonce and timestamp, never fresh ones
+    if (!data.nonce || !data.timestamp) {
+      throw new Error('Transfer envelope is missing nonce or timestamp');
+    }
+
+    return new TransferEnvelope(data);
+  }
+
+  // Compact binary form (see wire.js)
+  toBinary() {
+    return wire.encode('transfer', this.toJSON());
+  }
+
+  static fromBinary(buffer) {
+    return TransferEnvelope.fromJSON(wire.decode('transfer', buffer));
+  }
+}
+
+TransferEnvelope.VERSION = ENVELOPE_VERSION;
+
+module.exports = TransferEnvelope;
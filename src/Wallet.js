@@ -1,121 +1,1046 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const Coin = require('./Coin');
+const TransferEnvelope = require('./TransferEnvelope');
+const OperationEnvelope = require('./OperationEnvelope');
+const BatchEnvelope = require('./BatchEnvelope');
+const Keystore = require('./Keystore');
+const PaymentBundle = require('./PaymentBundle');
+const KeyRotation = require('./KeyRotation');
+const OfflineTransfer = require('./OfflineTransfer');
+const PaymentRequest = require('./PaymentRequest');
+const MultisigPolicy = require('./MultisigPolicy');
+const MultisigTransfer = require('./MultisigTransfer');
+const AtomicSwap = require('./AtomicSwap');
+const { selectCoins, findDust } = require('./coinSelection');
+const { assetKey } = require('./assets');
+const { expiryState } = require('./renewal');
+const { encodeAddress, resolveRecipient } = require('./address');
+const { normalizeConditions } = require('./conditions');
+const {
+  KEY_ALGORITHMS,
+  DEFAULT_KEY_ALGORITHM,
+  generateKeyPair,
+  detectKeyAlgorithm,
+  signData,
+  verifyData,
+  walletIdForPublicKey
+} = require('./signatures');
+
+// Version of the persisted coins/history/pending section of a wallet file
+const WALLET_STATE_VERSION = 1;
+
+// Write a file so readers see either the old or the new contents, never a partial write
+function writeFileAtomic(filePath, contents) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tempPath, contents, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
 
 class Wallet {
-  constructor(keyPath = null) {
+  // options.algorithm picks the key type for a new wallet ('ed25519',
+  // 'ecdsa-p256' or 'rsa'); loaded wallets keep the algorithm of their key file.
+  // options.keyPair supplies existing keys instead (e.g. derived by an HDWallet).
+  // options.autoAccept is the inbox policy for incoming transfers (see setAcceptPolicy).
+  constructor(keyPath = null, passphrase = null, options = {}) {
     this.coins = []; // Array to hold owned coins
     this.transactions = []; // History of transactions
+    this.pendingTransfers = new Map(); // txId -> outgoing transfer or split/merge awaiting witnesses
+    this.incomingTransfers = new Map(); // txId -> imported OfflineTransfer awaiting settlement
+    this.paymentRequests = new Map(); // requestId -> invoice issued by this wallet and what it received
+    this.inbox = new Map(); // txId -> confirmed incoming transfer awaiting accept/reject
+    this.multisigPolicies = new Map(); // policyId -> MultisigPolicy this wallet is a member of
+    this.sharedCoins = []; // Coins owned by those policies - spendable only with co-signers
+    this.lockedCoins = new Map(); // coinId -> coin this wallet locked for someone else and may refund
+    this.acceptPolicy = options.autoAccept === undefined ? true : options.autoAccept;
     
     if (keyPath && fs.existsSync(keyPath)) {
       // Load existing keys
+      let keyData = null;
       try {
-        const keyData = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
-        this.publicKey = keyData.publicKey;
-        
-        // In a real implementation, this would be encrypted and require a password
-        this.privateKey = keyData.privateKey;
-        console.log(`Wallet loaded from ${keyPath}`);
+        keyData = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
       } catch (err) {
         console.error('Error loading wallet:', err);
-        this._generateNewKeys();
       }
+      
+      if (Keystore.isEncrypted(keyData)) {
+        // Decryption errors (e.g. a wrong passphrase) reach the caller - silently
+        // generating fresh keys would strand every coin owned by the old ones
+        const { publicKey, privateKey } = Keystore.decrypt(keyData, passphrase);
+        this.publicKey = publicKey;
+        this.privateKey = privateKey;
+        this.algorithm = keyData.algorithm || detectKeyAlgorithm(publicKey);
+        this._restoreState(keyData.state);
+        console.log(`Wallet loaded from ${keyPath}`);
+      } else if (keyData) {
+        // Legacy plaintext key file - Wallet.importPlaintext encrypts it
+        this.publicKey = keyData.publicKey;
+        this.privateKey = keyData.privateKey;
+        this.algorithm = keyData.algorithm || detectKeyAlgorithm(keyData.publicKey);
+        console.warn(`Wallet loaded from unencrypted key file ${keyPath} - import it with a passphrase`);
+      } else {
+        this._generateNewKeys(options.algorithm);
+      }
+    } else if (options.keyPair) {
+      this._useKeyPair(options.keyPair);
     } else {
-      this._generateNewKeys();
+      this._generateNewKeys(options.algorithm);
     }
   }
 
+  // Adopt a key pair generated elsewhere
+  _useKeyPair({ publicKey, privateKey, algorithm }) {
+    const keyAlgorithm = algorithm || detectKeyAlgorithm(publicKey);
+    if (!KEY_ALGORITHMS.includes(keyAlgorithm)) {
+      throw new Error(`Unsupported key algorithm: ${keyAlgorithm}`);
+    }
+
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
+    this.algorithm = keyAlgorithm;
+  }
+
   // Generate new key pair
-  _generateNewKeys() {
-    // Generate a strong keypair for the wallet
-    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-      modulusLength: 2048, // Higher for production
-      publicKeyEncoding: {
-        type: 'spki',
-        format: 'pem'
-      },
-      privateKeyEncoding: {
-        type: 'pkcs8',
-        format: 'pem'
-      }
-    });
+  _generateNewKeys(algorithm = DEFAULT_KEY_ALGORITHM) {
+    if (!KEY_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unsupported key algorithm: ${algorithm}`);
+    }
+
+    const { publicKey, privateKey } = generateKeyPair(algorithm);
 
     this.publicKey = publicKey;
     this.privateKey = privateKey;
+    this.algorithm = algorithm;
   }
 
-  // Save wallet to file (in a real app, this would be encrypted)
-  saveToFile(filePath) {
-    const keyData = {
+  // Save wallet to file: the private key encrypted under the passphrase, plus
+  // owned coins, transaction history and pending outgoing transfers
+  saveToFile(filePath, passphrase) {
+    const keyData = Keystore.encrypt({
       publicKey: this.publicKey,
-      privateKey: this.privateKey
+      privateKey: this.privateKey,
+      algorithm: this.algorithm
+    }, passphrase);
+    keyData.state = this._serializeState();
+    
+    writeFileAtomic(filePath, JSON.stringify(keyData, null, 2));
+    return filePath;
+  }
+
+  // Coins, history, pending and queued offline transfers in their persisted form
+  _serializeState() {
+    return {
+      version: WALLET_STATE_VERSION,
+      coins: this.coins.map(coin => coin.toJSON()),
+      transactions: this.transactions,
+      pendingTransfers: Array.from(this.pendingTransfers.entries()).map(([txId, pending]) => ({
+        txId,
+        type: pending.type,
+        envelope: pending.envelope.toJSON(),
+        signature: pending.signature,
+        coins: pending.coins.map(coin => coin.toJSON()),
+        returnOf: pending.returnOf,
+        refundOf: pending.refundOf
+      })),
+      incomingTransfers: Array.from(this.incomingTransfers.values()).map(incoming => ({
+        ...incoming,
+        bundle: incoming.bundle.toJSON()
+      })),
+      paymentRequests: Array.from(this.paymentRequests.values()).map(invoice => ({
+        ...invoice,
+        request: invoice.request.toJSON()
+      })),
+      inbox: Array.from(this.inbox.values()).map(incoming => ({
+        ...incoming,
+        coins: incoming.coins.map(coin => coin.toJSON())
+      })),
+      multisigPolicies: Array.from(this.multisigPolicies.values()).map(policy => policy.toJSON()),
+      sharedCoins: this.sharedCoins.map(coin => coin.toJSON()),
+      lockedCoins: Array.from(this.lockedCoins.values()).map(coin => coin.toJSON())
     };
+  }
+
+  // Restore persisted state. Everything is rebuilt and verified before any of it
+  // is applied, so a bad coin leaves the wallet untouched instead of half-loaded.
+  _restoreState(state) {
+    if (!state) {
+      return;
+    }
     
-    // Create directory if it doesn't exist
-    const dir = path.dirname(filePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    if (state.version !== WALLET_STATE_VERSION) {
+      throw new Error(`Unsupported wallet state version: ${state.version}`);
     }
     
-    // In a real implementation, this would be encrypted with a password
-    fs.writeFileSync(filePath, JSON.stringify(keyData, null, 2));
+    const coins = (state.coins || []).map(data => this._loadCoin(data));
+    coins.forEach(coin => {
+      if (coin.ownerId !== this.getId()) {
+        throw new Error(`Saved coin ${coin.id} is not owned by this wallet`);
+      }
+    });
+    
+    const pendingTransfers = new Map();
+    (state.pendingTransfers || []).forEach(pending => {
+      const EnvelopeType = pending.type === 'transfer'
+        ? TransferEnvelope
+        : pending.type === 'batch' ? BatchEnvelope : OperationEnvelope;
+      const envelope = EnvelopeType.fromJSON(pending.envelope);
+      if (envelope.getId() !== pending.txId) {
+        throw new Error(`Saved pending transfer ${pending.txId} does not match its envelope`);
+      }
+      
+      pendingTransfers.set(pending.txId, {
+        type: pending.type,
+        envelope,
+        signature: pending.signature,
+        coins: pending.coins.map(data => this._loadCoin(data)),
+        returnOf: pending.returnOf,
+        refundOf: pending.refundOf
+      });
+    });
+    
+    const incomingTransfers = new Map();
+    (state.incomingTransfers || []).forEach(incoming => {
+      const bundle = OfflineTransfer.fromJSON(incoming.bundle);
+      incomingTransfers.set(bundle.getId(), { ...incoming, bundle });
+    });
+    
+    const paymentRequests = new Map();
+    (state.paymentRequests || []).forEach(invoice => {
+      const request = PaymentRequest.fromJSON(invoice.request);
+      paymentRequests.set(request.getId(), { ...invoice, request });
+    });
+    
+    const inbox = new Map();
+    (state.inbox || []).forEach(incoming => {
+      inbox.set(incoming.txId, { ...incoming, coins: incoming.coins.map(data => this._loadCoin(data)) });
+    });
+    
+    const multisigPolicies = new Map();
+    (state.multisigPolicies || []).forEach(data => {
+      const policy = MultisigPolicy.fromJSON(data);
+      multisigPolicies.set(policy.getId(), policy);
+    });
+    
+    const sharedCoins = (state.sharedCoins || []).map(data => this._loadCoin(data));
+    sharedCoins.forEach(coin => {
+      if (!multisigPolicies.has(coin.ownerId)) {
+        throw new Error(`Saved shared coin ${coin.id} is not owned by a joined multisig policy`);
+      }
+    });
+    
+    const lockedCoins = new Map();
+    (state.lockedCoins || []).forEach(data => {
+      const coin = this._loadCoin(data);
+      lockedCoins.set(coin.id, coin);
+    });
+    
+    this.coins = coins;
+    this.transactions = Array.isArray(state.transactions) ? state.transactions : [];
+    this.pendingTransfers = pendingTransfers;
+    this.incomingTransfers = incomingTransfers;
+    this.paymentRequests = paymentRequests;
+    this.inbox = inbox;
+    this.multisigPolicies = multisigPolicies;
+    this.sharedCoins = sharedCoins;
+    this.lockedCoins = lockedCoins;
+  }
+
+  // Rebuild a saved coin; strict loading refuses any that is malformed or
+  // whose stored hash no longer matches, and upgrades older formats
+  _loadCoin(data) {
+    return Coin.fromJSON(data);
+  }
+
+  // Re-encrypt a saved wallet under a new passphrase
+  static changePassphrase(filePath, oldPassphrase, newPassphrase) {
+    const keyData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const updated = { ...keyData, ...Keystore.changePassphrase(keyData, oldPassphrase, newPassphrase) };
+    
+    writeFileAtomic(filePath, JSON.stringify(updated, null, 2));
     return filePath;
   }
 
+  // Import a legacy plaintext key file, encrypting it under a passphrase.
+  // The encrypted keystore replaces the plaintext file unless outputPath is given.
+  static importPlaintext(plaintextPath, passphrase, outputPath = plaintextPath) {
+    const keyData = JSON.parse(fs.readFileSync(plaintextPath, 'utf8'));
+    
+    if (Keystore.isEncrypted(keyData)) {
+      throw new Error(`${plaintextPath} is already an encrypted keystore`);
+    }
+    
+    if (!keyData.publicKey || !keyData.privateKey) {
+      throw new Error(`${plaintextPath} is not a wallet key file`);
+    }
+    
+    // Make sure the private key really belongs to the public key before encrypting it
+    const derivedPublicKey = crypto.createPublicKey(keyData.privateKey)
+      .export({ type: 'spki', format: 'pem' });
+    if (derivedPublicKey !== keyData.publicKey) {
+      throw new Error(`${plaintextPath} has a private key that does not match its public key`);
+    }
+    
+    const encrypted = Keystore.encrypt({
+      ...keyData,
+      algorithm: keyData.algorithm || detectKeyAlgorithm(keyData.publicKey)
+    }, passphrase);
+    writeFileAtomic(outputPath, JSON.stringify(encrypted, null, 2));
+    
+    return new Wallet(outputPath, passphrase);
+  }
+
   // Get wallet identifier (public key hash)
   getId() {
-    return crypto.createHash('sha256')
-      .update(this.publicKey)
-      .digest('hex')
-      .substring(0, 16); // Longer ID for more uniqueness
+    return walletIdForPublicKey(this.publicKey);
+  }
+
+  // Checksummed address of this wallet on a network - share this, not the bare ID
+  getAddress(networkId = 'main') {
+    return encodeAddress(this.getId(), networkId);
   }
 
-  // Add a coin to the wallet
-  addCoin(coin) {
+  // Add a coin to the wallet. details (e.g. txId, from, status) go into the history entry.
+  // Coins owned by a multisig policy this wallet belongs to are kept apart as shared coins.
+  addCoin(coin, details = {}) {
+    if (this.multisigPolicies.has(coin.ownerId)) {
+      if (!this.sharedCoins.some(shared => shared.id === coin.id)) {
+        this.sharedCoins.push(coin);
+        this._recordTransaction('receive', coin, null, { ...details, multisig: coin.ownerId });
+      }
+      return true;
+    }
+    
     // Verify ownership
     if (coin.ownerId === this.getId()) {
       this.coins.push(coin);
       // Record in transaction history
-      this._recordTransaction('receive', coin, null);
+      this._recordTransaction('receive', coin, null, details);
+      this._matchPaymentRequest(coin);
       return true;
     }
     return false;
   }
 
-  // Transfer a coin to another wallet
-  transferCoin(coinIndex, recipientPublicKey) {
+  // Become a member of a multisig policy so coins it owns are tracked here
+  joinMultisig(policy) {
+    const multisig = policy instanceof MultisigPolicy ? policy : MultisigPolicy.fromJSON(policy);
+    const check = multisig.validate();
+    if (!check.valid) {
+      throw new Error(`Invalid multisig policy: ${check.reason}`);
+    }
+    if (!multisig.isMember(this.getId())) {
+      throw new Error('This wallet is not a member of the multisig policy');
+    }
+    
+    this.multisigPolicies.set(multisig.getId(), multisig);
+    return multisig.getId();
+  }
+
+  // Coins held under a multisig policy (all joined policies if none is given)
+  getSharedCoins(policyId = null) {
+    return this.sharedCoins.filter(coin => !policyId || coin.ownerId === policyId);
+  }
+
+  getSharedBalance(policyId = null) {
+    return this.getSharedCoins(policyId).reduce((total, coin) => total + coin.value, 0);
+  }
+
+  // Propose moving shared coins (by ID) to a recipient, signed by this member.
+  // Other members co-sign the returned MultisigTransfer until the threshold is met.
+  proposeMultisigTransfer(coinIds, recipient, networkId = null) {
+    const recipientId = resolveRecipient(recipient, networkId);
+    const ids = Array.isArray(coinIds) ? coinIds : [coinIds];
+    const coins = ids.map(coinId => this.sharedCoins.find(coin => coin.id === coinId));
+    if (coins.some(coin => !coin)) {
+      throw new Error('Shared coin not found in this wallet');
+    }
+    
+    const policy = this.multisigPolicies.get(coins[0].ownerId);
+    return MultisigTransfer.propose(policy, coins, recipientId, networkId).sign(this);
+  }
+
+  // Co-sign a multisig transfer proposed by another member
+  signMultisigTransfer(transfer) {
+    const multisigTransfer = transfer instanceof MultisigTransfer ? transfer : MultisigTransfer.fromJSON(transfer);
+    if (!this.multisigPolicies.has(multisigTransfer.policy.getId())) {
+      throw new Error('This wallet has not joined the multisig policy');
+    }
+    return multisigTransfer.sign(this);
+  }
+
+  // Forget shared coins once a multisig transfer of them is confirmed
+  releaseSharedCoins(coinIds, txId = null) {
+    const released = this.sharedCoins.filter(coin => coinIds.includes(coin.id));
+    this.sharedCoins = this.sharedCoins.filter(coin => !coinIds.includes(coin.id));
+    released.forEach(coin => this._recordTransaction('send', coin, coin.ownerId, { txId, multisig: coin.history[coin.history.length - 1].from }));
+    return released.length;
+  }
+
+  // Decide which confirmed incoming transfers skip the inbox: true accepts
+  // everything, false holds everything for review, and a function receives
+  // { txId, sender, coins, value } and returns true to accept.
+  setAcceptPolicy(policy) {
+    if (typeof policy !== 'boolean' && typeof policy !== 'function') {
+      throw new Error('Accept policy must be true, false or a function');
+    }
+    this.acceptPolicy = policy;
+  }
+
+  // Take delivery of coins the witnesses have moved to this wallet. They are
+  // accepted straight away if the policy allows, otherwise held in the inbox.
+  // Coins coming back from a transfer this wallet sent are always accepted.
+  // Returns 'accepted', 'pending', or null if none of the coins are ours.
+  receiveIncoming(coins, { txId, sender, returnOf = null }) {
+    const owned = coins.filter(coin => coin.ownerId === this.getId());
+    if (owned.length === 0) {
+      return null;
+    }
+    
+    const isReturn = Boolean(returnOf) && this.transactions.some(entry =>
+      entry.type === 'send' && entry.txId === returnOf && entry.recipient === sender);
+    
+    // Coins this wallet sent itself (claims and refunds) never need consent
+    if (sender === this.getId()) {
+      owned.forEach(coin => this.addCoin(coin, { txId, from: sender, status: 'accepted' }));
+      return 'accepted';
+    }
+    
+    if (isReturn) {
+      this.updateTransferStatus(returnOf, 'returned');
+      owned.forEach(coin => this.addCoin(coin, { txId, from: sender, status: 'returned' }));
+      return 'accepted';
+    }
+    
+    const incoming = {
+      txId,
+      sender,
+      coins: owned,
+      value: owned.reduce((total, coin) => total + coin.value, 0)
+    };
+    
+    const accept = typeof this.acceptPolicy === 'function'
+      ? Boolean(this.acceptPolicy(incoming))
+      : this.acceptPolicy;
+    
+    if (accept) {
+      owned.forEach(coin => this.addCoin(coin, { txId, from: sender, status: 'accepted' }));
+      return 'accepted';
+    }
+    
+    this.inbox.set(txId, { ...incoming, status: 'pending', receivedAt: Date.now() });
+    owned.forEach(coin => this._recordTransaction('receive', coin, null, { txId, from: sender, status: 'pending' }));
+    return 'pending';
+  }
+
+  // Incoming transfers held for review ('pending') or being returned ('rejected')
+  getInbox() {
+    return Array.from(this.inbox.values());
+  }
+
+  // Accept a held transfer: its coins join the wallet
+  acceptIncoming(txId) {
+    const incoming = this.inbox.get(txId);
+    if (!incoming || incoming.status !== 'pending') {
+      return false;
+    }
+    
+    this.inbox.delete(txId);
+    incoming.coins.forEach(coin => {
+      this.coins.push(coin);
+      this._matchPaymentRequest(coin);
+    });
+    this.updateTransferStatus(txId, 'accepted');
+    return true;
+  }
+
+  // Refuse a held transfer by signing its coins back to the sender. The
+  // returned transaction goes through the witnesses like any other transfer;
+  // if they reject it the coins stay in the inbox.
+  rejectIncoming(txId, networkId = null) {
+    const incoming = this.inbox.get(txId);
+    if (!incoming || incoming.status !== 'pending') {
+      return null;
+    }
+    
+    const isBatch = incoming.coins.length > 1;
+    const envelope = isBatch
+      ? BatchEnvelope.forCoins(incoming.coins, incoming.sender, networkId, this.algorithm)
+      : TransferEnvelope.forCoin(incoming.coins[0], incoming.sender, networkId, this.algorithm);
+    const signature = this.sign(envelope.serialize());
+    
+    incoming.status = 'rejected';
+    incoming.returnTxId = envelope.getId();
+    this.pendingTransfers.set(envelope.getId(), {
+      type: isBatch ? 'batch' : 'transfer',
+      envelope,
+      signature,
+      coins: incoming.coins,
+      returnOf: txId
+    });
+    this.updateTransferStatus(txId, 'rejected');
+    
+    const transaction = {
+      envelope,
+      signature,
+      sender: envelope.sender,
+      recipient: envelope.recipient,
+      timestamp: envelope.timestamp,
+      returnOf: txId
+    };
+    return isBatch
+      ? { type: 'batch', coins: incoming.coins, ...transaction }
+      : { coin: incoming.coins[0], ...transaction };
+  }
+
+  // Set the status shown on every history entry of a transaction
+  updateTransferStatus(txId, status) {
+    this.transactions
+      .filter(entry => entry.txId === txId)
+      .forEach(entry => { entry.status = status; });
+  }
+
+  // Issue a signed payment request (invoice) for an amount.
+  // options: memo, networkId, expiresIn (ms)
+  createPaymentRequest(amount, options = {}) {
+    const request = PaymentRequest.create(this, amount, options);
+    this.paymentRequests.set(request.getId(), {
+      request,
+      status: 'open', // open, paid, underpaid, overpaid
+      received: 0,
+      late: false,
+      payments: []
+    });
+    return request;
+  }
+
+  // An invoice issued by this wallet with what has been paid against it
+  getPaymentRequest(requestId) {
+    const invoice = this.paymentRequests.get(requestId);
+    return invoice ? { requestId, ...invoice } : null;
+  }
+
+  getPaymentRequests() {
+    return Array.from(this.paymentRequests.keys()).map(requestId => this.getPaymentRequest(requestId));
+  }
+
+  // Credit a received coin to the invoice its transfer references, if it is ours
+  _matchPaymentRequest(coin) {
+    const entry = coin.history[coin.history.length - 1];
+    const reference = entry && entry.envelope ? entry.envelope.reference : null;
+    const invoice = reference ? this.paymentRequests.get(reference) : null;
+    
+    if (!invoice || entry.to !== this.getId()) {
+      return null;
+    }
+    
+    // The same coin state must not be credited twice
+    const paymentKey = coin.getSpendKey();
+    if (invoice.payments.some(payment => payment.key === paymentKey)) {
+      return invoice;
+    }
+    
+    invoice.payments.push({ key: paymentKey, coinId: coin.id, value: coin.value, from: entry.from, timestamp: entry.timestamp });
+    invoice.received += coin.value;
+    invoice.status = invoice.request.settlementFor(invoice.received);
+    invoice.late = invoice.late || invoice.request.isExpired(entry.timestamp);
+    return invoice;
+  }
+
+  // Plan a payment that fulfils someone else's payment request. The final
+  // transfer references the request so the payee can match it.
+  fulfilPaymentRequest(request, options = {}) {
+    const paymentRequest = request instanceof PaymentRequest ? request : PaymentRequest.fromJSON(request);
+    
+    const check = paymentRequest.verify({ networkId: options.networkId });
+    if (!check.valid) {
+      throw new Error(`Cannot fulfil payment request: ${check.reason}`);
+    }
+    
+    const bundle = this.pay(paymentRequest.address, paymentRequest.amount, {
+      ...options,
+      networkId: paymentRequest.networkId
+    });
+    bundle.paymentRequest = paymentRequest.toJSON();
+    return bundle;
+  }
+
+  // Transfer a coin to another wallet. The recipient is an address (or a
+  // wallet ID); a malformed or wrong-network address throws before anything is signed.
+  // options are passed to TransferEnvelope.forCoin (conditions, preimage).
+  transferCoin(coinIndex, recipient, networkId = null, reference = null, options = {}) {
+    const recipientId = resolveRecipient(recipient, networkId);
+    
     if (coinIndex >= 0 && coinIndex < this.coins.length) {
       const coin = this.coins[coinIndex];
-      
-      // Create signature for the transfer
-      const signData = `${coin.id}-${this.getId()}-${recipientPublicKey}-${Date.now()}`;
-      const signature = crypto.sign('sha256', Buffer.from(signData), this.privateKey);
-      
-      // Remove coin from this wallet
+
+      // Sign the canonical envelope - witnesses verify exactly these bytes
+      const envelope = TransferEnvelope.forCoin(coin, recipientId, networkId, this.algorithm, reference, options);
+      const signature = this.sign(envelope.serialize());
+
+      // Remove coin from this wallet until the witnesses settle the transfer
       this.coins.splice(coinIndex, 1);
-      
+      this.pendingTransfers.set(envelope.getId(), { type: 'transfer', envelope, signature, coins: [coin] });
+
       // Record in transaction history
-      this._recordTransaction('send', coin, recipientPublicKey);
-      
+      this._recordTransaction('send', coin, recipientId, { txId: envelope.getId() });
+
       return {
         coin,
-        signature: signature.toString('base64'),
-        sender: this.getId(),
-        recipient: recipientPublicKey,
-        timestamp: Date.now()
+        envelope,
+        signature,
+        sender: envelope.sender,
+        recipient: envelope.recipient,
+        timestamp: envelope.timestamp
       };
     }
     return null;
   }
 
+  // Hand a coin to a recipient under spend conditions (see conditions.js), e.g.
+  // escrow: { hashLock, refundAfter }. The refund wallet defaults to this one,
+  // and the coin is remembered here so it can be refunded later.
+  lockCoin(coinIndex, recipient, conditions, networkId = null) {
+    const locked = normalizeConditions({
+      ...conditions,
+      refundTo: conditions.refundAfter !== undefined ? conditions.refundTo || this.getId() : conditions.refundTo
+    });
+    
+    const transfer = this.transferCoin(coinIndex, recipient, networkId, null, { conditions: locked });
+    if (transfer) {
+      this.lockedCoins.set(transfer.coin.id, transfer.coin);
+    }
+    return transfer;
+  }
+
+  // Claim a conditional coin held here by moving it (by default to this wallet),
+  // revealing the preimage if it is hash-locked. The claimed coin has no conditions.
+  claimCoin(coinIndex, preimage = null, recipient = null, networkId = null) {
+    const coin = this.coins[coinIndex];
+    if (!coin || !coin.getConditions()) {
+      return null;
+    }
+    
+    return this.transferCoin(coinIndex, recipient || this.getId(), networkId, null, { preimage });
+  }
+
+  // Take back a coin this wallet locked once its refund time has passed. coin
+  // may be an ID of a locked coin or a current copy of the coin.
+  refundCoin(coin, networkId = null) {
+    const current = typeof coin === 'string' ? this.lockedCoins.get(coin) : coin;
+    const conditions = current ? current.getConditions() : null;
+    if (!conditions || conditions.refundTo !== this.getId()) {
+      return null;
+    }
+    
+    const envelope = TransferEnvelope.forCoin(current, this.getId(), networkId, this.algorithm, null, { sender: this.getId() });
+    const signature = this.sign(envelope.serialize());
+    
+    // Nothing leaves this wallet, so a failed refund has nothing to give back
+    this.pendingTransfers.set(envelope.getId(), { type: 'transfer', envelope, signature, coins: [], refundOf: current.id });
+    
+    return {
+      coin: current,
+      envelope,
+      signature,
+      sender: envelope.sender,
+      recipient: envelope.recipient,
+      timestamp: envelope.timestamp
+    };
+  }
+
+  // Coins locked by this wallet that still carry its refund conditions
+  getLockedCoins() {
+    return Array.from(this.lockedCoins.values()).filter(coin => {
+      const conditions = coin.getConditions();
+      return Boolean(conditions) && conditions.refundTo === this.getId();
+    });
+  }
+
+  // Drop a coin that left this wallet without its signature (refunded by its locker)
+  removeCoin(coinId, details = {}) {
+    const coin = this.coins.find(owned => owned.id === coinId);
+    if (!coin) {
+      return false;
+    }
+    
+    this.coins = this.coins.filter(owned => owned !== coin);
+    this._recordTransaction('refunded', coin, coin.ownerId, details);
+    return true;
+  }
+
+  // Offer coins from this wallet (by index) for a counterparty's coins, given
+  // as current copies of them, and the counterparty's key algorithm if known.
+  // Returns an AtomicSwap signed by this wallet for the counterparty to check and sign.
+  proposeSwap(coinIndices, theirCoins, networkId = null, theirAlgorithm = null) {
+    const giveCoins = coinIndices.map(index => this.coins[index]);
+    if (giveCoins.length === 0 || giveCoins.some(coin => !coin)) {
+      throw new Error('Swap coins not found in this wallet');
+    }
+    
+    return AtomicSwap.propose(this, giveCoins, theirCoins, networkId, theirAlgorithm);
+  }
+
+  // Sign a swap proposed by the counterparty, after checking the coins it
+  // asks for are still held here. The proposer signs through here again when
+  // the counterparty had to fill in its key algorithm.
+  acceptSwap(swap) {
+    const atomicSwap = swap instanceof AtomicSwap ? swap : AtomicSwap.fromJSON(swap);
+    const terms = atomicSwap.getTermsFor(this.getId());
+    if (!terms) {
+      throw new Error('This wallet is not a party to the swap');
+    }
+    
+    const missing = terms.give.find(signed => !this.coins.some(coin => coin.id === signed.coinId && coin.hash === signed.coinHash));
+    if (missing) {
+      throw new Error(`Coin ${missing.coinId} is not held here in the state the swap names`);
+    }
+    
+    return atomicSwap.sign(this);
+  }
+
+  // Apply a confirmed swap: the coins given leave the wallet and the coins received join it
+  settleSwap(envelope, coins, txId) {
+    const walletId = this.getId();
+    coins.forEach(coin => {
+      const { sender, recipient } = envelope.findCoin(coin.id);
+      if (sender === walletId) {
+        this.coins = this.coins.filter(owned => owned.id !== coin.id);
+        this._recordTransaction('send', coin, recipient, { txId, swap: true });
+      } else if (recipient === walletId) {
+        this.addCoin(coin, { txId, from: sender, swap: true });
+      }
+    });
+  }
+
+  // Transfer several coins to one wallet as a single batch. The witnesses
+  // approve or reject the batch as a unit, so either every coin moves or none does.
+  transferCoins(coinIndices, recipient, networkId = null, reference = null) {
+    const recipientId = resolveRecipient(recipient, networkId);
+    const indices = Array.from(new Set(coinIndices));
+    if (indices.length === 0 || indices.some(index => index < 0 || index >= this.coins.length)) {
+      return null;
+    }
+
+    const coins = indices.map(index => this.coins[index]);
+    const envelope = BatchEnvelope.forCoins(coins, recipientId, networkId, this.algorithm, reference);
+    const signature = this.sign(envelope.serialize());
+
+    this.coins = this.coins.filter(coin => !coins.includes(coin));
+    this.pendingTransfers.set(envelope.getId(), { type: 'batch', envelope, signature, coins });
+    coins.forEach(coin => this._recordTransaction('send', coin, recipientId, { txId: envelope.getId() }));
+
+    return {
+      type: 'batch',
+      coins,
+      envelope,
+      signature,
+      sender: envelope.sender,
+      recipient: envelope.recipient,
+      timestamp: envelope.timestamp
+    };
+  }
+
+  // Sign a transfer of one coin (or a batch, given several indices) and package
+  // it for carrying to the recipient offline. The coins stay pending here until
+  // the recipient settles the transfer with the witnesses.
+  exportTransfer(coinIndices, recipient, networkId = null, publicKeys = {}) {
+    const transfer = Array.isArray(coinIndices)
+      ? this.transferCoins(coinIndices, recipient, networkId)
+      : this.transferCoin(coinIndices, recipient, networkId);
+    
+    if (!transfer) {
+      return null;
+    }
+    return OfflineTransfer.fromTransfer(transfer, this.publicKey, publicKeys);
+  }
+
+  // Verify an offline transfer addressed to this wallet and queue it for
+  // settlement. source may be an OfflineTransfer, its JSON, a text blob or a
+  // file path. Queued transfers spending the same coin state are reported as
+  // conflicts - at most one of them can settle.
+  importOfflineTransfer(source, options = {}) {
+    let bundle;
+    try {
+      bundle = OfflineTransfer.from(source);
+    } catch (err) {
+      return { valid: false, reason: err.message };
+    }
+    
+    const check = bundle.verify({ ...options, recipientId: this.getId() });
+    if (!check.valid) {
+      return check;
+    }
+    
+    const txId = bundle.getId();
+    if (this.incomingTransfers.has(txId)) {
+      return { valid: false, reason: 'transfer was already imported', txId };
+    }
+    
+    const spends = new Set(bundle.coins.map(coin => `${coin.id}:${coin.hash}`));
+    const conflictsWith = Array.from(this.incomingTransfers.entries())
+      .filter(([, incoming]) => incoming.bundle.coins.some(coin => spends.has(`${coin.id}:${coin.hash}`)))
+      .map(([otherTxId]) => otherTxId);
+    
+    this.incomingTransfers.set(txId, { bundle, importedAt: Date.now() });
+    return { valid: true, txId, value: bundle.getValue(), conflictsWith };
+  }
+
+  // Imported offline transfers still waiting for witnesses
+  getQueuedTransfers() {
+    return Array.from(this.incomingTransfers.entries()).map(([txId, incoming]) => ({
+      txId,
+      sender: incoming.bundle.getSender(),
+      value: incoming.bundle.getValue(),
+      coinIds: incoming.bundle.coins.map(coin => coin.id),
+      importedAt: incoming.importedAt
+    }));
+  }
+
+  // Record the witnesses' decision on a queued offline transfer. Confirmed
+  // coins (as transferred by the network) join the wallet.
+  settleIncoming(txId, confirmed, coins = []) {
+    if (!this.incomingTransfers.has(txId)) {
+      return false;
+    }
+    
+    this.incomingTransfers.delete(txId);
+    if (confirmed) {
+      coins
+        .filter(coin => this.findCoinIndex(coin.id) === -1)
+        .forEach(coin => this.addCoin(coin));
+    }
+    return true;
+  }
+
+  // Index of an owned coin by ID, or -1
+  findCoinIndex(coinId) {
+    return this.coins.findIndex(coin => coin.id === coinId);
+  }
+
+  // Coins of one asset (null for the native coin)
+  getCoinsOfAsset(asset = null) {
+    return this.coins.filter(coin => (coin.asset || null) === asset);
+  }
+
+  // Coins of one asset that can be spent - frozen and revoked coins cannot
+  _spendableCoins(asset = null) {
+    return this.getCoinsOfAsset(asset).filter(coin => coin.status === 'active');
+  }
+
+  // A coin this wallet holds in any form - owned, shared or awaiting acceptance - or null
+  findHeldCoin(coinId) {
+    const incoming = Array.from(this.inbox.values()).flatMap(entry => entry.coins);
+    return [...this.coins, ...this.sharedCoins, ...incoming].find(coin => coin.id === coinId) || null;
+  }
+
+  // Choose spendable coins of one asset (options.asset, native by default) covering
+  // an amount with a selection strategy ('fewest-coins', 'oldest-first' or 'avoid-dust')
+  selectCoins(amount, options = {}) {
+    const { asset = null, ...selection } = options;
+    return selectCoins(this._spendableCoins(asset), amount, selection);
+  }
+
+  // Plan a payment of an exact amount. The bundle is handed to the network
+  // (Network.submitPayment), which merges the selected coins, splits off the
+  // change and transfers one coin worth the amount. When the selected coins
+  // are being merged anyway, dust coins are swept into the change for free.
+  pay(recipient, amount, options = {}) {
+    const { strategy = 'fewest-coins', dustThreshold, sweepDust = true, networkId = null, asset = null } = options;
+    const recipientId = resolveRecipient(recipient, networkId);
+    
+    const selection = this.selectCoins(amount, { strategy, dustThreshold, asset });
+    const swept = sweepDust && selection.coins.length > 1
+      ? findDust(this._spendableCoins(asset), dustThreshold, selection.coins)
+      : [];
+    
+    return new PaymentBundle({
+      sender: this.getId(),
+      recipient: recipientId,
+      amount,
+      asset,
+      networkId,
+      strategy,
+      coinIds: selection.coins.map(coin => coin.id),
+      sweptCoinIds: swept.map(coin => coin.id),
+      inputTotal: selection.total + swept.reduce((sum, coin) => sum + coin.value, 0)
+    });
+  }
+
+  // Prepare a signed split of one coin into coins of the given values.
+  // The coin leaves the wallet until the witnesses issue the children.
+  splitCoin(coinIndex, values, networkId = null) {
+    if (coinIndex < 0 || coinIndex >= this.coins.length) {
+      return null;
+    }
+
+    const coin = this.coins[coinIndex];
+    const envelope = OperationEnvelope.forSplit(coin, values, networkId, this.algorithm);
+
+    const conservation = envelope.checkConservation();
+    if (!conservation.valid) {
+      throw new Error(`Invalid split: ${conservation.reason}`);
+    }
+
+    this.coins.splice(coinIndex, 1);
+    this._recordTransaction('split', coin, null);
+
+    return this._signOperation(envelope, [coin]);
+  }
+
+  // Prepare a signed merge of several coins into one
+  mergeCoins(coinIndices, networkId = null) {
+    const indices = Array.from(new Set(coinIndices));
+    if (indices.some(index => index < 0 || index >= this.coins.length)) {
+      return null;
+    }
+
+    const coins = indices.map(index => this.coins[index]);
+    if (new Set(coins.map(coin => coin.asset || null)).size > 1) {
+      throw new Error('Invalid merge: coins are of different assets');
+    }
+    
+    const envelope = OperationEnvelope.forMerge(coins, networkId, this.algorithm);
+
+    const conservation = envelope.checkConservation();
+    if (!conservation.valid) {
+      throw new Error(`Invalid merge: ${conservation.reason}`);
+    }
+
+    this.coins = this.coins.filter(coin => !coins.includes(coin));
+    coins.forEach(coin => this._recordTransaction('merge', coin, null));
+
+    return this._signOperation(envelope, coins);
+  }
+
+  // Prepare a signed renewal of an expiring coin. Without an expiry date the
+  // coin gets a fresh term as long as its original one. The coin leaves the
+  // wallet until the witnesses issue its replacement.
+  renewCoin(coinIndex, expiryDate = null, networkId = null) {
+    if (coinIndex < 0 || coinIndex >= this.coins.length) {
+      return null;
+    }
+
+    const coin = this.coins[coinIndex];
+    if (!coin.expiryDate) {
+      throw new Error('Invalid renewal: coin has no expiry date');
+    }
+
+    // Coin.transfer flags an expired coin without rehashing it. The witnesses
+    // renew the state the hash covers, so the renewal works on a copy in that
+    // state and the held coin is left alone until the renewal is approved.
+    const renewed = coin.status === 'expired'
+      ? Coin.fromJSON({ ...JSON.parse(JSON.stringify(coin.toJSON())), status: 'active' })
+      : coin;
+
+    const newExpiry = expiryDate || Date.now() + (coin.expiryDate - coin.created);
+    const envelope = OperationEnvelope.forRenewal(renewed, newExpiry, networkId, this.algorithm);
+
+    const conservation = envelope.checkConservation();
+    if (!conservation.valid) {
+      throw new Error(`Invalid renewal: ${conservation.reason}`);
+    }
+
+    this.coins.splice(coinIndex, 1);
+    this._recordTransaction('renew', coin, null);
+
+    return this._signOperation(envelope, [renewed], [coin]);
+  }
+
+  // Coins close to or past their expiry date, soonest first. Each warning says
+  // whether the coin is 'expiring', in its renewal 'grace' period or 'expired'.
+  // options: warningPeriod and gracePeriod in ms (see renewal.js for defaults)
+  getExpiryWarnings(options = {}) {
+    const now = Date.now();
+    return this.coins
+      .map(coin => ({ coin, state: expiryState(coin, now, options) }))
+      .filter(({ state }) => state === 'expiring' || state === 'grace' || state === 'expired')
+      .sort((a, b) => a.coin.expiryDate - b.coin.expiryDate)
+      .map(({ coin, state }) => ({
+        coinId: coin.id,
+        value: coin.value,
+        asset: coin.asset,
+        expiryDate: coin.expiryDate,
+        state,
+        timeLeft: coin.expiryDate - now
+      }));
+  }
+
+  // Sign a split, merge or renewal envelope into an operation for the network.
+  // held are the coins handed back if the witnesses refuse it (default: coins).
+  _signOperation(envelope, coins, held = coins) {
+    const signature = this.sign(envelope.serialize());
+    this.pendingTransfers.set(envelope.getId(), { type: envelope.type, envelope, signature, coins: held });
+    
+    return {
+      type: envelope.type,
+      envelope,
+      signature,
+      coins,
+      owner: envelope.owner,
+      timestamp: envelope.timestamp
+    };
+  }
+
+  // Settle an outgoing transfer, split or merge once the witnesses have decided.
+  // Rejected ones hand their coins back to the wallet.
+  settlePending(txId, confirmed) {
+    const pending = this.pendingTransfers.get(txId);
+    if (!pending) {
+      return false;
+    }
+    
+    this.pendingTransfers.delete(txId);
+    if (pending.refundOf && confirmed) {
+      this.lockedCoins.delete(pending.refundOf);
+    }
+    if (pending.returnOf) {
+      // A refused transfer: the coins leave the inbox, or stay in it if the return failed
+      const incoming = this.inbox.get(pending.returnOf);
+      if (incoming && confirmed) {
+        this.inbox.delete(pending.returnOf);
+      } else if (incoming) {
+        incoming.status = 'pending';
+      }
+      this.updateTransferStatus(pending.returnOf, confirmed ? 'returned' : 'pending');
+      return true;
+    }
+    if (!confirmed) {
+      pending.coins.forEach(coin => this.addCoin(coin));
+    }
+    return true;
+  }
+
+  // Outgoing transfers still awaiting witnesses
+  getPendingTransfers() {
+    return Array.from(this.pendingTransfers.entries()).map(([txId, pending]) => ({ txId, ...pending }));
+  }
+
+  // Sign a statement retiring this wallet's key in favour of newWallet's.
+  // Once agents register it, coins can only move from here to newWallet.
+  createKeyRotation(newWallet, networkId = null) {
+    return KeyRotation.create(this, newWallet, networkId);
+  }
+
+  // Sign arbitrary data with the wallet's private key (base64 signature)
+  sign(data) {
+    return signData(data, this.privateKey);
+  }
+
   // Record transaction in history
-  _recordTransaction(type, coin, recipient) {
+  _recordTransaction(type, coin, recipient, details = {}) {
     const transaction = {
       type,
       coinId: coin.id,
       timestamp: Date.now(),
       recipient: recipient || 'self',
-      value: coin.value || 1
+      value: coin.value || 1,
+      ...details
     };
     
     this.transactions.push(transaction);
@@ -127,22 +1052,25 @@ class Wallet {
     return [...this.transactions].sort((a, b) => b.timestamp - a.timestamp);
   }
 
-  // Verify a received signature
-  verifySignature(data, signature, publicKey) {
-    try {
-      const verify = crypto.createVerify('sha256');
-      verify.update(data);
-      verify.end();
-      return verify.verify(publicKey, Buffer.from(signature, 'base64'));
-    } catch (err) {
-      console.error('Signature verification error:', err);
-      return false;
-    }
+  // Verify a received signature. The algorithm comes from the key itself, so
+  // RSA, Ed25519 and P-256 signers can be mixed; pass the algorithm the signer
+  // declared (e.g. envelope.algorithm) to insist the key matches it.
+  verifySignature(data, signature, publicKey, algorithm = null) {
+    return verifyData(data, signature, publicKey, algorithm);
+  }
+
+  // Total value of the coins of one asset (the native coin by default)
+  getBalance(asset = null) {
+    return this.getCoinsOfAsset(asset).reduce((total, coin) => total + (coin.value || 1), 0);
   }
 
-  // Get the number of coins in this wallet
-  getBalance() {
-    return this.coins.reduce((total, coin) => total + (coin.value || 1), 0);
+  // Total value held in each asset, keyed by asset ID ('native' for the native coin)
+  getBalances() {
+    return this.coins.reduce((balances, coin) => {
+      const key = assetKey(coin.asset);
+      balances[key] = (balances[key] || 0) + (coin.value || 1);
+      return balances;
+    }, {});
   }
 
   // Get count of coins
@@ -0,0 +1,85 @@
+const { canonicalize } = require('./canonical');
+const { verifyData } = require('./signatures');
+const wire = require('./wire');
+
+const ATTESTATION_VERSION = 1;
+
+// A witness's signed verdict on one transaction. The witness signs with its
+// wallet key, so anyone holding the witness public key can check it offline.
+class WitnessAttestation {
+  constructor({ txId, coinId, coinHash, verdict, reason = null, witnessId, timestamp, signature = null, version = ATTESTATION_VERSION }) {
+    this.version = version;
+    this.txId = txId;
+    this.coinId = coinId;
+    this.coinHash = coinHash;
+    this.verdict = verdict; // 'valid' or 'invalid'
+    this.reason = reason;
+    this.witnessId = witnessId; // Wallet ID of the witness
+    this.timestamp = timestamp || Date.now();
+    this.signature = signature;
+  }
+
+  // Create and sign an attestation for a transfer envelope
+  static create(wallet, envelope, verdict, reason = null) {
+    const attestation = new WitnessAttestation({
+      txId: envelope.getId(),
+      coinId: envelope.coinId || null, // Split, merge and batch envelopes cover several coins
+      coinHash: envelope.coinHash || null,
+      verdict,
+      reason,
+      witnessId: wallet.getId()
+    });
+
+    attestation.signature = wallet.sign(attestation.getSignedData());
+    return attestation;
+  }
+
+  // Canonical string covered by the witness signature
+  getSignedData() {
+    const { signature, ...unsigned } = this.toJSON();
+    return canonicalize(unsigned);
+  }
+
+  isApproval() {
+    return this.verdict === 'valid';
+  }
+
+  // Check the signature against the witness's public key
+  verify(publicKey) {
+    return verifyData(this.getSignedData(), this.signature, publicKey);
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      txId: this.txId,
+      coinId: this.coinId,
+      coinHash: this.coinHash,
+      verdict: this.verdict,
+      reason: this.reason,
+      witnessId: this.witnessId,
+      timestamp: this.timestamp,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== ATTESTATION_VERSION) {
+      throw new Error(`Unsupported witness attestation version: ${data && data.version}`);
+    }
+    return new WitnessAttestation(data);
+  }
+
+  // Compact binary form (see wire.js)
+  toBinary() {
+    return wire.encode('attestation', this.toJSON());
+  }
+
+  static fromBinary(buffer) {
+    return WitnessAttestation.fromJSON(wire.decode('attestation', buffer));
+  }
+}
+
+WitnessAttestation.VERSION = ATTESTATION_VERSION;
+
+module.exports = WitnessAttestation;
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+// Wallet addresses: `<network>:<base58(version | wallet id | checksum)>`.
+// The checksum covers the network prefix as well as the payload, so a typo or an
+// address meant for another network is caught before anything is signed.
+
+// Version 1 payloads carry the 8-byte wallet ID (Wallet.getId)
+const ADDRESS_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const WALLET_ID_BYTES = 8;
+const CHECKSUM_BYTES = 4;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const NETWORK_PREFIX = /^[a-z0-9-]+$/;
+const WALLET_ID = /^[0-9a-f]{16}$/;
+
+function base58Encode(buffer) {
+  let number = BigInt(`0x${buffer.toString('hex') || '0'}`);
+  let encoded = '';
+  while (number > 0n) {
+    encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+    number /= 58n;
+  }
+
+  // Leading zero bytes become leading '1's
+  for (const byte of buffer) {
+    if (byte !== 0) {
+      break;
+    }
+    encoded = BASE58_ALPHABET[0] + encoded;
+  }
+  return encoded;
+}
+
+function base58Decode(text) {
+  let number = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) {
+      throw new Error(`invalid character '${char}'`);
+    }
+    number = number * 58n + BigInt(digit);
+  }
+
+  let hex = number.toString(16);
+  if (hex.length % 2) {
+    hex = `0${hex}`;
+  }
+  const leadingZeros = text.length - text.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), number > 0n ? Buffer.from(hex, 'hex') : Buffer.alloc(0)]);
+}
+
+function checksum(networkId, body) {
+  const once = crypto.createHash('sha256').update(`${networkId}:`).update(body).digest();
+  return crypto.createHash('sha256').update(once).digest().subarray(0, CHECKSUM_BYTES);
+}
+
+// Encode a wallet ID as an address on a network
+function encodeAddress(walletId, networkId) {
+  if (!WALLET_ID.test(walletId || '')) {
+    throw new Error(`Invalid wallet ID: ${walletId}`);
+  }
+  if (!NETWORK_PREFIX.test(networkId || '')) {
+    throw new Error(`Invalid network prefix: ${networkId}`);
+  }
+
+  const body = Buffer.concat([Buffer.from([ADDRESS_VERSION]), Buffer.from(walletId, 'hex')]);
+  return `${networkId}:${base58Encode(Buffer.concat([body, checksum(networkId, body)]))}`;
+}
+
+// Parse an address into { networkId, version, walletId }, throwing on any defect
+function decodeAddress(address) {
+  if (typeof address !== 'string') {
+    throw new Error('Address must be a string');
+  }
+
+  const separator = address.indexOf(':');
+  const networkId = address.slice(0, separator);
+  if (separator < 0 || !NETWORK_PREFIX.test(networkId)) {
+    throw new Error(`Malformed address ${address}: missing network prefix`);
+  }
+
+  let payload;
+  try {
+    payload = base58Decode(address.slice(separator + 1));
+  } catch (err) {
+    throw new Error(`Malformed address ${address}: ${err.message}`);
+  }
+
+  if (payload.length !== 1 + WALLET_ID_BYTES + CHECKSUM_BYTES) {
+    throw new Error(`Malformed address ${address}: wrong length`);
+  }
+
+  const body = payload.subarray(0, payload.length - CHECKSUM_BYTES);
+  if (!checksum(networkId, body).equals(payload.subarray(body.length))) {
+    throw new Error(`Malformed address ${address}: checksum mismatch`);
+  }
+
+  const version = body[0];
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported address version: ${version}`);
+  }
+
+  return { networkId, version, walletId: body.subarray(1).toString('hex') };
+}
+
+// Check an address, optionally requiring a network. Returns
+// { valid: true, walletId, networkId } or { valid: false, reason }.
+function validateAddress(address, networkId = null) {
+  let decoded;
+  try {
+    decoded = decodeAddress(address);
+  } catch (err) {
+    return { valid: false, reason: err.message };
+  }
+
+  if (networkId && decoded.networkId !== networkId) {
+    return { valid: false, reason: `address is for network ${decoded.networkId}, not ${networkId}` };
+  }
+
+  return { valid: true, ...decoded };
+}
+
+function isAddress(value) {
+  return typeof value === 'string' && value.includes(':');
+}
+
+// Turn a recipient into a wallet ID. Addresses are decoded and checked against
+// the network; bare wallet IDs are still accepted for callers inside the system
+// that already hold a verified ID. Anything else throws.
+function resolveRecipient(recipient, networkId = null) {
+  if (isAddress(recipient)) {
+    const result = validateAddress(recipient, networkId);
+    if (!result.valid) {
+      throw new Error(`Invalid recipient address: ${result.reason}`);
+    }
+    return result.walletId;
+  }
+
+  if (!WALLET_ID.test(recipient || '')) {
+    throw new Error(`Invalid recipient: ${recipient} is neither an address nor a wallet ID`);
+  }
+  return recipient;
+}
+
+module.exports = {
+  ADDRESS_VERSION,
+  encodeAddress,
+  decodeAddress,
+  validateAddress,
+  isAddress,
+  resolveRecipient
+};
@@ -0,0 +1,64 @@
+// Asset types. Every coin has an asset: null is the network's native coin,
+// anything else must be defined and registered with the witnesses.
+// A definition is { id, name, issuer, decimals, minDenomination }:
+//   issuer          - ID of the Mint allowed to create coins of the asset
+//   decimals        - how many decimal places a value may have (divisibility)
+//   minDenomination - smallest value a single coin of the asset may hold
+
+const ASSET_ID = /^[A-Za-z0-9._-]{1,32}$/;
+
+// Balance key used for the native coin
+const NATIVE_ASSET = 'native';
+
+// Key to report a coin's asset under
+function assetKey(asset) {
+  return asset || NATIVE_ASSET;
+}
+
+// Check an asset definition and fill in defaults. Throws if it is malformed.
+function normalizeAsset(definition) {
+  const { id, name, issuer, decimals = 0, minDenomination } = definition || {};
+
+  if (!ASSET_ID.test(id || '') || id === NATIVE_ASSET) {
+    throw new Error(`Invalid asset ID: ${id}`);
+  }
+  if (!issuer || typeof issuer !== 'string') {
+    throw new Error(`Asset ${id} needs an issuer`);
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 8) {
+    throw new Error(`Asset ${id} decimals must be an integer from 0 to 8`);
+  }
+
+  const minimum = minDenomination === undefined ? 10 ** -decimals : minDenomination;
+  if (typeof minimum !== 'number' || !(minimum > 0)) {
+    throw new Error(`Asset ${id} minimum denomination must be positive`);
+  }
+
+  return { id, name: name || id, issuer, decimals, minDenomination: minimum };
+}
+
+// Check a coin value against an asset's divisibility and minimum denomination.
+// The native coin (no definition) has no such rules.
+function checkAssetValue(definition, value) {
+  if (!definition) {
+    return { valid: true };
+  }
+
+  const scaled = value * 10 ** definition.decimals;
+  if (Math.abs(scaled - Math.round(scaled)) > 1e-9) {
+    return { valid: false, reason: `${definition.id} values allow at most ${definition.decimals} decimal places` };
+  }
+
+  if (value < definition.minDenomination) {
+    return { valid: false, reason: `${value} is below the ${definition.id} minimum unit of ${definition.minDenomination}` };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  NATIVE_ASSET,
+  assetKey,
+  normalizeAsset,
+  checkAssetValue
+};
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+// Deterministic JSON serialization used for everything that gets signed or hashed.
+// Object keys are sorted and undefined fields dropped, so the same logical payload
+// always produces the same bytes regardless of how the object was built.
+function canonicalize(value) {
+  if (value && typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+// SHA-256 of the canonical form, hex encoded
+function canonicalHash(value) {
+  return crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+}
+
+module.exports = { canonicalize, canonicalHash };
@@ -0,0 +1,151 @@
+// Serialized coin schema: typed load errors, field checks and the migrations
+// that upgrade coins written by older builds. A coin without a version is
+// treated as 1.0.0, the only version older builds ever wrote.
+
+const COIN_SCHEMA_VERSION = '2.0.0';
+const LEGACY_VERSION = '1.0.0';
+
+const STATUSES = ['active', 'spent', 'split', 'merged', 'renewed', 'expired', 'frozen', 'revoked'];
+
+// Base class for every reason a serialized coin cannot be loaded
+class CoinLoadError extends Error {
+  constructor(message, code, coinId = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.coinId = coinId;
+  }
+}
+
+// The stored hash does not match the coin's contents
+class CoinTamperedError extends CoinLoadError {
+  constructor(coinId, storedHash, calculatedHash) {
+    super(`Coin ${coinId} failed its integrity check`, 'COIN_TAMPERED', coinId);
+    this.storedHash = storedHash;
+    this.calculatedHash = calculatedHash;
+  }
+}
+
+// No migration path leads from the coin's version to the current schema
+class UnsupportedCoinVersionError extends CoinLoadError {
+  constructor(coinId, version) {
+    super(`Unsupported coin version: ${version}`, 'COIN_UNSUPPORTED_VERSION', coinId);
+    this.version = version;
+  }
+}
+
+// A field is missing or has the wrong type
+class MalformedCoinError extends CoinLoadError {
+  constructor(coinId, field, problem) {
+    super(`Malformed coin${coinId ? ` ${coinId}` : ''}: ${field} ${problem}`, 'COIN_MALFORMED', coinId);
+    this.field = field;
+  }
+}
+
+// fromVersion -> { to, migrate }
+const migrations = new Map();
+
+// Register an upgrade from one schema version to the next. migrate(data, { hashCoin })
+// receives a copy of the serialized coin and returns it in the newer format.
+// It must not change anything the coin hash covers, though it may restamp the
+// hash of a coin written under an older hash layout: hashCoin(data, { legacy })
+// hashes coin data under the current layout, or the one before renewal terms.
+function registerMigration(fromVersion, toVersion, migrate) {
+  if (fromVersion === COIN_SCHEMA_VERSION) {
+    throw new Error(`Cannot migrate from the current coin version ${fromVersion}`);
+  }
+  if (migrations.has(fromVersion)) {
+    throw new Error(`A migration from coin version ${fromVersion} is already registered`);
+  }
+  if (typeof migrate !== 'function') {
+    throw new Error('A coin migration must be a function');
+  }
+  migrations.set(fromVersion, { to: toVersion, migrate });
+}
+
+// Upgrade serialized coin data to the current schema, one registered step at a
+// time. context (e.g. { hashCoin }) is passed on to each migration.
+function migrateCoin(data, context = {}) {
+  let migrated = { ...data, version: data.version || LEGACY_VERSION };
+  const visited = new Set();
+
+  while (migrated.version !== COIN_SCHEMA_VERSION) {
+    const step = migrations.get(migrated.version);
+    if (!step || visited.has(migrated.version)) {
+      throw new UnsupportedCoinVersionError(data.id || null, migrated.version);
+    }
+    visited.add(migrated.version);
+    migrated = { ...step.migrate({ ...migrated }, context), version: step.to };
+  }
+
+  return migrated;
+}
+
+// Every problem with the fields of (migrated) coin data, as MalformedCoinErrors
+function checkCoinFields(data) {
+  const coinId = typeof data.id === 'string' ? data.id : null;
+  const problems = [];
+  const expect = (field, ok, problem) => {
+    if (!ok) {
+      problems.push(new MalformedCoinError(coinId, field, problem));
+    }
+  };
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  const isTime = value => Number.isFinite(value) && value >= 0;
+
+  expect('id', typeof data.id === 'string' && data.id.length > 0, 'must be a non-empty string');
+  expect('ownerId', typeof data.ownerId === 'string' && data.ownerId.length > 0, 'must be a non-empty string');
+  expect('value', Number.isFinite(data.value) && data.value > 0, 'must be a positive number');
+  expect('asset', data.asset === null || (typeof data.asset === 'string' && data.asset.length > 0), 'must be null or an asset ID');
+  expect('created', isTime(data.created), 'must be a timestamp');
+  expect('lastTransferred', isTime(data.lastTransferred), 'must be a timestamp');
+  expect('hash', typeof data.hash === 'string' && /^[0-9a-f]{64}$/.test(data.hash), 'must be a SHA-256 hex digest');
+  expect('history', Array.isArray(data.history) && data.history.every(isObject), 'must be an array of entries');
+  expect('checkpoint', data.checkpoint === null || (isObject(data.checkpoint) && data.checkpoint.type === 'checkpoint'), 'must be null or a checkpoint');
+  expect('metadata', isObject(data.metadata), 'must be an object');
+  expect('status', STATUSES.includes(data.status), `must be one of ${STATUSES.join(', ')}`);
+  expect('expiryDate', data.expiryDate === null || isTime(data.expiryDate), 'must be null or a timestamp');
+  expect('genesis', Array.isArray(data.genesis) && data.genesis.every(isObject), 'must be an array of mint records');
+
+  return problems;
+}
+
+// 1.0.0 covered every coin written before versions were tracked; fields added
+// since (asset, checkpoint, genesis) may be absent and take their defaults.
+// Those coins were hashed without their renewal terms: one that still matches
+// that layout is restamped under the current one.
+registerMigration(LEGACY_VERSION, COIN_SCHEMA_VERSION, (data, { hashCoin }) => {
+  const { asset: metadataAsset, ...metadata } = data.metadata || {};
+
+  const migrated = {
+    ...data,
+    asset: data.asset !== undefined ? data.asset : metadataAsset || null,
+    history: data.history || [],
+    checkpoint: data.checkpoint || null,
+    metadata,
+    status: data.status || 'active',
+    lastTransferred: data.lastTransferred !== undefined ? data.lastTransferred : data.created,
+    expiryDate: data.expiryDate !== undefined ? data.expiryDate : metadata.expiryDate || null,
+    genesis: data.genesis || []
+  };
+
+  if (hashCoin && checkCoinFields(migrated).length === 0) {
+    const hash = hashCoin(migrated);
+    if (migrated.hash !== hash && migrated.hash === hashCoin(migrated, { legacy: true })) {
+      migrated.hash = hash;
+    }
+  }
+
+  return migrated;
+});
+
+module.exports = {
+  COIN_SCHEMA_VERSION,
+  CoinLoadError,
+  CoinTamperedError,
+  UnsupportedCoinVersionError,
+  MalformedCoinError,
+  registerMigration,
+  migrateCoin,
+  checkCoinFields
+};
@@ -0,0 +1,113 @@
+// Coin selection for paying an amount out of a set of coins.
+// Every strategy returns the chosen coins, their total and the change left over.
+
+// Coins worth less than this are dust: too small to be worth spending on their own
+const DEFAULT_DUST_THRESHOLD = 2;
+
+const STRATEGIES = ['fewest-coins', 'oldest-first', 'avoid-dust'];
+
+function total(coins) {
+  return coins.reduce((sum, coin) => sum + coin.value, 0);
+}
+
+function result(coins, amount) {
+  const selected = total(coins);
+  return { coins, total: selected, change: selected - amount };
+}
+
+// Take coins in order until they cover the amount
+function accumulate(coins, amount) {
+  const chosen = [];
+  for (const coin of coins) {
+    if (total(chosen) >= amount) {
+      break;
+    }
+    chosen.push(coin);
+  }
+  return total(chosen) >= amount ? chosen : null;
+}
+
+// An exact single coin, else the smallest coin that covers the amount,
+// else the largest coins first
+function fewestCoins(coins, amount) {
+  const exact = coins.find(coin => coin.value === amount);
+  if (exact) {
+    return [exact];
+  }
+
+  const covering = coins
+    .filter(coin => coin.value > amount)
+    .sort((a, b) => a.value - b.value);
+  if (covering.length > 0) {
+    return [covering[0]];
+  }
+
+  return accumulate([...coins].sort((a, b) => b.value - a.value), amount);
+}
+
+// Spend the coins that were created first
+function oldestFirst(coins, amount) {
+  return accumulate([...coins].sort((a, b) => a.created - b.created), amount);
+}
+
+// Never leave change below the dust threshold: pay exactly, or leave change
+// of at least `dustThreshold`. Small coins are used up first so they don't linger.
+function avoidDust(coins, amount, dustThreshold) {
+  const acceptable = chosen => {
+    const change = total(chosen) - amount;
+    return change === 0 || change >= dustThreshold;
+  };
+
+  const exact = coins.find(coin => coin.value === amount);
+  if (exact) {
+    return [exact];
+  }
+
+  const chosen = [];
+  for (const coin of [...coins].sort((a, b) => a.value - b.value)) {
+    chosen.push(coin);
+    if (total(chosen) >= amount && acceptable(chosen)) {
+      return chosen;
+    }
+  }
+
+  // No combination avoids dust change - settle for the fewest coins
+  return fewestCoins(coins, amount);
+}
+
+// Choose coins worth at least `amount`
+function selectCoins(coins, amount, options = {}) {
+  const { strategy = 'fewest-coins', dustThreshold = DEFAULT_DUST_THRESHOLD } = options;
+
+  if (typeof amount !== 'number' || amount <= 0) {
+    throw new Error('Payment amount must be a positive number');
+  }
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown coin selection strategy: ${strategy}`);
+  }
+
+  const spendable = coins.filter(coin => coin.status === 'active');
+  if (total(spendable) < amount) {
+    throw new Error(`Insufficient funds: ${amount} requested, ${total(spendable)} available`);
+  }
+
+  let chosen;
+  if (strategy === 'oldest-first') {
+    chosen = oldestFirst(spendable, amount);
+  } else if (strategy === 'avoid-dust') {
+    chosen = avoidDust(spendable, amount, dustThreshold);
+  } else {
+    chosen = fewestCoins(spendable, amount);
+  }
+
+  return result(chosen, amount);
+}
+
+// Dust coins that can be swept into a payment's change
+function findDust(coins, dustThreshold = DEFAULT_DUST_THRESHOLD, exclude = []) {
+  return coins.filter(coin =>
+    coin.status === 'active' && coin.value < dustThreshold && !exclude.includes(coin));
+}
+
+module.exports = { selectCoins, findDust, STRATEGIES, DEFAULT_DUST_THRESHOLD };
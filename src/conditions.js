@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Spend conditions a sender can attach when handing over a coin, for escrow
+// and atomic swaps:
+//   notBefore   - the owner cannot spend the coin before this time (ms)
+//   hashLock    - the owner must reveal a preimage whose SHA-256 is this hex digest
+//   refundAfter - from this time the owner can no longer claim it, and
+//   refundTo    - this wallet (normally the sender) can take it back instead
+// The conditions are covered by the coin hash, and a claim or refund clears them.
+
+const HASH_LOCK = /^[0-9a-f]{64}$/;
+const WALLET_ID = /^[0-9a-f]{16}$/;
+
+// SHA-256 hex digest of a preimage, as used in hash locks
+function hashPreimage(preimage) {
+  return crypto.createHash('sha256').update(String(preimage)).digest('hex');
+}
+
+// A fresh random secret and the lock it opens
+function createHashLock() {
+  const preimage = crypto.randomBytes(32).toString('hex');
+  return { preimage, hashLock: hashPreimage(preimage) };
+}
+
+// Check a conditions object is well formed. Returns { valid: true } or { valid: false, reason }.
+function validateConditions(conditions) {
+  if (!conditions || typeof conditions !== 'object') {
+    return { valid: false, reason: 'conditions must be an object' };
+  }
+
+  const { notBefore, refundAfter, refundTo, hashLock } = conditions;
+
+  if (notBefore === undefined && refundAfter === undefined && hashLock === undefined) {
+    return { valid: false, reason: 'conditions need a time lock or a hash lock' };
+  }
+
+  if (notBefore !== undefined && !Number.isInteger(notBefore)) {
+    return { valid: false, reason: 'notBefore must be a timestamp' };
+  }
+
+  if (refundAfter !== undefined) {
+    if (!Number.isInteger(refundAfter)) {
+      return { valid: false, reason: 'refundAfter must be a timestamp' };
+    }
+    if (!WALLET_ID.test(refundTo || '')) {
+      return { valid: false, reason: 'refundAfter needs a refundTo wallet ID' };
+    }
+    if (notBefore !== undefined && notBefore >= refundAfter) {
+      return { valid: false, reason: 'notBefore must be earlier than refundAfter' };
+    }
+  } else if (refundTo !== undefined) {
+    return { valid: false, reason: 'refundTo needs a refundAfter time' };
+  }
+
+  if (hashLock !== undefined && !HASH_LOCK.test(hashLock)) {
+    return { valid: false, reason: 'hashLock must be a SHA-256 hex digest' };
+  }
+
+  return { valid: true };
+}
+
+// Keep only the condition fields that are set, so equal conditions hash equally
+function normalizeConditions(conditions) {
+  const check = validateConditions(conditions);
+  if (!check.valid) {
+    throw new Error(`Invalid spend conditions: ${check.reason}`);
+  }
+
+  const { notBefore, refundAfter, refundTo, hashLock } = conditions;
+  return JSON.parse(JSON.stringify({ notBefore, refundAfter, refundTo, hashLock }));
+}
+
+// Decide whether sender may spend a conditional coin held by owner at time now.
+// The owner claims it (time window, plus the preimage if hash-locked); once
+// refundAfter has passed only refundTo can take it back.
+// Returns { valid: true, path: 'claim' | 'refund' } or { valid: false, reason }.
+function checkSpend(conditions, { owner, sender, preimage = null, now = Date.now() }) {
+  if (!conditions) {
+    return sender === owner
+      ? { valid: true, path: 'owner' }
+      : { valid: false, reason: 'sender does not own the coin' };
+  }
+
+  const refundOpen = conditions.refundAfter !== undefined && now >= conditions.refundAfter;
+
+  if (sender === owner) {
+    if (conditions.notBefore !== undefined && now < conditions.notBefore) {
+      return { valid: false, reason: `coin is time-locked until ${new Date(conditions.notBefore).toISOString()}` };
+    }
+    if (refundOpen && sender !== conditions.refundTo) {
+      return { valid: false, reason: 'the claim window has closed; the coin can only be refunded' };
+    }
+    if (conditions.hashLock && (!preimage || hashPreimage(preimage) !== conditions.hashLock)) {
+      return { valid: false, reason: preimage ? 'preimage does not match the hash lock' : 'hash-locked coin needs the preimage' };
+    }
+    return { valid: true, path: 'claim' };
+  }
+
+  if (sender === conditions.refundTo) {
+    if (!refundOpen) {
+      return { valid: false, reason: `coin cannot be refunded before ${new Date(conditions.refundAfter).toISOString()}` };
+    }
+    return { valid: true, path: 'refund' };
+  }
+
+  return { valid: false, reason: 'sender can neither claim nor refund the coin' };
+}
+
+module.exports = {
+  hashPreimage,
+  createHashLock,
+  validateConditions,
+  normalizeConditions,
+  checkSpend
+};
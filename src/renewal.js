@@ -0,0 +1,69 @@
+// Expiry, renewal and demurrage. A coin with an expiryDate can be renewed by
+// its owner - reissued by the witnesses with a new expiry - until the grace
+// period after expiry runs out. A coin may also carry demurrage terms in its
+// metadata, { rate, period, decimals }: it loses `rate` of its value per
+// `period` ms, charged when it is renewed and rounded down to `decimals` places.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_GRACE_PERIOD = 7 * DAY; // How long after expiry a coin can still be renewed
+const DEFAULT_WARNING_PERIOD = 7 * DAY; // How long before expiry wallets start warning
+const DEFAULT_DEMURRAGE_PERIOD = 30 * DAY;
+const MAX_RENEWAL_SKEW = 5 * 60 * 1000; // Allowed gap between a renewal's timestamp and the witness clock
+
+// Check demurrage terms and fill in defaults. Throws if they are malformed.
+function normalizeDemurrage(demurrage) {
+  const { rate, period = DEFAULT_DEMURRAGE_PERIOD, decimals = 8 } = demurrage || {};
+
+  if (typeof rate !== 'number' || rate < 0 || rate >= 1) {
+    throw new Error('Demurrage rate must be a fraction from 0 up to 1');
+  }
+  if (!Number.isInteger(period) || period <= 0) {
+    throw new Error('Demurrage period must be a positive number of milliseconds');
+  }
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 8) {
+    throw new Error('Demurrage decimals must be an integer from 0 to 8');
+  }
+
+  return { rate, period, decimals };
+}
+
+// Value left after holding `value` for `elapsed` ms under the demurrage terms
+// (no terms: the value is unchanged)
+function applyDemurrage(value, demurrage, elapsed) {
+  if (!demurrage) {
+    return value;
+  }
+
+  const { rate, period, decimals } = normalizeDemurrage(demurrage);
+  const decayed = value * Math.pow(1 - rate, Math.max(0, elapsed) / period);
+  const scale = 10 ** decimals;
+  return Math.floor(decayed * scale + 1e-9) / scale;
+}
+
+// Where a coin stands on its expiry at time now:
+// 'none' (no expiry), 'ok', 'expiring' (within the warning period),
+// 'grace' (expired but still renewable) or 'expired'
+function expiryState(coin, now = Date.now(), options = {}) {
+  const { warningPeriod = DEFAULT_WARNING_PERIOD, gracePeriod = DEFAULT_GRACE_PERIOD } = options;
+
+  if (!coin.expiryDate) {
+    return 'none';
+  }
+  if (now > coin.expiryDate + gracePeriod) {
+    return 'expired';
+  }
+  if (now > coin.expiryDate) {
+    return 'grace';
+  }
+  return now > coin.expiryDate - warningPeriod ? 'expiring' : 'ok';
+}
+
+module.exports = {
+  DEFAULT_GRACE_PERIOD,
+  DEFAULT_WARNING_PERIOD,
+  MAX_RENEWAL_SKEW,
+  normalizeDemurrage,
+  applyDemurrage,
+  expiryState
+};
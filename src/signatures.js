@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// Supported wallet key algorithms. RSA remains for wallets created before
+// Ed25519 became the default.
+const KEY_ALGORITHMS = ['ed25519', 'ecdsa-p256', 'rsa'];
+const DEFAULT_KEY_ALGORITHM = 'ed25519';
+
+// Generate a PEM key pair for one of the supported algorithms
+function generateKeyPair(algorithm = DEFAULT_KEY_ALGORITHM) {
+  const encoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+
+  if (algorithm === 'ed25519') {
+    return crypto.generateKeyPairSync('ed25519', encoding);
+  }
+  if (algorithm === 'ecdsa-p256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1', ...encoding });
+  }
+  if (algorithm === 'rsa') {
+    return crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...encoding });
+  }
+
+  throw new Error(`Unsupported key algorithm: ${algorithm}`);
+}
+
+// Work out which supported algorithm a PEM key (public or private) uses, or null
+function detectKeyAlgorithm(key) {
+  try {
+    const keyObject = key.includes('PRIVATE KEY') ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+    const type = keyObject.asymmetricKeyType;
+
+    if (type === 'ed25519' || type === 'rsa') {
+      return type;
+    }
+    if (type === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+      return 'ecdsa-p256';
+    }
+    return null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Ed25519 hashes internally; RSA and ECDSA sign a SHA-256 digest
+function digestFor(algorithm) {
+  return algorithm === 'ed25519' ? null : 'sha256';
+}
+
+// Sign a string with a PEM private key, returning a base64 signature
+function signData(data, privateKey) {
+  const algorithm = detectKeyAlgorithm(privateKey);
+  if (!algorithm) {
+    throw new Error('Unsupported private key type');
+  }
+
+  return crypto.sign(digestFor(algorithm), Buffer.from(data), privateKey).toString('base64');
+}
+
+// Verify a base64 signature over a string against a PEM public key.
+// When the signer declared an algorithm it must match the key's, so a
+// signature can't be checked under an algorithm the signer never used.
+// Malformed keys or signatures count as invalid rather than throwing.
+function verifyData(data, signature, publicKey, algorithm = null) {
+  if (!signature || !publicKey) {
+    return false;
+  }
+
+  const keyAlgorithm = detectKeyAlgorithm(publicKey);
+  if (!keyAlgorithm || (algorithm && algorithm !== keyAlgorithm)) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(digestFor(keyAlgorithm), Buffer.from(data), publicKey, Buffer.from(signature, 'base64'));
+  } catch (err) {
+    return false;
+  }
+}
+
+// Wallet ID for a public key: the first 16 hex characters of its SHA-256
+function walletIdForPublicKey(publicKey) {
+  return crypto.createHash('sha256')
+    .update(publicKey)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+// Look up a public key through a key resolver, which may be a Map or a
+// function of walletId (e.g. an agent's publicKeyDirectory)
+function resolvePublicKey(keyResolver, walletId) {
+  if (!keyResolver) {
+    return null;
+  }
+  if (typeof keyResolver === 'function') {
+    return keyResolver(walletId) || null;
+  }
+  return keyResolver.get(walletId) || null;
+}
+
+module.exports = {
+  KEY_ALGORITHMS,
+  DEFAULT_KEY_ALGORITHM,
+  generateKeyPair,
+  detectKeyAlgorithm,
+  signData,
+  verifyData,
+  walletIdForPublicKey,
+  resolvePublicKey
+};
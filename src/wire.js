@@ -0,0 +1,327 @@
+// Compact binary wire format for coins, transfer envelopes and witness
+// attestations, for links where full JSON is too heavy. A message is a
+// version byte, a kind byte, then the record's fields in toJSON order, each
+// prefixed with its encoded length (0 when the field is absent).
+// Values are tagged. Hex digests, UUIDs, base64 signatures and PEM keys are
+// stored as raw bytes, and a string already written in the message becomes a
+// back-reference to it. Decoding gives exactly the record's JSON form, so a
+// decoded coin hashes the same as the original.
+
+const WIRE_VERSION = 1;
+
+// Kind byte and field order of each record type (as in their toJSON)
+const RECORDS = {
+  coin: {
+    kind: 1,
+    fields: ['id', 'ownerId', 'value', 'asset', 'created', 'lastTransferred', 'hash', 'history', 'checkpoint', 'metadata', 'version', 'status', 'expiryDate', 'genesis']
+  },
+  transfer: {
+    kind: 2,
+    fields: ['version', 'coinId', 'coinHash', 'value', 'sender', 'recipient', 'networkId', 'algorithm', 'reference', 'conditions', 'preimage', 'nonce', 'timestamp']
+  },
+  attestation: {
+    kind: 3,
+    fields: ['version', 'txId', 'coinId', 'coinHash', 'verdict', 'reason', 'witnessId', 'timestamp', 'signature']
+  }
+};
+
+const TAG = {
+  NULL: 0,
+  FALSE: 1,
+  TRUE: 2,
+  UINT: 3,
+  NEGINT: 4,
+  FLOAT: 5,
+  STRING: 6,
+  REF: 7, // Index of a string written earlier in the message
+  HEX: 8,
+  UUID: 9,
+  BASE64: 10,
+  PEM: 11,
+  ARRAY: 12,
+  OBJECT: 13
+};
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const HEX = /^(?:[0-9a-f]{2}){4,}$/;
+const BASE64 = /^[A-Za-z0-9+/]{16,}={0,2}$/;
+const PEM = /^-----BEGIN ([A-Z0-9 ]+)-----\n[A-Za-z0-9+/=\n]+\n-----END \1-----\n$/;
+
+function varint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+// PEM text rebuilt from its label and DER bytes, as Node exports keys
+function pemText(label, der) {
+  const body = (der.toString('base64').match(/.{1,64}/g) || []).join('\n');
+  return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+}
+
+// Label and DER bytes of a PEM key, or null if rebuilding it would not give
+// back exactly the same text
+function pemParts(text) {
+  const match = PEM.exec(text);
+  if (!match) {
+    return null;
+  }
+  const der = Buffer.from(text.split('\n').slice(1, -2).join(''), 'base64');
+  return pemText(match[1], der) === text ? { label: match[1], der } : null;
+}
+
+// Encoder state: output chunks and the strings written so far
+function writer(strings = new Map()) {
+  return { chunks: [], strings };
+}
+
+function writeBytes(out, tag, bytes) {
+  out.chunks.push(Buffer.from([tag]), varint(bytes.length), bytes);
+}
+
+function writeString(out, text) {
+  if (out.strings.has(text)) {
+    out.chunks.push(Buffer.from([TAG.REF]), varint(out.strings.get(text)));
+    return;
+  }
+
+  const pem = pemParts(text);
+  if (UUID.test(text)) {
+    out.chunks.push(Buffer.from([TAG.UUID]), Buffer.from(text.replace(/-/g, ''), 'hex'));
+  } else if (HEX.test(text)) {
+    writeBytes(out, TAG.HEX, Buffer.from(text, 'hex'));
+  } else if (pem) {
+    out.chunks.push(Buffer.from([TAG.PEM]));
+    writeString(out, pem.label);
+    out.chunks.push(varint(pem.der.length), pem.der);
+  } else if (BASE64.test(text) && Buffer.from(text, 'base64').toString('base64') === text) {
+    writeBytes(out, TAG.BASE64, Buffer.from(text, 'base64'));
+  } else {
+    writeBytes(out, TAG.STRING, Buffer.from(text, 'utf8'));
+  }
+
+  // Registered after its content, in the same order the decoder meets it
+  out.strings.set(text, out.strings.size);
+}
+
+function writeValue(out, value) {
+  if (value === null) {
+    out.chunks.push(Buffer.from([TAG.NULL]));
+  } else if (typeof value === 'boolean') {
+    out.chunks.push(Buffer.from([value ? TAG.TRUE : TAG.FALSE]));
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      out.chunks.push(Buffer.from([value < 0 ? TAG.NEGINT : TAG.UINT]), varint(Math.abs(value)));
+    } else {
+      const bytes = Buffer.alloc(8);
+      bytes.writeDoubleBE(value);
+      out.chunks.push(Buffer.from([TAG.FLOAT]), bytes);
+    }
+  } else if (typeof value === 'string') {
+    writeString(out, value);
+  } else if (Array.isArray(value)) {
+    out.chunks.push(Buffer.from([TAG.ARRAY]), varint(value.length));
+    value.forEach(item => writeValue(out, item));
+  } else if (typeof value === 'object') {
+    const keys = Object.keys(value);
+    out.chunks.push(Buffer.from([TAG.OBJECT]), varint(keys.length));
+    keys.forEach(key => {
+      writeString(out, key);
+      writeValue(out, value[key]);
+    });
+  } else {
+    throw new Error(`Cannot encode a ${typeof value} value`);
+  }
+}
+
+// Decoder state over one message
+function reader(buffer) {
+  return { buffer, offset: 0, strings: [] };
+}
+
+function take(input, length) {
+  if (input.offset + length > input.buffer.length) {
+    throw new Error('Wire message is truncated');
+  }
+  const bytes = input.buffer.subarray(input.offset, input.offset + length);
+  input.offset += length;
+  return bytes;
+}
+
+function readVarint(input) {
+  let value = 0;
+  let scale = 1;
+  for (;;) {
+    const byte = take(input, 1)[0];
+    value += (byte & 0x7f) * scale;
+    if (!(byte & 0x80)) {
+      break;
+    }
+    scale *= 0x80;
+    if (scale > Number.MAX_SAFE_INTEGER) {
+      throw new Error('Wire message has an oversized length or number');
+    }
+  }
+  return value;
+}
+
+function readValue(input) {
+  const tag = take(input, 1)[0];
+  let text;
+
+  switch (tag) {
+    case TAG.NULL:
+      return null;
+    case TAG.FALSE:
+      return false;
+    case TAG.TRUE:
+      return true;
+    case TAG.UINT:
+      return readVarint(input);
+    case TAG.NEGINT:
+      return -readVarint(input);
+    case TAG.FLOAT:
+      return take(input, 8).readDoubleBE(0);
+    case TAG.ARRAY: {
+      const length = readVarint(input);
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        items.push(readValue(input));
+      }
+      return items;
+    }
+    case TAG.OBJECT: {
+      const length = readVarint(input);
+      const object = {};
+      for (let i = 0; i < length; i++) {
+        const key = readValue(input);
+        if (typeof key !== 'string') {
+          throw new Error('Wire message has a non-string object key');
+        }
+        object[key] = readValue(input);
+      }
+      return object;
+    }
+    case TAG.REF: {
+      const index = readVarint(input);
+      if (index >= input.strings.length) {
+        throw new Error('Wire message refers to an unknown string');
+      }
+      return input.strings[index];
+    }
+    case TAG.STRING:
+      text = take(input, readVarint(input)).toString('utf8');
+      break;
+    case TAG.HEX:
+      text = take(input, readVarint(input)).toString('hex');
+      break;
+    case TAG.UUID: {
+      const hex = take(input, 16).toString('hex');
+      text = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+      break;
+    }
+    case TAG.BASE64:
+      text = take(input, readVarint(input)).toString('base64');
+      break;
+    case TAG.PEM: {
+      const label = readValue(input);
+      if (typeof label !== 'string') {
+        throw new Error('Wire message has a malformed PEM key');
+      }
+      text = pemText(label, take(input, readVarint(input)));
+      break;
+    }
+    default:
+      throw new Error(`Wire message has an unknown value tag ${tag}`);
+  }
+
+  input.strings.push(text);
+  return text;
+}
+
+// Encode a record's JSON form as a binary message. type is 'coin', 'transfer'
+// or 'attestation'.
+function encode(type, record) {
+  const schema = RECORDS[type];
+  if (!schema) {
+    throw new Error(`Unknown wire record type: ${type}`);
+  }
+
+  // Encode exactly what JSON would carry (undefined fields dropped, toJSON applied)
+  const data = JSON.parse(JSON.stringify(record));
+  const unknown = Object.keys(data).find(key => !schema.fields.includes(key));
+  if (unknown) {
+    throw new Error(`Cannot encode ${type} field ${unknown}`);
+  }
+
+  const strings = new Map();
+  const chunks = [Buffer.from([WIRE_VERSION, schema.kind])];
+  schema.fields.forEach(field => {
+    if (!(field in data)) {
+      chunks.push(varint(0));
+      return;
+    }
+    const out = writer(strings);
+    writeValue(out, data[field]);
+    const bytes = Buffer.concat(out.chunks);
+    chunks.push(varint(bytes.length), bytes);
+  });
+
+  return Buffer.concat(chunks);
+}
+
+// Decode a binary message back into the record's JSON form, checking it
+// holds the expected record type
+function decode(type, buffer) {
+  const schema = RECORDS[type];
+  if (!schema) {
+    throw new Error(`Unknown wire record type: ${type}`);
+  }
+  if (!Buffer.isBuffer(buffer) && !(buffer instanceof Uint8Array)) {
+    throw new Error('Wire message must be a Buffer');
+  }
+
+  const input = reader(Buffer.from(buffer));
+  const [version, kind] = take(input, 2);
+  if (version !== WIRE_VERSION) {
+    throw new Error(`Unsupported wire format version: ${version}`);
+  }
+  if (kind !== schema.kind) {
+    throw new Error(`Wire message does not hold a ${type}`);
+  }
+
+  const data = {};
+  schema.fields.forEach(field => {
+    const length = readVarint(input);
+    if (length === 0) {
+      return;
+    }
+    const end = input.offset + length;
+    data[field] = readValue(input);
+    if (input.offset !== end) {
+      throw new Error(`Wire message field ${field} does not match its length`);
+    }
+  });
+
+  if (input.offset !== input.buffer.length) {
+    throw new Error('Wire message has trailing bytes');
+  }
+
+  return data;
+}
+
+// Encoded size of a record in bytes
+function encodedSize(type, record) {
+  return encode(type, record).length;
+}
+
+module.exports = {
+  WIRE_VERSION,
+  encode,
+  decode,
+  encodedSize
+};
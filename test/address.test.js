@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Wallet = require('../src/Wallet');
+const { encodeAddress, decodeAddress, validateAddress, resolveRecipient } = require('../src/address');
+const { createNetwork, mintTo } = require('./helpers');
+
+// Swap one character of the encoded part for another valid base58 character
+function typo(address) {
+  const last = address[address.length - 1];
+  return address.slice(0, -1) + (last === '2' ? '3' : '2');
+}
+
+test('an address decodes back to its wallet ID and network', () => {
+  const walletId = new Wallet().getId();
+  const address = encodeAddress(walletId, 'test');
+
+  assert.match(address, /^test:/);
+  assert.deepStrictEqual(decodeAddress(address), { networkId: 'test', version: 1, walletId });
+  assert.strictEqual(resolveRecipient(address, 'test'), walletId);
+  assert.strictEqual(resolveRecipient(walletId), walletId);
+});
+
+test('a mistyped address fails its checksum', () => {
+  const address = encodeAddress(new Wallet().getId(), 'main');
+
+  const result = validateAddress(typo(address));
+  assert.strictEqual(result.valid, false);
+  assert.match(result.reason, /checksum mismatch/);
+  assert.match(validateAddress('main:0OIl').reason, /invalid character/);
+  assert.throws(() => resolveRecipient('not-a-wallet'), /neither an address nor a wallet ID/);
+});
+
+test('an address for another network is refused', () => {
+  const walletId = new Wallet().getId();
+  const address = encodeAddress(walletId, 'test');
+
+  assert.match(validateAddress(address, 'main').reason, /for network test, not main/);
+  assert.throws(() => resolveRecipient(address, 'main'), /Invalid recipient address/);
+
+  // Moving the payload under another prefix breaks the checksum
+  assert.match(validateAddress(address.replace(/^test:/, 'main:')).reason, /checksum mismatch/);
+});
+
+test('a transfer to a wrong-network address stops before the coin moves', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 5);
+    const address = encodeAddress(wallet(1).getId(), 'other');
+
+    const result = await network.transferCoin(0, address, wallet(0).findCoinIndex(coin.id));
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /invalid recipient address/);
+    assert.strictEqual(coin.ownerId, wallet(0).getId());
+    assert.notStrictEqual(wallet(0).findCoinIndex(coin.id), -1);
+
+    const sent = await network.transferCoin(0, wallet(1).getAddress(network.networkId), wallet(0).findCoinIndex(coin.id));
+    assert.strictEqual(sent.success, true, sent.reason);
+    assert.strictEqual(coin.ownerId, wallet(1).getId());
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Mint = require('../src/Mint');
+const { createNetwork, mintTo } = require('./helpers');
+
+// Register GOLD (two decimal places) issued by the network's own mint
+function registerGold(network) {
+  return network.registerAsset({ id: 'GOLD', name: 'Gold', issuer: network.mint.getIssuerId(), decimals: 2 });
+}
+
+test('an issued asset is held and transferred apart from the native coin', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    registerGold(network);
+    mintTo(network, 0, 5);
+    const gold = network.issueAsset(0, 'GOLD', 1.25);
+    assert.strictEqual(gold.asset, 'GOLD');
+    assert.deepStrictEqual(wallet(0).getBalances(), { native: 5, GOLD: 1.25 });
+
+    const result = await network.transferCoin(0, 1, wallet(0).findCoinIndex(gold.id));
+    assert.strictEqual(result.success, true, result.reason);
+    assert.deepStrictEqual(wallet(0).getBalances(), { native: 5 });
+    assert.deepStrictEqual(wallet(1).getBalances(), { GOLD: 1.25 });
+    assert.strictEqual(wallet(1).getBalance('GOLD'), 1.25);
+  } finally {
+    cleanup();
+  }
+});
+
+test('witnesses refuse an asset coin from the wrong issuer or of an unknown asset', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    registerGold(network);
+
+    // A recognised issuer, but not the one GOLD names
+    const other = new Mint();
+    network.registerIssuer(other);
+    const counterfeit = other.mint(wallet(0).getId(), 2, { asset: 'GOLD' });
+    wallet(0).addCoin(counterfeit);
+    const forged = await network.transferCoin(0, 1, wallet(0).findCoinIndex(counterfeit.id));
+    assert.strictEqual(forged.success, false);
+    assert.match(forged.reason, /was not minted by its issuer/);
+
+    const unknown = network.mint.mint(wallet(0).getId(), 2, { asset: 'SILVER' });
+    wallet(0).addCoin(unknown);
+    const result = await network.transferCoin(0, 1, wallet(0).findCoinIndex(unknown.id));
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /unknown asset SILVER/);
+    assert.strictEqual(unknown.ownerId, wallet(0).getId());
+  } finally {
+    cleanup();
+  }
+});
+
+test('an asset coin splits only into units its decimals allow', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    registerGold(network);
+    const gold = network.issueAsset(0, 'GOLD', 1);
+
+    const tooFine = await network.splitCoin(0, wallet(0).findCoinIndex(gold.id), [0.005, 0.995]);
+    assert.strictEqual(tooFine.success, false);
+    assert.match(tooFine.reason, /at most 2 decimal places/);
+
+    const split = await network.splitCoin(0, wallet(0).findCoinIndex(gold.id), [0.25, 0.75]);
+    assert.strictEqual(split.success, true, split.reason);
+    assert.deepStrictEqual(wallet(0).getBalances(), { GOLD: 1 });
+    assert.strictEqual(wallet(0).getCoinsOfAsset('GOLD').length, 2);
+  } finally {
+    cleanup();
+  }
+});
+
+test('an asset needs a recognised issuer and a unique ID', () => {
+  const { network, cleanup } = createNetwork();
+  try {
+    assert.throws(() => network.registerAsset({ id: 'GOLD', issuer: new Mint().getIssuerId() }), /names an unknown issuer/);
+    registerGold(network);
+    assert.throws(() => registerGold(network), /already registered/);
+    assert.throws(() => network.registerAsset({ id: 'native', issuer: network.mint.getIssuerId() }), /Invalid asset ID/);
+    assert.throws(() => network.issueAsset(0, 'SILVER', 1), /Unknown asset: SILVER/);
+  } finally {
+    cleanup();
+  }
+});
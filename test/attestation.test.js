@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const QuorumCertificate = require('../src/QuorumCertificate');
+const TransferEnvelope = require('../src/TransferEnvelope');
+const Wallet = require('../src/Wallet');
+const WitnessAttestation = require('../src/WitnessAttestation');
+const { createNetwork, mintTo } = require('./helpers');
+
+// Three witnesses approving one transfer, and the keys to check them with
+function approvals() {
+  const witnesses = [new Wallet(), new Wallet(), new Wallet()];
+  const envelope = TransferEnvelope.forCoin(new Coin('sender', 3), 'recipient');
+  const attestations = witnesses.map(witness => WitnessAttestation.create(witness, envelope, 'valid'));
+  const keys = new Map(witnesses.map(witness => [witness.getId(), witness.publicKey]));
+  return { witnesses, envelope, attestations, keys };
+}
+
+test('a quorum certificate verifies offline against witness keys', () => {
+  const { envelope, attestations, keys } = approvals();
+  const certificate = QuorumCertificate.fromAttestations(envelope, attestations, 3);
+
+  assert.strictEqual(certificate.verify(keys, { txId: envelope.getId() }).valid, true);
+  assert.ok(attestations.every((attestation, index) => attestation.verify(Array.from(keys.values())[index])));
+  assert.strictEqual(QuorumCertificate.fromJSON(JSON.parse(JSON.stringify(certificate.toJSON()))).verify(keys).valid, true);
+});
+
+test('too few or unregistered witnesses do not make a quorum', () => {
+  const { witnesses, envelope, attestations, keys } = approvals();
+
+  const short = QuorumCertificate.fromAttestations(envelope, attestations.slice(0, 2), 3);
+  assert.match(short.verify(keys).reason, /only 2 of 3/);
+
+  keys.delete(witnesses[0].getId());
+  assert.match(QuorumCertificate.fromAttestations(envelope, attestations, 3).verify(keys).reason, /only 2 of 3/);
+
+  const repeated = QuorumCertificate.fromAttestations(envelope, [attestations[1], attestations[1], attestations[2]], 3);
+  assert.match(repeated.verify(keys).reason, /only 2 of 3/);
+});
+
+test('edited attestations and certificates for other transactions are rejected', () => {
+  const { envelope, attestations, keys } = approvals();
+  const certificate = QuorumCertificate.fromAttestations(envelope, attestations, 3);
+
+  assert.match(certificate.verify(keys, { txId: 'another' }).reason, /different transaction/);
+
+  const edited = certificate.toJSON();
+  edited.attestations[0].timestamp += 1;
+  assert.match(QuorumCertificate.fromJSON(edited).verify(keys).reason, /invalid signature/);
+
+  const rejection = WitnessAttestation.create(new Wallet(), envelope, 'invalid', 'double spend');
+  assert.strictEqual(QuorumCertificate.fromAttestations(envelope, [...attestations, rejection], 3).attestations.length, 3);
+});
+
+test('every witnessed hop carries a certificate of the quorum', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 2);
+    const result = await network.transferCoin(0, 1, wallet(0).findCoinIndex(coin.id));
+    assert.strictEqual(result.success, true, result.reason);
+
+    const certificate = QuorumCertificate.fromJSON(coin.history[0].certificate);
+    assert.strictEqual(certificate.txId, result.txId);
+    assert.strictEqual(network.agents[5].verifyQuorumCertificate(certificate, 3).valid, true);
+    assert.ok(certificate.getWitnessIds().every(id => ![wallet(0).getId(), wallet(1).getId()].includes(id)));
+  } finally {
+    cleanup();
+  }
+});
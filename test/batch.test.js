@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const { createNetwork, mintTo } = require('./helpers');
+
+test('a batch moves every coin with a single receipt', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coins = [1, 2, 3].map(value => mintTo(network, 0, value));
+    const result = await network.transferCoins(0, 1, coins.map(coin => wallet(0).findCoinIndex(coin.id)));
+
+    assert.strictEqual(result.success, true, result.reason);
+    assert.strictEqual(result.receipt.type, 'batch');
+    assert.strictEqual(result.receipt.value, 6);
+    assert.deepStrictEqual(result.receipt.coinIds.sort(), coins.map(coin => coin.id).sort());
+    assert.strictEqual(wallet(0).getBalance(), 0);
+    assert.strictEqual(wallet(1).getBalance(), 6);
+    assert.ok(coins.every(coin => coin.history[coin.history.length - 1].certificate));
+  } finally {
+    cleanup();
+  }
+});
+
+test('a batch with one double-spent coin moves none of them', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const good = mintTo(network, 0, 2);
+    const spent = mintTo(network, 0, 1);
+    const staleCopy = Coin.fromJSON(JSON.parse(JSON.stringify(spent.toJSON())));
+    assert.strictEqual((await network.transferCoin(0, 2, wallet(0).findCoinIndex(spent.id))).success, true);
+
+    wallet(0).coins.push(staleCopy);
+    const result = await network.transferCoins(0, 1, [wallet(0).findCoinIndex(good.id), wallet(0).coins.indexOf(staleCopy)]);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(good.ownerId, wallet(0).getId());
+    assert.strictEqual(wallet(0).findHeldCoin(good.id), good);
+    assert.strictEqual(wallet(1).getBalance(), 0);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a batch naming coins the wallet does not hold is refused before signing', async () => {
+  const { network, cleanup } = createNetwork();
+  try {
+    mintTo(network, 0, 1);
+
+    assert.deepStrictEqual(await network.transferCoins(0, 1, [0, 5]), { success: false, reason: 'coins not found' });
+    assert.deepStrictEqual(await network.transferCoins(0, 1, []), { success: false, reason: 'coins not found' });
+  } finally {
+    cleanup();
+  }
+});
+
+test('a transfer still waiting for witnesses is not reported as done', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 2);
+
+    const selectWitnesses = network.getRandomWitnesses;
+    network.getRandomWitnesses = (count, exclude) => selectWitnesses.call(network, count, exclude).slice(0, 2);
+    const result = await network.transferCoin(0, 1, wallet(0).findCoinIndex(coin.id));
+    network.getRandomWitnesses = selectWitnesses;
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.reason, 'awaiting witnesses');
+    assert.ok(result.txId);
+
+    await network._retryPendingTransactions();
+    assert.strictEqual(coin.ownerId, wallet(1).getId());
+  } finally {
+    cleanup();
+  }
+});
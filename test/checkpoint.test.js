@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const { createNetwork, mintTo } = require('./helpers');
+
+// How a witness (agent 5, never an owner here) checks a coin it is shown
+function verifyAsWitness(network, coin) {
+  const agent = network.agents[5];
+  return coin.verifyProvenance(agent.publicKeyDirectory, { witnessThreshold: agent.witnessThreshold, issuers: agent.issuers });
+}
+
+// A coin passed from agent 0 through agents 1 and 2
+async function travelledCoin(network, wallet) {
+  const coin = mintTo(network, 0, 4);
+  for (const [from, to] of [[0, 1], [1, 2]]) {
+    const result = await network.transferCoin(from, to, wallet(from).findCoinIndex(coin.id));
+    assert.strictEqual(result.success, true, result.reason);
+  }
+  return wallet(2).findHeldCoin(coin.id);
+}
+
+test('compaction replaces the history with a certified checkpoint and keeps the hash', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = await travelledCoin(network, wallet);
+    const hash = coin.hash;
+    const sequence = coin.getSequence();
+
+    const result = await network.compactCoin(coin.id);
+    assert.strictEqual(result.success, true, result.reason);
+    assert.strictEqual(result.dropped, 2);
+    assert.strictEqual(coin.hash, hash);
+    assert.strictEqual(coin.history.length, 0);
+    assert.strictEqual(coin.getSequence(), sequence);
+    assert.ok(coin.verifyIntegrity());
+    assert.strictEqual(verifyAsWitness(network, coin).valid, true);
+    assert.strictEqual(Coin.fromJSON(JSON.parse(JSON.stringify(coin.toJSON()))).hash, hash);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a compacted coin keeps moving and can be compacted again', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = await travelledCoin(network, wallet);
+    assert.strictEqual((await network.compactCoin(coin.id)).success, true);
+    const first = coin.checkpoint;
+
+    const transfer = await network.transferCoin(2, 3, wallet(2).findCoinIndex(coin.id));
+    assert.strictEqual(transfer.success, true, transfer.reason);
+    const moved = wallet(3).findHeldCoin(coin.id);
+    assert.strictEqual(verifyAsWitness(network, moved).valid, true);
+
+    const again = await network.compactCoin(moved.id);
+    assert.strictEqual(again.success, true, again.reason);
+    assert.strictEqual(again.dropped, 1);
+    assert.strictEqual(moved.checkpoint.sequence, first.sequence + 1);
+    assert.notStrictEqual(moved.checkpoint.historyHash, first.historyHash);
+    assert.strictEqual(verifyAsWitness(network, moved).valid, true);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a checkpoint with an edited state or certificate is rejected', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = await travelledCoin(network, wallet);
+    assert.strictEqual((await network.compactCoin(coin.id)).success, true);
+    const data = JSON.parse(JSON.stringify(coin.toJSON()));
+
+    const inflated = Coin.fromJSON({ ...data, checkpoint: { ...data.checkpoint, value: 40 } });
+    assert.match(verifyAsWitness(network, inflated).reason, /checkpoint rejected/);
+
+    const certificate = { ...data.checkpoint.certificate, attestations: data.checkpoint.certificate.attestations.slice(0, 1) };
+    const uncertified = Coin.fromJSON({ ...data, checkpoint: { ...data.checkpoint, certificate } });
+    assert.match(verifyAsWitness(network, uncertified).reason, /quorum certificate rejected/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a compacted split output still traces back to its mint record', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 1);
+    const split = await network.splitCoin(0, wallet(0).findCoinIndex(coin.id), [0.4, 0.6]);
+    assert.strictEqual(split.success, true, split.reason);
+
+    const [output] = split.coins;
+    assert.strictEqual((await network.compactCoin(output.id)).success, true);
+    assert.ok(output.checkpoint.parents);
+    assert.strictEqual(verifyAsWitness(network, output).valid, true);
+    assert.strictEqual(output.verifyGenesis(network.agents[5].issuers).valid, true);
+  } finally {
+    cleanup();
+  }
+});
+
+test('compactWallet compacts every coin with enough history', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    await travelledCoin(network, wallet);
+    mintTo(network, 2, 1);
+
+    const summary = await network.compactWallet(2, 1);
+    assert.deepStrictEqual(summary, { success: true, compacted: 1, dropped: 2, failed: [] });
+    assert.ok(wallet(2).coins.every(coin => coin.history.length === 0));
+    assert.strictEqual((await network.compactWallet(99)).success, false);
+  } finally {
+    cleanup();
+  }
+});
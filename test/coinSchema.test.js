@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const Coin = require('../src/Coin');
+const {
+  COIN_SCHEMA_VERSION,
+  CoinLoadError,
+  CoinTamperedError,
+  UnsupportedCoinVersionError,
+  MalformedCoinError,
+  registerMigration
+} = require('../src/coinSchema');
+
+// A coin as the first builds wrote it: no version, asset, checkpoint or
+// genesis, and hashed without its renewal terms
+function baselineCoin(fields = {}) {
+  const data = {
+    id: crypto.randomUUID(),
+    ownerId: 'agent-0',
+    value: 5,
+    created: 1700000000000,
+    lastTransferred: 1700000000000,
+    history: [],
+    metadata: {},
+    status: 'active',
+    expiryDate: null,
+    ...fields
+  };
+  const lastHash = data.history.length > 0 ? data.history[data.history.length - 1].hash : null;
+  data.hash = crypto.createHash('sha256').update(JSON.stringify({
+    id: data.id,
+    ownerId: data.ownerId,
+    value: data.value,
+    created: data.created,
+    lastTransferred: data.lastTransferred,
+    historyLength: data.history.length,
+    status: data.status,
+    lastHash
+  })).digest('hex');
+  return data;
+}
+
+test('a current coin round-trips through JSON', () => {
+  const coin = new Coin('agent-0', 3, null, { expiryDate: Date.now() + 60000 });
+  const loaded = Coin.fromJSON(JSON.parse(JSON.stringify(coin.toJSON())));
+
+  assert.strictEqual(loaded.hash, coin.hash);
+  assert.strictEqual(loaded.version, COIN_SCHEMA_VERSION);
+  assert.strictEqual(loaded.expiryDate, coin.expiryDate);
+});
+
+test('a baseline coin without an expiry date loads', () => {
+  const data = baselineCoin();
+  const coin = Coin.fromJSON(data);
+
+  assert.strictEqual(coin.hash, data.hash);
+  assert.strictEqual(coin.version, COIN_SCHEMA_VERSION);
+  assert.ok(coin.verifyIntegrity());
+});
+
+test('a baseline coin with an expiry date is restamped under the current hash', () => {
+  const expiryDate = 1800000000000;
+  const data = baselineCoin({ metadata: { expiryDate }, expiryDate });
+  const coin = Coin.fromJSON(data);
+
+  assert.strictEqual(coin.expiryDate, expiryDate);
+  assert.notStrictEqual(coin.hash, data.hash);
+  assert.ok(coin.verifyIntegrity());
+  assert.strictEqual(Coin.fromJSON(JSON.parse(JSON.stringify(coin.toJSON()))).hash, coin.hash);
+});
+
+test('a tampered baseline coin is still rejected', () => {
+  const expiryDate = 1800000000000;
+  const data = { ...baselineCoin({ metadata: { expiryDate }, expiryDate }), value: 50 };
+
+  assert.throws(() => Coin.fromJSON(data), CoinTamperedError);
+});
+
+test('a current coin hashed without its renewal terms is rejected', () => {
+  const expiryDate = 1800000000000;
+  const data = { ...baselineCoin({ metadata: { expiryDate }, expiryDate }), version: COIN_SCHEMA_VERSION, asset: null, checkpoint: null, genesis: [] };
+
+  assert.throws(() => Coin.fromJSON(data), CoinTamperedError);
+});
+
+test('tampered, malformed and unknown-version coins throw typed errors', () => {
+  const coin = new Coin('agent-0', 3);
+  const data = JSON.parse(JSON.stringify(coin.toJSON()));
+
+  assert.throws(() => Coin.fromJSON({ ...data, ownerId: 'agent-1' }), CoinTamperedError);
+  assert.throws(() => Coin.fromJSON({ ...data, value: 'three' }), error => error instanceof MalformedCoinError && error.field === 'value');
+  assert.throws(() => Coin.fromJSON({ ...data, version: '9.0.0' }), error => error instanceof UnsupportedCoinVersionError && error.version === '9.0.0');
+  assert.throws(() => Coin.fromJSON(null), CoinLoadError);
+});
+
+test('lenient loading collects problems instead of throwing', () => {
+  const coin = new Coin('agent-0', 3);
+  const data = { ...JSON.parse(JSON.stringify(coin.toJSON())), ownerId: 'agent-1', status: 'lost' };
+  const loaded = Coin.fromJSON(data, { strict: false });
+
+  assert.strictEqual(loaded.hash, data.hash);
+  assert.deepStrictEqual(loaded.loadIssues.map(issue => issue.code).sort(), ['COIN_MALFORMED', 'COIN_TAMPERED']);
+});
+
+test('a registered migration chain upgrades older coins', () => {
+  registerMigration('0.9.0', '1.0.0', data => {
+    const { owner, ...rest } = data;
+    return { ...rest, ownerId: owner };
+  });
+
+  const { ownerId, ...data } = baselineCoin();
+  const coin = Coin.fromJSON({ ...data, owner: ownerId, version: '0.9.0' });
+
+  assert.strictEqual(coin.ownerId, ownerId);
+  assert.strictEqual(coin.version, COIN_SCHEMA_VERSION);
+  assert.throws(() => registerMigration('0.9.0', '1.0.0', data => data), /already registered/);
+});
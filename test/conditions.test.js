@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHashLock, validateConditions } = require('../src/conditions');
+const { createNetwork, mintTo } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// Agent 0 locks a fresh 5 coin for agent 1 under conditions
+async function lockFor(network, wallet, conditions) {
+  const coin = mintTo(network, 0, 5);
+  const result = await network.lockCoin(0, 1, wallet(0).findCoinIndex(coin.id), conditions);
+  assert.strictEqual(result.success, true, result.reason);
+  return coin;
+}
+
+test('a hash-locked coin is claimed only with the right preimage', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { preimage, hashLock } = createHashLock();
+    const coin = await lockFor(network, wallet, { hashLock, refundAfter: Date.now() + HOUR });
+    assert.strictEqual(coin.getConditions().refundTo, wallet(0).getId());
+
+    const wrong = await network.claimCoin(1, wallet(1).findCoinIndex(coin.id), 'guess');
+    assert.strictEqual(wrong.success, false);
+    assert.match(wrong.reason, /preimage does not match the hash lock/);
+
+    const claim = await network.claimCoin(1, wallet(1).findCoinIndex(coin.id), preimage);
+    assert.strictEqual(claim.success, true, claim.reason);
+    assert.strictEqual(coin.getConditions(), null);
+    assert.strictEqual(coin.ownerId, wallet(1).getId());
+  } finally {
+    cleanup();
+  }
+});
+
+test('once a time lock has expired the owner cannot claim and the sender is refunded', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { hashLock, preimage } = createHashLock();
+    const coin = await lockFor(network, wallet, { hashLock, refundAfter: Date.now() - 1000 });
+
+    const claim = await network.claimCoin(1, wallet(1).findCoinIndex(coin.id), preimage);
+    assert.strictEqual(claim.success, false);
+    assert.match(claim.reason, /claim window has closed/);
+
+    const refund = await network.refundCoin(0, coin.id);
+    assert.strictEqual(refund.success, true, refund.reason);
+    assert.strictEqual(coin.ownerId, wallet(0).getId());
+    assert.strictEqual(coin.getConditions(), null);
+    assert.notStrictEqual(wallet(0).findCoinIndex(coin.id), -1);
+    assert.strictEqual(wallet(1).findCoinIndex(coin.id), -1);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a coin is neither claimed before its time lock nor refunded early', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = await lockFor(network, wallet, { notBefore: Date.now() + HOUR, refundAfter: Date.now() + 2 * HOUR });
+
+    const claim = await network.claimCoin(1, wallet(1).findCoinIndex(coin.id));
+    assert.strictEqual(claim.success, false);
+    assert.match(claim.reason, /time-locked until/);
+
+    const refund = await network.refundCoin(0, coin.id);
+    assert.strictEqual(refund.success, false);
+    assert.match(refund.reason, /cannot be refunded before/);
+    assert.strictEqual(coin.ownerId, wallet(1).getId());
+  } finally {
+    cleanup();
+  }
+});
+
+test('malformed conditions are refused before anything is signed', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    assert.match(validateConditions({}).reason, /need a time lock or a hash lock/);
+    assert.match(validateConditions({ hashLock: 'abc' }).reason, /SHA-256 hex digest/);
+    assert.match(validateConditions({ notBefore: 20, refundAfter: 10, refundTo: wallet(0).getId() }).reason, /earlier than refundAfter/);
+
+    const coin = mintTo(network, 0, 5);
+    await assert.rejects(network.lockCoin(0, 1, 0, { hashLock: 'abc' }), /Invalid spend conditions/);
+    assert.strictEqual(coin.ownerId, wallet(0).getId());
+    assert.notStrictEqual(wallet(0).findCoinIndex(coin.id), -1);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const TransferEnvelope = require('../src/TransferEnvelope');
+const { createNetwork, mintTo } = require('./helpers');
+
+// A signed transfer from agent 0 to agent 1, not yet sent to the witnesses
+function signedTransfer(network, wallet) {
+  const coin = mintTo(network, 0, 2);
+  return wallet(0).transferCoin(wallet(0).findCoinIndex(coin.id), wallet(1).getId(), network.networkId);
+}
+
+test('an envelope serializes the same whatever its key order', () => {
+  const envelope = TransferEnvelope.forCoin(new Coin('sender', 3), 'recipient', 'main', 'ed25519');
+  const data = envelope.toJSON();
+  const reordered = Object.fromEntries(Object.entries(data).reverse());
+
+  assert.strictEqual(TransferEnvelope.fromJSON(reordered).serialize(), envelope.serialize());
+  assert.strictEqual(TransferEnvelope.fromJSON(JSON.parse(JSON.stringify(data))).getId(), envelope.getId());
+  assert.notStrictEqual(TransferEnvelope.forCoin(new Coin('sender', 3), 'recipient').getId(), envelope.getId());
+});
+
+test('received envelopes must name a supported version, a nonce and a timestamp', () => {
+  const data = TransferEnvelope.forCoin(new Coin('sender', 3), 'recipient').toJSON();
+
+  assert.throws(() => TransferEnvelope.fromJSON({ ...data, version: 99 }), /Unsupported transfer envelope version/);
+  assert.throws(() => TransferEnvelope.fromJSON({ ...data, nonce: undefined }), /missing nonce or timestamp/);
+  assert.throws(() => TransferEnvelope.fromJSON(null), /Invalid transfer envelope/);
+});
+
+test('an envelope only matches the coin state it was made for', () => {
+  const coin = new Coin('sender', 3);
+  const envelope = TransferEnvelope.forCoin(coin, 'recipient');
+  assert.deepStrictEqual(envelope.matchesCoin(coin), { valid: true });
+
+  coin.lastTransferred += 1;
+  coin.updateHash();
+  assert.match(envelope.matchesCoin(coin).reason, /coin hash does not match/);
+  assert.match(envelope.matchesCoin(new Coin('sender', 3)).reason, /coin id does not match/);
+  assert.match(TransferEnvelope.forCoin(coin, 'recipient', null, null, null, { sender: 'thief' }).matchesCoin(coin).reason, /sender does not own/);
+});
+
+test('witnesses approve exactly the envelope the sender signed', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const witness = network.agents[3];
+    const transfer = signedTransfer(network, wallet);
+    const approval = await witness.validateTransfer(transfer);
+    assert.strictEqual(approval.valid, true, approval.reason);
+    assert.strictEqual(approval.attestation.txId, transfer.envelope.getId());
+
+    // Redirected after signing: the recipient no longer matches the signature
+    const redirected = signedTransfer(network, wallet);
+    const envelope = new TransferEnvelope({ ...redirected.envelope.toJSON(), recipient: wallet(2).getId() });
+    const result = await witness.validateTransfer({ ...redirected, envelope, recipient: wallet(2).getId() });
+    assert.strictEqual(result.valid, false);
+    assert.match(result.reason, /signature/i);
+  } finally {
+    cleanup();
+  }
+});
+
+test('witnesses refuse envelopes signed for another network or other parties', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const witness = network.agents[3];
+    const coin = mintTo(network, 0, 2);
+    const elsewhere = wallet(0).transferCoin(wallet(0).findCoinIndex(coin.id), wallet(1).getId(), 'test');
+    assert.match((await witness.validateTransfer(elsewhere)).reason, /envelope is for network test/);
+
+    const transfer = signedTransfer(network, wallet);
+    assert.match((await witness.validateTransfer({ ...transfer, recipient: wallet(2).getId() })).reason, /parties do not match/);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HDWallet = require('../src/HDWallet');
+const Mint = require('../src/Mint');
+
+const PHRASE = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+test('the same recovery phrase always derives the same identities', () => {
+  const first = new HDWallet(PHRASE, { identities: 3 });
+  const second = new HDWallet(PHRASE, { identities: 3 });
+
+  assert.deepStrictEqual(first.getIds(), second.getIds());
+  assert.strictEqual(new Set(first.getIds()).size, 3);
+  assert.strictEqual(first.getIdentity(0).algorithm, 'ed25519');
+  assert.strictEqual(first.getPath(2), "m/44'/7337'/0'/2'");
+});
+
+test('a passphrase or another account derives unrelated identities', () => {
+  const plain = new HDWallet(PHRASE).getIds()[0];
+
+  assert.notStrictEqual(new HDWallet(PHRASE, { passphrase: 'extra' }).getIds()[0], plain);
+  assert.notStrictEqual(new HDWallet(PHRASE, { account: 1 }).getIds()[0], plain);
+});
+
+test('an invalid recovery phrase or identity index is refused', () => {
+  const typo = PHRASE.replace(/about$/, 'abound');
+
+  assert.throws(() => new HDWallet(typo), /Invalid recovery phrase/);
+  assert.throws(() => HDWallet.restore('not a phrase'), /Invalid recovery phrase/);
+  assert.throws(() => new HDWallet(PHRASE).deriveIdentity(-1), /Invalid identity index/);
+});
+
+test('restoring finds used identities past a gap and keeps one fresh identity', () => {
+  const original = new HDWallet(PHRASE, { identities: 6 });
+  const used = new Set([original.getIds()[0], original.getIds()[4]]);
+
+  const restored = HDWallet.restore(PHRASE, { isUsed: id => used.has(id), gapLimit: 5 });
+  assert.deepStrictEqual(restored.getIds(), original.getIds().slice(0, 6));
+
+  // A gap longer than the limit hides the later identity
+  const short = HDWallet.restore(PHRASE, { isUsed: id => used.has(id), gapLimit: 2 });
+  assert.deepStrictEqual(short.getIds(), original.getIds().slice(0, 2));
+});
+
+test('balances combine coins held by every identity', () => {
+  const wallet = new HDWallet(PHRASE, { identities: 2 });
+  const mint = new Mint();
+  const [first, second] = wallet.getIds();
+
+  assert.strictEqual(wallet.addCoin(mint.mint(first, 5)), true);
+  assert.strictEqual(wallet.addCoin(mint.mint(second, 3)), true);
+  assert.strictEqual(wallet.addCoin(mint.mint('someone-else', 7)), false);
+
+  assert.strictEqual(wallet.getBalance(), 8);
+  assert.strictEqual(wallet.getCoinCount(), 2);
+  assert.notStrictEqual(wallet.getNextReceivingIdentity().getId(), first);
+});
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Network = require('../src/Network');
+
+// A network persisting to a fresh temporary directory. Call cleanup() when done:
+// it stops the network's timers and removes the directory.
+function createNetwork(options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rnbs-test-'));
+  const network = new Network({ numAgents: 6, dataDir, ...options });
+
+  return {
+    network,
+    wallet: index => network.agents[index].getWallet(),
+    cleanup() {
+      network.shutdown();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Mint a coin straight into an agent's wallet
+function mintTo(network, agentIndex, value) {
+  const wallet = network.agents[agentIndex].getWallet();
+  const coin = network.mint.mint(wallet.getId(), value);
+  wallet.addCoin(coin);
+  return coin;
+}
+
+module.exports = { createNetwork, mintTo };
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNetwork, mintTo } = require('./helpers');
+
+// Status the sender's history shows for a transfer
+function senderStatus(wallet, txId) {
+  return wallet.getTransactionHistory().find(entry => entry.txId === txId && entry.type === 'send').status;
+}
+
+test('a held transfer joins the wallet only once accepted', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    wallet(1).setAcceptPolicy(false);
+    const coin = mintTo(network, 0, 5);
+
+    const { txId, success } = await network.transferCoin(0, 1, 0);
+    assert.strictEqual(success, true);
+    assert.strictEqual(coin.ownerId, wallet(1).getId());
+    assert.strictEqual(wallet(1).getBalance(), 0);
+    assert.deepStrictEqual(wallet(1).getInbox().map(entry => [entry.txId, entry.status]), [[txId, 'pending']]);
+    assert.strictEqual(senderStatus(wallet(0), txId), 'awaiting acceptance');
+
+    assert.strictEqual(network.acceptIncoming(1, txId).success, true);
+    assert.strictEqual(wallet(1).getBalance(), 5);
+    assert.strictEqual(wallet(1).getInbox().length, 0);
+    assert.strictEqual(senderStatus(wallet(0), txId), 'accepted');
+
+    // A transfer can be accepted only once
+    assert.strictEqual(network.acceptIncoming(1, txId).success, false);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a rejected transfer goes back to the sender through the witnesses', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    wallet(1).setAcceptPolicy(false);
+    const coin = mintTo(network, 0, 5);
+    const { txId } = await network.transferCoin(0, 1, 0);
+
+    const result = await network.rejectIncoming(1, txId);
+    assert.strictEqual(result.success, true, result.reason);
+    assert.strictEqual(coin.ownerId, wallet(0).getId());
+    assert.strictEqual(wallet(0).getBalance(), 5);
+    assert.strictEqual(wallet(1).getInbox().length, 0);
+    assert.strictEqual(senderStatus(wallet(0), txId), 'returned');
+
+    const provenance = coin.verifyProvenance(network.agents[5].publicKeyDirectory, { witnessThreshold: network.agents[5].witnessThreshold });
+    assert.strictEqual(provenance.valid, true, provenance.reason);
+  } finally {
+    cleanup();
+  }
+});
+
+test('an accept policy function decides which transfers skip the inbox', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    wallet(1).setAcceptPolicy(({ value }) => value <= 3);
+    mintTo(network, 0, 2);
+    mintTo(network, 0, 7);
+
+    await network.transferCoin(0, 1, 0);
+    const large = await network.transferCoin(0, 1, 0);
+
+    assert.strictEqual(wallet(1).getBalance(), 2);
+    assert.deepStrictEqual(wallet(1).getInbox().map(entry => entry.txId), [large.txId]);
+  } finally {
+    cleanup();
+  }
+});
+
+test('an unknown transfer or a bad policy is refused', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    assert.throws(() => wallet(1).setAcceptPolicy('sometimes'), /must be true, false or a function/);
+    assert.match(network.acceptIncoming(1, 'missing').reason, /no pending incoming transfer/);
+    assert.match((await network.rejectIncoming(1, 'missing')).reason, /no pending incoming transfer/);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const Keystore = require('../src/Keystore');
+const { generateKeyPair } = require('../src/signatures');
+
+const KDF_PARAMS = { N: 1024, r: 8, p: 1 };
+const keys = { ...generateKeyPair('ed25519'), algorithm: 'ed25519' };
+const copy = data => JSON.parse(JSON.stringify(data));
+
+test('a keystore decrypts with its passphrase only', () => {
+  const keystore = Keystore.encrypt(keys, 'correct horse', KDF_PARAMS);
+
+  assert.strictEqual(keystore.version, Keystore.VERSION);
+  assert.deepStrictEqual(Keystore.decrypt(copy(keystore), 'correct horse'), keys);
+  assert.throws(() => Keystore.decrypt(keystore, 'wrong horse'), /Incorrect passphrase/);
+});
+
+test('changing any clear-text keystore field is detected', () => {
+  const keystore = Keystore.encrypt(keys, 'correct horse', KDF_PARAMS);
+  const tamper = [
+    data => { data.publicKey = generateKeyPair('ed25519').publicKey; },
+    data => { data.algorithm = 'rsa'; },
+    data => { data.crypto.kdfParams.p = 2; },
+    data => { data.crypto.kdfParams.r = 16; }
+  ];
+
+  tamper.forEach(change => {
+    const tampered = copy(keystore);
+    change(tampered);
+    assert.throws(() => Keystore.decrypt(tampered, 'correct horse'), /Incorrect passphrase or corrupted keystore/);
+  });
+});
+
+test('a version 1 keystore still decrypts and is upgraded on passphrase change', () => {
+  // Version 1 bound only the public key to the ciphertext
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync('old phrase', salt, 32, KDF_PARAMS);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(keys.publicKey));
+  const ciphertext = Buffer.concat([cipher.update(keys.privateKey, 'utf8'), cipher.final()]);
+  const legacy = {
+    version: 1,
+    algorithm: keys.algorithm,
+    publicKey: keys.publicKey,
+    crypto: {
+      kdf: 'scrypt',
+      kdfParams: { ...KDF_PARAMS, salt: salt.toString('base64') },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    }
+  };
+
+  assert.deepStrictEqual(Keystore.decrypt(legacy, 'old phrase'), keys);
+
+  const upgraded = Keystore.changePassphrase(legacy, 'old phrase', 'new phrase');
+  assert.strictEqual(upgraded.version, Keystore.VERSION);
+  assert.deepStrictEqual(Keystore.decrypt(upgraded, 'new phrase'), keys);
+});
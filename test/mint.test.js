@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const Mint = require('../src/Mint');
+const { createNetwork } = require('./helpers');
+
+// Issuers as agents know them: issuerId -> { publicKey, supplyCap }
+function issuerMap(...mints) {
+  return new Map(mints.map(mint => [mint.getIssuerId(), { publicKey: mint.getPublicKey(), supplyCap: mint.supplyCap }]));
+}
+
+// Copy of a coin as another holder would have it
+function copyOf(coin) {
+  return Coin.fromJSON(JSON.parse(JSON.stringify(coin.toJSON())));
+}
+
+test('a minted coin traces back to its signed mint record', () => {
+  const mint = new Mint(null, { supplyCap: 100 });
+  const coin = mint.mint('owner', 10);
+
+  assert.strictEqual(coin.genesis.length, 1);
+  assert.strictEqual(coin.genesis[0].ownerId, 'owner');
+  assert.deepStrictEqual(coin.verifyGenesis(issuerMap(mint)), { valid: true });
+  assert.strictEqual(mint.getRemainingSupply(), 90);
+});
+
+test('coins from an unrecognised issuer or without a mint record are rejected', () => {
+  const mint = new Mint();
+  const coin = mint.mint('owner', 10);
+
+  assert.match(coin.verifyGenesis(issuerMap(new Mint())).reason, /unrecognised issuer/);
+  assert.match(new Coin('owner', 10).verifyGenesis(issuerMap(mint)).reason, /no mint record/);
+});
+
+test('an issuer cannot mint past its supply cap', () => {
+  const mint = new Mint(null, { supplyCap: 15 });
+  mint.mint('owner', 10);
+
+  assert.throws(() => mint.mint('owner', 10), /Supply cap of 15 would be exceeded/);
+  assert.throws(() => mint.mint('owner', 0), /positive number/);
+
+  // A record issued beyond the cap agents know of is refused
+  const uncapped = new Mint(mint.wallet);
+  const coin = uncapped.mint('owner', 20);
+  assert.match(coin.verifyGenesis(issuerMap(mint)).reason, /exceeds supply cap/);
+});
+
+test('a coin whose value or mint record was edited is rejected', () => {
+  const mint = new Mint();
+  const coin = mint.mint('owner', 10);
+
+  const inflated = copyOf(coin);
+  inflated.value = 100;
+  inflated.updateHash();
+  assert.match(inflated.verifyGenesis(issuerMap(mint)).reason, /does not describe this coin/);
+
+  const forged = copyOf(coin);
+  forged.genesis = [{ ...forged.genesis[0], value: 100 }];
+  forged.value = 100;
+  forged.updateHash();
+  assert.match(forged.verifyGenesis(issuerMap(mint)).reason, /invalid mint signature/);
+});
+
+test('a copy of a fresh coin claimed by someone else is rejected', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = network.mint.mint(wallet(0).getId(), 5);
+
+    // Agent 1 takes a copy, names itself the owner and rehashes it
+    const stolen = copyOf(coin);
+    stolen.ownerId = wallet(1).getId();
+    stolen.updateHash();
+    assert.ok(stolen.verifyIntegrity());
+    assert.match(stolen.verifyGenesis(network.agents[2].issuers).reason, /minted for/);
+
+    wallet(1).addCoin(stolen);
+    const result = await network.transferCoin(1, 2, wallet(1).findCoinIndex(stolen.id));
+    assert.strictEqual(result.success, false);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MultisigPolicy = require('../src/MultisigPolicy');
+const MultisigTransfer = require('../src/MultisigTransfer');
+const { encodeAddress } = require('../src/address');
+const { createNetwork, mintTo } = require('./helpers');
+
+// A 2-of-3 policy over agents 1-3 holding one 5 coin paid in by agent 0
+async function fundMultisig(network) {
+  const policy = network.createMultisig([1, 2, 3], 2);
+  const coin = mintTo(network, 0, 5);
+  const result = await network.transferCoin(0, encodeAddress(policy.getId(), network.networkId), 0);
+  assert.strictEqual(result.success, true, result.reason);
+  return { policy, coin };
+}
+
+test('a shared coin moves once the threshold of members has signed', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { policy, coin } = await fundMultisig(network);
+    [1, 2, 3].forEach(i => assert.strictEqual(wallet(i).getSharedBalance(policy.getId()), 5));
+
+    const transfer = wallet(1).proposeMultisigTransfer(coin.id, wallet(4).getAddress(network.networkId), network.networkId);
+    wallet(2).signMultisigTransfer(transfer);
+    assert.strictEqual(transfer.isComplete(), true);
+
+    const result = await network.submitMultisigTransfer(transfer);
+    assert.strictEqual(result.success, true, result.reason);
+    assert.strictEqual(coin.ownerId, wallet(4).getId());
+    [1, 2, 3].forEach(i => assert.strictEqual(wallet(i).getSharedBalance(), 0));
+
+    const provenance = coin.verifyProvenance(network.agents[5].publicKeyDirectory, { witnessThreshold: network.agents[5].witnessThreshold });
+    assert.strictEqual(provenance.valid, true, provenance.reason);
+  } finally {
+    cleanup();
+  }
+});
+
+test('witnesses refuse a shared coin signed by fewer members than the threshold', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { coin } = await fundMultisig(network);
+    const transfer = wallet(1).proposeMultisigTransfer(coin.id, wallet(4).getAddress(network.networkId), network.networkId);
+
+    assert.match((await network.submitMultisigTransfer(transfer)).reason, /needs 2 signatures, has 1/);
+
+    // Sent to the witnesses anyway
+    const result = await network._processTransaction(transfer.toTransaction());
+    assert.strictEqual(result.status, 'failed');
+    assert.match(result.failReason, /only 1 of 2 required signatures are valid/);
+    assert.notStrictEqual(coin.ownerId, wallet(4).getId());
+  } finally {
+    cleanup();
+  }
+});
+
+test('a member cannot lower the threshold to spend alone', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { policy, coin } = await fundMultisig(network);
+
+    // The same keys at a threshold of one describe a different policy
+    const lowered = MultisigPolicy.create(1, policy.publicKeys);
+    assert.notStrictEqual(lowered.getId(), policy.getId());
+
+    const honest = wallet(1).proposeMultisigTransfer(coin.id, wallet(4).getAddress(network.networkId), network.networkId);
+    const forged = new MultisigTransfer({ policy: lowered, coins: honest.coins, envelope: honest.envelope, signatures: honest.signatures });
+    assert.strictEqual(forged.isComplete(), true);
+
+    const result = await network._processTransaction(forged.toTransaction());
+    assert.strictEqual(result.status, 'failed');
+    assert.match(result.failReason, /does not own the coin/);
+    assert.strictEqual(coin.ownerId, policy.getId());
+  } finally {
+    cleanup();
+  }
+});
+
+test('an impossible threshold or an outsider signature is refused', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    assert.throws(() => network.createMultisig([1, 2], 3), /threshold must be between 1 and 2/);
+    assert.throws(() => network.createMultisig([1, 2], 0), /threshold must be between 1 and 2/);
+    assert.throws(() => network.createMultisig([1, 1], 1), /same key twice/);
+
+    const { coin } = await fundMultisig(network);
+    const transfer = wallet(1).proposeMultisigTransfer(coin.id, wallet(4).getAddress(network.networkId), network.networkId);
+    assert.throws(() => wallet(4).signMultisigTransfer(transfer), /has not joined the multisig policy/);
+    assert.throws(() => transfer.addSignature(wallet(4).getId(), wallet(4).sign(transfer.envelope.serialize())), /is not a member/);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OfflineTransfer = require('../src/OfflineTransfer');
+const { createNetwork, mintTo } = require('./helpers');
+
+// Agent 0 signs a transfer of a fresh coin to agent 1 and hands it over as a text blob
+function exportBlob(network, wallet, value = 5) {
+  const coin = mintTo(network, 0, value);
+  const bundle = network.exportOfflineTransfer(0, wallet(1).getAddress(network.networkId), wallet(0).findCoinIndex(coin.id));
+  return { coin, blob: bundle.encode() };
+}
+
+test('an offline transfer is verified on import and settles later', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { coin, blob } = exportBlob(network, wallet);
+
+    const imported = wallet(1).importOfflineTransfer(blob);
+    assert.strictEqual(imported.valid, true, imported.reason);
+    assert.strictEqual(imported.value, 5);
+    assert.strictEqual(wallet(1).getQueuedTransfers().length, 1);
+    assert.strictEqual(wallet(1).findCoinIndex(coin.id), -1);
+
+    const [result] = await network.settleOfflineTransfers(wallet(1));
+    assert.strictEqual(result.status, 'confirmed', result.reason);
+    assert.notStrictEqual(wallet(1).findCoinIndex(coin.id), -1);
+    assert.strictEqual(wallet(1).getQueuedTransfers().length, 0);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a tampered or misaddressed offline transfer is refused on import', () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { blob } = exportBlob(network, wallet);
+
+    const inflated = OfflineTransfer.decode(blob);
+    inflated.coins[0].value = 500;
+    assert.strictEqual(wallet(1).importOfflineTransfer(inflated.encode()).valid, false);
+
+    const forged = OfflineTransfer.decode(blob);
+    forged.signature = Buffer.from('forged').toString('base64');
+    assert.match(wallet(1).importOfflineTransfer(forged).reason, /invalid sender signature/);
+
+    assert.match(wallet(2).importOfflineTransfer(blob).reason, /transfer is addressed to/);
+    assert.match(wallet(1).importOfflineTransfer('rnbs-offline:1:@@@').reason, /corrupted/);
+    assert.strictEqual(wallet(1).getQueuedTransfers().length, 0);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a replayed offline transfer is rejected by the witnesses', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { coin, blob } = exportBlob(network, wallet);
+
+    wallet(1).importOfflineTransfer(blob);
+    assert.strictEqual((await network.settleOfflineTransfers(wallet(1)))[0].status, 'confirmed');
+
+    // The blob still verifies offline, but its coin state is already spent
+    const replay = wallet(1).importOfflineTransfer(blob);
+    assert.strictEqual(replay.valid, true, replay.reason);
+    const [result] = await network.settleOfflineTransfers(wallet(1));
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(wallet(1).getQueuedTransfers().length, 0);
+    assert.strictEqual(wallet(1).coins.filter(held => held.id === coin.id).length, 1);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a second import of the same transfer is reported, not queued twice', () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { blob } = exportBlob(network, wallet);
+
+    assert.strictEqual(wallet(1).importOfflineTransfer(blob).valid, true);
+    const again = wallet(1).importOfflineTransfer(blob);
+    assert.strictEqual(again.valid, false);
+    assert.match(again.reason, /already imported/);
+    assert.strictEqual(wallet(1).getQueuedTransfers().length, 1);
+  } finally {
+    cleanup();
+  }
+});
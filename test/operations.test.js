@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const OperationEnvelope = require('../src/OperationEnvelope');
+const { createNetwork, mintTo } = require('./helpers');
+
+test('a split whose values add up in decimal is conserved despite float rounding', () => {
+  const coin = new Coin('owner', 0.3);
+
+  assert.deepStrictEqual(OperationEnvelope.forSplit(coin, [0.1, 0.2]).checkConservation(), { valid: true });
+  assert.deepStrictEqual(OperationEnvelope.forSplit(new Coin('owner', 1), [0.7, 0.1, 0.2]).checkConservation(), { valid: true });
+});
+
+test('a split that creates or loses value is rejected', () => {
+  const coin = new Coin('owner', 0.3);
+
+  assert.match(OperationEnvelope.forSplit(coin, [0.1, 0.21]).checkConservation().reason, /value not conserved/);
+  assert.match(OperationEnvelope.forSplit(coin, [0.1, 0.2000000001]).checkConservation().reason, /at most 8 decimal places/);
+});
+
+test('a merge issues the exact decimal sum of its inputs', () => {
+  const envelope = OperationEnvelope.forMerge([new Coin('owner', 0.1), new Coin('owner', 0.2)]);
+
+  assert.deepStrictEqual(envelope.outputs, [0.3]);
+  assert.deepStrictEqual(envelope.checkConservation(), { valid: true });
+});
+
+test('witnesses approve a fractional split and the merge back', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 0.3);
+    const split = await network.splitCoin(0, wallet(0).findCoinIndex(coin.id), [0.1, 0.2]);
+    assert.strictEqual(split.success, true, split.reason);
+
+    const indices = split.coins.map(child => wallet(0).findCoinIndex(child.id));
+    const merge = await network.mergeCoins(0, indices);
+    assert.strictEqual(merge.success, true, merge.reason);
+    assert.strictEqual(wallet(0).getBalance(), 0.3);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a rejected transaction is dropped by the next retry sweep', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 1);
+    const result = await network.simulateDoubleSpend(0, wallet(0).findCoinIndex(coin.id));
+    assert.strictEqual(result.doubleSpend.success, false);
+    assert.strictEqual(network.pendingTransactions.size, 1);
+
+    const failed = [];
+    network.on('transaction:failed', event => failed.push(event));
+    await network._retryPendingTransactions();
+
+    assert.strictEqual(network.pendingTransactions.size, 0);
+    assert.strictEqual(failed.length, 1);
+    assert.ok(failed[0].reason);
+  } finally {
+    cleanup();
+  }
+});
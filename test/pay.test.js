@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const { selectCoins } = require('../src/coinSelection');
+const { createNetwork, mintTo } = require('./helpers');
+
+// Coins of the given values, created in that order
+function coins(...values) {
+  return values.map((value, index) => {
+    const coin = new Coin('owner', value);
+    coin.created = 1000 + index;
+    return coin;
+  });
+}
+
+const values = selection => selection.coins.map(coin => coin.value);
+
+test('fewest-coins prefers an exact coin, then the smallest covering one', () => {
+  assert.deepStrictEqual(values(selectCoins(coins(1, 5, 8, 3), 5)), [5]);
+  assert.deepStrictEqual(values(selectCoins(coins(1, 9, 6, 3), 5)), [6]);
+
+  const combined = selectCoins(coins(1, 2, 3), 4);
+  assert.deepStrictEqual(values(combined), [3, 2]);
+  assert.strictEqual(combined.change, 1);
+});
+
+test('oldest-first and avoid-dust choose by age and by change', () => {
+  assert.deepStrictEqual(values(selectCoins(coins(4, 1, 9), 5, { strategy: 'oldest-first' })), [4, 1]);
+
+  // 6 would leave change of 1, below the dust threshold of 2
+  assert.deepStrictEqual(values(selectCoins(coins(6, 1, 4), 5, { strategy: 'avoid-dust' })), [1, 4]);
+  // Nothing avoids dust change: settle for the fewest coins
+  assert.strictEqual(selectCoins(coins(6), 5, { strategy: 'avoid-dust' }).change, 1);
+});
+
+test('a payment the wallet cannot cover is refused before anything is signed', () => {
+  const frozen = coins(9)[0];
+  frozen.status = 'frozen';
+
+  assert.throws(() => selectCoins(coins(1, 2), 4), /Insufficient funds: 4 requested, 3 available/);
+  assert.throws(() => selectCoins([frozen], 4), /Insufficient funds/);
+  assert.throws(() => selectCoins(coins(1), 0), /positive number/);
+  assert.throws(() => selectCoins(coins(1), 1, { strategy: 'random' }), /Unknown coin selection strategy/);
+});
+
+test('a payment merges the selected coins, splits off the change and transfers the amount', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    mintTo(network, 0, 3);
+    mintTo(network, 0, 4);
+    const bundle = wallet(0).pay(wallet(1).getId(), 5, { networkId: network.networkId });
+    assert.deepStrictEqual(bundle.getPlan().map(step => step.type), ['merge', 'split', 'transfer']);
+    assert.strictEqual(bundle.change, 2);
+
+    const result = await network.submitPayment(bundle);
+    assert.strictEqual(result.success, true, result.reason);
+    assert.strictEqual(bundle.status, 'confirmed');
+    assert.strictEqual(result.receipt.value, 5);
+    assert.deepStrictEqual(wallet(1).coins.map(coin => coin.value), [5]);
+    assert.deepStrictEqual(wallet(0).coins.map(coin => coin.value), [2]);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a payment whose coins left the wallet fails without moving value', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 8);
+    const bundle = wallet(0).pay(wallet(1).getId(), 5, { networkId: network.networkId });
+    assert.strictEqual((await network.transferCoin(0, 2, wallet(0).findCoinIndex(coin.id))).success, true);
+
+    const result = await network.submitPayment(bundle);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(bundle.status, 'failed');
+    assert.strictEqual(wallet(1).getBalance(), 0);
+  } finally {
+    cleanup();
+  }
+});
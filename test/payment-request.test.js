@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PaymentRequest = require('../src/PaymentRequest');
+const { createNetwork, mintTo } = require('./helpers');
+
+test('paying a request settles the payee invoice', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    mintTo(network, 0, 5);
+    mintTo(network, 0, 3);
+    const request = wallet(1).createPaymentRequest(8, { networkId: network.networkId, memo: 'order 42' });
+    assert.strictEqual(wallet(1).getPaymentRequest(request.getId()).status, 'open');
+
+    const result = await network.payRequest(0, request.toJSON());
+    assert.strictEqual(result.success, true, result.reason);
+
+    const invoice = wallet(1).getPaymentRequest(request.getId());
+    assert.strictEqual(invoice.status, 'paid');
+    assert.strictEqual(invoice.received, 8);
+    assert.strictEqual(invoice.late, false);
+    assert.strictEqual(wallet(0).getBalance(), 0);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a request with an edited amount or recipient is refused', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    mintTo(network, 0, 5);
+    const request = wallet(1).createPaymentRequest(2, { networkId: network.networkId });
+
+    const inflated = { ...request.toJSON(), amount: 4 };
+    const result = await network.payRequest(0, inflated);
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /invalid recipient signature on the request/);
+
+    const redirected = { ...request.toJSON(), recipient: wallet(2).getId() };
+    assert.match((await network.payRequest(0, redirected)).reason, /request key does not belong to the recipient/);
+    assert.strictEqual(wallet(0).getBalance(), 5);
+  } finally {
+    cleanup();
+  }
+});
+
+test('an expired request or one for another network is not paid', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    mintTo(network, 0, 5);
+
+    const expired = new PaymentRequest({
+      recipient: wallet(1).getId(),
+      address: wallet(1).getAddress(network.networkId),
+      publicKey: wallet(1).publicKey,
+      amount: 2,
+      networkId: network.networkId,
+      expiresAt: Date.now() - 1000
+    });
+    expired.signature = wallet(1).sign(expired.getSignedData());
+    assert.match((await network.payRequest(0, expired)).reason, /payment request has expired/);
+
+    const elsewhere = wallet(1).createPaymentRequest(2, { networkId: 'other' });
+    assert.match((await network.payRequest(0, elsewhere)).reason, /request is for network other/);
+    assert.strictEqual(wallet(0).getBalance(), 5);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a request cannot ask for a non-positive amount', () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    assert.throws(() => wallet(1).createPaymentRequest(0, { networkId: network.networkId }), /must be a positive number/);
+    assert.throws(() => PaymentRequest.fromJSON({ version: 9 }), /Unsupported payment request version/);
+  } finally {
+    cleanup();
+  }
+});
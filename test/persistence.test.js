@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Mint = require('../src/Mint');
+const Wallet = require('../src/Wallet');
+const { createNetwork, mintTo } = require('./helpers');
+
+// A wallet file path in a fresh temporary directory
+function walletPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rnbs-wallet-')), 'wallet.json');
+}
+
+test('a saved wallet reloads its coins, history and pending transfers', () => {
+  const mint = new Mint();
+  const wallet = new Wallet();
+  [3, 4].forEach(value => wallet.addCoin(mint.mint(wallet.getId(), value)));
+  const transfer = wallet.transferCoin(0, new Wallet().getId());
+  const txId = transfer.envelope.getId();
+
+  const file = walletPath();
+  try {
+    wallet.saveToFile(file, 'passphrase');
+    const loaded = new Wallet(file, 'passphrase');
+
+    assert.strictEqual(loaded.getId(), wallet.getId());
+    assert.deepStrictEqual(loaded.coins.map(coin => coin.hash), wallet.coins.map(coin => coin.hash));
+    assert.deepStrictEqual(loaded.transactions, wallet.transactions);
+    assert.deepStrictEqual(loaded.getPendingTransfers().map(pending => pending.txId), [txId]);
+
+    // A refused transfer still hands its coin back after a reload
+    assert.strictEqual(loaded.settlePending(txId, false), true);
+    assert.strictEqual(loaded.getBalance(), 7);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('a wallet file with a tampered coin is refused as a whole', () => {
+  const wallet = new Wallet();
+  wallet.addCoin(new Mint().mint(wallet.getId(), 3));
+
+  const file = walletPath();
+  try {
+    wallet.saveToFile(file, 'passphrase');
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    data.state.coins[0].value = 30;
+    fs.writeFileSync(file, JSON.stringify(data));
+
+    assert.throws(() => new Wallet(file, 'passphrase'), /integrity check/);
+    assert.throws(() => new Wallet(file, 'wrong passphrase'));
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('a transfer dropped after too many retries returns the coin to its sender', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 2);
+
+    // Too few witnesses answer, so the transfer stays pending
+    const selectWitnesses = network.getRandomWitnesses;
+    network.getRandomWitnesses = (count, exclude) => selectWitnesses.call(network, count, exclude).slice(0, 2);
+    await network.transferCoin(0, 1, wallet(0).findCoinIndex(coin.id));
+    network.getRandomWitnesses = selectWitnesses;
+    assert.strictEqual(wallet(0).getBalance(), 0);
+
+    const [[txId, pending]] = network.pendingTransactions.entries();
+    pending.retries = network.options.maxRetries;
+    await network._retryPendingTransactions();
+
+    assert.strictEqual(network.pendingTransactions.has(txId), false);
+    assert.strictEqual(wallet(0).getPendingTransfers().length, 0);
+    assert.strictEqual(wallet(0).findHeldCoin(coin.id), coin);
+    assert.strictEqual(wallet(0).getBalance(), 2);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const { createNetwork, mintTo } = require('./helpers');
+
+// Copy of a coin as another holder would have it
+function copyOf(coin) {
+  return Coin.fromJSON(JSON.parse(JSON.stringify(coin.toJSON())));
+}
+
+// Provenance as a bystander (agent 5) checks it
+function provenance(network, coin) {
+  return coin.verifyProvenance(network.agents[5].publicKeyDirectory, { witnessThreshold: network.agents[5].witnessThreshold });
+}
+
+// A coin passed from agent 0 through agents 1 and 2
+async function travelledCoin(network, wallet) {
+  const coin = mintTo(network, 0, 4);
+  for (const [from, to] of [[0, 1], [1, 2]]) {
+    const result = await network.transferCoin(from, to, wallet(from).findCoinIndex(coin.id));
+    assert.strictEqual(result.success, true, result.reason);
+  }
+  return wallet(2).findHeldCoin(coin.id);
+}
+
+test('a coin that changed hands has a valid chain of custody', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = await travelledCoin(network, wallet);
+
+    assert.deepStrictEqual(provenance(network, coin), { valid: true, entries: 2, compacted: 0 });
+    assert.deepStrictEqual(provenance(network, copyOf(coin)), { valid: true, entries: 2, compacted: 0 });
+  } finally {
+    cleanup();
+  }
+});
+
+test('an edited or re-signed history entry breaks the chain', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = await travelledCoin(network, wallet);
+
+    const edited = copyOf(coin);
+    edited.history[1] = { ...edited.history[1], to: wallet(3).getId() };
+    edited.ownerId = wallet(3).getId();
+    edited.updateHash();
+    assert.strictEqual(provenance(network, edited).valid, false);
+    assert.strictEqual(provenance(network, edited).index, 1);
+
+    const forged = copyOf(coin);
+    forged.history[0] = { ...forged.history[0], signature: forged.history[1].signature };
+    const result = provenance(network, forged);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.index, 0);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a copy claimed by someone else fails at its first hop', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = network.mint.mint(wallet(0).getId(), 5);
+
+    // Agent 1 names itself the owner, then signs a transfer on to agent 2
+    const stolen = copyOf(coin);
+    stolen.ownerId = wallet(1).getId();
+    stolen.updateHash();
+    assert.match(provenance(network, stolen).reason, /coin is owned by/);
+
+    wallet(1).addCoin(stolen);
+    const transfer = wallet(1).transferCoin(wallet(1).findCoinIndex(stolen.id), wallet(2).getId(), network.networkId);
+    stolen.transfer(transfer.recipient, transfer.signature, [], null, transfer.envelope);
+    const result = stolen.verifyProvenance(network.agents[5].publicKeyDirectory);
+    assert.strictEqual(result.index, 0);
+    assert.match(result.reason, new RegExp(`coin was owned by ${wallet(0).getId()}`));
+  } finally {
+    cleanup();
+  }
+});
+
+test('a coin without a mint record has no trusted first owner', () => {
+  const coin = new Coin('owner', 5);
+
+  assert.match(coin.verifyProvenance(new Map()).reason, /no mint record/);
+});
+
+test('a split output starts from the owner who signed the split', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 1);
+    const split = await network.splitCoin(0, wallet(0).findCoinIndex(coin.id), [0.4, 0.6]);
+    assert.strictEqual(split.success, true, split.reason);
+
+    const [output] = split.coins;
+    assert.strictEqual(provenance(network, output).valid, true);
+
+    const claimed = copyOf(output);
+    claimed.ownerId = wallet(1).getId();
+    claimed.updateHash();
+    assert.match(provenance(network, claimed).reason, /coin is owned by/);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNetwork } = require('./helpers');
+
+const TERM = 60 * 1000;
+
+// A network whose witnesses see the time one second after coins minted now
+// with a one minute term expire
+function expiryNetwork(options = {}) {
+  const expiresAt = Date.now() + TERM;
+  return { expiresAt, ...createNetwork({ clock: () => expiresAt + 1000, ...options }) };
+}
+
+// Mint a coin that has expired by the witnesses' clock, flagged 'expired'
+// the way Coin.transfer flags it: without rehashing it
+function expiredCoin(network, wallet, expiresAt) {
+  const coin = network.mint.mint(wallet(0).getId(), 5, { expiryDate: expiresAt });
+  wallet(0).addCoin(coin);
+  coin.status = 'expired';
+  assert.strictEqual(coin.verifyIntegrity(), false);
+  return coin;
+}
+
+test('an expired coin within its grace period is renewed', async () => {
+  const { network, wallet, cleanup, expiresAt } = expiryNetwork();
+  try {
+    const coin = expiredCoin(network, wallet, expiresAt);
+    const result = await network.renewCoin(0, wallet(0).findCoinIndex(coin.id));
+
+    assert.strictEqual(result.success, true, result.reason);
+    const [renewed] = result.coins;
+    assert.ok(renewed.expiryDate > Date.now());
+    assert.strictEqual(renewed.status, 'active');
+    assert.strictEqual(wallet(0).findCoinIndex(coin.id), -1);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a renewal waiting for witnesses leaves the held coin expired', async () => {
+  const { network, wallet, cleanup, expiresAt } = expiryNetwork();
+  try {
+    const coin = expiredCoin(network, wallet, expiresAt);
+
+    const selectWitnesses = network.getRandomWitnesses;
+    network.getRandomWitnesses = (count, exclude) => selectWitnesses.call(network, count, exclude).slice(0, 2);
+    const result = await network.renewCoin(0, wallet(0).findCoinIndex(coin.id));
+    network.getRandomWitnesses = selectWitnesses;
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(coin.status, 'expired');
+    const [pending] = wallet(0).getPendingTransfers();
+    assert.strictEqual(pending.coins[0], coin);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a refused renewal hands back the coin still expired', async () => {
+  const { network, wallet, cleanup, expiresAt } = expiryNetwork({ renewalGracePeriod: 10 });
+  try {
+    const coin = expiredCoin(network, wallet, expiresAt);
+    const result = await network.renewCoin(0, wallet(0).findCoinIndex(coin.id));
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /renewal grace period/);
+    const index = wallet(0).findCoinIndex(coin.id);
+    assert.notStrictEqual(index, -1);
+    assert.strictEqual(wallet(0).coins[index], coin);
+    assert.strictEqual(coin.status, 'expired');
+  } finally {
+    cleanup();
+  }
+});
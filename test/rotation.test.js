@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KeyRotation = require('../src/KeyRotation');
+const Wallet = require('../src/Wallet');
+const { createNetwork, mintTo } = require('./helpers');
+
+test('rotating an agent key moves its coins to the new identity', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coins = [mintTo(network, 0, 5), mintTo(network, 0, 3)];
+    const oldWalletId = wallet(0).getId();
+
+    const result = await network.rotateAgentKey(0);
+    assert.strictEqual(result.success, true, result.reason);
+    assert.strictEqual(result.oldWalletId, oldWalletId);
+    assert.strictEqual(wallet(0).getId(), result.newWalletId);
+    assert.strictEqual(wallet(0).getBalance(), 8);
+    coins.forEach(coin => assert.strictEqual(coin.ownerId, result.newWalletId));
+    network.agents.forEach(agent => assert.strictEqual(agent.isWalletRotated(oldWalletId), true));
+
+    // The new key spends normally
+    const sent = await network.transferCoin(0, 1, 0);
+    assert.strictEqual(sent.success, true, sent.reason);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a rotated key may only pay its successor', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const oldWallet = wallet(0);
+    const { newWalletId } = await network.rotateAgentKey(0);
+
+    // A coin still reaching the old identity can no longer go elsewhere
+    const straggler = network.mint.mint(oldWallet.getId(), 4);
+    oldWallet.addCoin(straggler);
+    const elsewhere = await network._processTransaction(
+      oldWallet.transferCoin(oldWallet.findCoinIndex(straggler.id), wallet(2).getAddress(network.networkId), network.networkId)
+    );
+    assert.strictEqual(elsewhere.status, 'failed');
+    assert.match(elsewhere.failReason, new RegExp(`rotated to ${newWalletId}`));
+    assert.strictEqual(straggler.ownerId, oldWallet.getId());
+
+    const another = network.mint.mint(oldWallet.getId(), 2);
+    oldWallet.addCoin(another);
+    const onward = await network._processTransaction(
+      oldWallet.transferCoin(oldWallet.findCoinIndex(another.id), wallet(0).getAddress(network.networkId), network.networkId)
+    );
+    assert.strictEqual(onward.status, 'confirmed', onward.failReason);
+    assert.strictEqual(another.ownerId, newWalletId);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a rotation not signed by the retiring key is refused', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const impostor = new Wallet();
+    const forged = KeyRotation.create(impostor, new Wallet(), network.networkId);
+    forged.oldWalletId = wallet(0).getId();
+
+    const result = await network.registerKeyRotation(forged);
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /invalid signature from the retiring key/);
+    assert.strictEqual(network.agents[1].isWalletRotated(wallet(0).getId()), false);
+
+    // A successor that did not sign is refused as well
+    const unsigned = KeyRotation.create(wallet(0), new Wallet(), network.networkId);
+    unsigned.newSignature = unsigned.oldSignature;
+    assert.match((await network.registerKeyRotation(unsigned)).reason, /invalid signature from the new key/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a wallet cannot be rotated to a second successor', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const oldWallet = wallet(0);
+    const first = KeyRotation.create(oldWallet, new Wallet(), network.networkId);
+    assert.strictEqual((await network.registerKeyRotation(first)).success, true);
+
+    // Registering the same statement again is harmless
+    assert.strictEqual((await network.registerKeyRotation(first)).success, true);
+
+    const second = KeyRotation.create(oldWallet, new Wallet(), network.networkId);
+    const result = await network.registerKeyRotation(second);
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /was already rotated/);
+
+    const otherNetwork = KeyRotation.create(wallet(1), new Wallet(), 'other');
+    assert.match((await network.registerKeyRotation(otherNetwork)).reason, /rotation is for network other/);
+  } finally {
+    cleanup();
+  }
+});
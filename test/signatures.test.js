@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Mint = require('../src/Mint');
+const TransferEnvelope = require('../src/TransferEnvelope');
+const Wallet = require('../src/Wallet');
+const {
+  KEY_ALGORITHMS,
+  generateKeyPair,
+  detectKeyAlgorithm,
+  signData,
+  verifyData
+} = require('../src/signatures');
+const { createNetwork, mintTo } = require('./helpers');
+
+test('every supported algorithm signs and verifies', () => {
+  KEY_ALGORITHMS.forEach(algorithm => {
+    const { publicKey, privateKey } = generateKeyPair(algorithm);
+    const signature = signData('statement', privateKey);
+
+    assert.strictEqual(detectKeyAlgorithm(publicKey), algorithm);
+    assert.strictEqual(detectKeyAlgorithm(privateKey), algorithm);
+    assert.strictEqual(verifyData('statement', signature, publicKey), true, algorithm);
+    assert.strictEqual(verifyData('statement', signature, publicKey, algorithm), true, algorithm);
+    assert.strictEqual(verifyData('other statement', signature, publicKey), false, algorithm);
+  });
+});
+
+test('a signature is refused under an algorithm other than the declared one', () => {
+  const ed25519 = generateKeyPair('ed25519');
+  const p256 = generateKeyPair('ecdsa-p256');
+  const signature = signData('statement', ed25519.privateKey);
+
+  assert.strictEqual(verifyData('statement', signature, ed25519.publicKey, 'ecdsa-p256'), false);
+  assert.strictEqual(verifyData('statement', signature, p256.publicKey), false);
+  assert.strictEqual(verifyData('statement', 'not base64 at all', ed25519.publicKey), false);
+  assert.strictEqual(verifyData('statement', signature, 'not a key'), false);
+  assert.throws(() => generateKeyPair('dsa'), /Unsupported key algorithm/);
+  assert.throws(() => new Wallet(null, null, { algorithm: 'dsa' }), /Unsupported key algorithm/);
+});
+
+test('wallets default to Ed25519 and record their algorithm in envelopes', () => {
+  const wallet = new Wallet();
+  assert.strictEqual(wallet.algorithm, 'ed25519');
+
+  wallet.addCoin(new Mint().mint(wallet.getId(), 1));
+  const transfer = wallet.transferCoin(0, new Wallet().getId());
+  assert.strictEqual(transfer.envelope.algorithm, 'ed25519');
+  assert.strictEqual(wallet.verifySignature(transfer.envelope.serialize(), transfer.signature, wallet.publicKey, 'ed25519'), true);
+});
+
+test('wallets with different key types pay each other', async () => {
+  const { network, wallet, cleanup } = createNetwork({ keyAlgorithm: ['ed25519', 'ecdsa-p256', 'rsa'] });
+  try {
+    const coin = mintTo(network, 0, 2);
+    for (const [from, to] of [[0, 1], [1, 2], [2, 0]]) {
+      const result = await network.transferCoin(from, to, wallet(from).findCoinIndex(coin.id));
+      assert.strictEqual(result.success, true, result.reason);
+    }
+    assert.deepStrictEqual(coin.history.map(entry => entry.envelope.algorithm), ['ed25519', 'ecdsa-p256', 'rsa']);
+    assert.strictEqual(coin.verifyProvenance(network.agents[3].publicKeyDirectory, { witnessThreshold: 3 }).valid, true);
+  } finally {
+    cleanup();
+  }
+});
+
+test('witnesses refuse a transfer declaring the wrong key algorithm', async () => {
+  const { network, wallet, cleanup } = createNetwork({ keyAlgorithm: ['ed25519', 'ecdsa-p256'] });
+  try {
+    const coin = mintTo(network, 0, 2);
+    const envelope = TransferEnvelope.forCoin(coin, wallet(1).getId(), network.networkId, 'ecdsa-p256');
+    const transfer = { coin, envelope, signature: wallet(0).sign(envelope.serialize()), sender: envelope.sender, recipient: envelope.recipient };
+
+    const result = await network.agents[3].validateTransfer(transfer);
+    assert.strictEqual(result.valid, false);
+    assert.match(result.reason, /public key of type ecdsa-p256/);
+  } finally {
+    cleanup();
+  }
+});
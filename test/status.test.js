@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const Mint = require('../src/Mint');
+const { createNetwork, mintTo } = require('./helpers');
+
+test('a frozen coin is refused until its issuer unfreezes it', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 5);
+    const frozen = await network.freezeCoin(coin, 'court order');
+    assert.strictEqual(frozen.success, true, frozen.reason);
+    assert.strictEqual(coin.status, 'frozen');
+
+    const refused = await network.transferCoin(0, 1, wallet(0).findCoinIndex(coin.id));
+    assert.strictEqual(refused.success, false);
+    assert.match(refused.reason, /coin status is frozen/);
+    assert.strictEqual(coin.ownerId, wallet(0).getId());
+
+    const [decision] = network.getStatusAudit(coin.id);
+    assert.strictEqual(decision.action, 'freeze');
+    assert.strictEqual(decision.reason, 'court order');
+    assert.strictEqual(decision.issuerId, network.mint.getIssuerId());
+
+    assert.strictEqual((await network.unfreezeCoin(coin, 'order lifted')).success, true);
+    const sent = await network.transferCoin(0, 1, wallet(0).findCoinIndex(coin.id));
+    assert.strictEqual(sent.success, true, sent.reason);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a copy kept from before the freeze is refused too', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 5);
+    const copy = Coin.fromJSON(JSON.parse(JSON.stringify(coin.toJSON())));
+    await network.freezeCoin(coin, 'stolen');
+
+    // Present the still-active copy in place of the frozen coin
+    wallet(0).coins[wallet(0).findCoinIndex(coin.id)] = copy;
+    const result = await network.transferCoin(0, 1, wallet(0).findCoinIndex(copy.id));
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /coin was frozen by issuer .*: stolen/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a revoked coin stays out of circulation', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 5);
+    assert.strictEqual((await network.revokeCoin(coin, 'counterfeit batch')).success, true);
+    assert.strictEqual(coin.status, 'revoked');
+
+    const unfreeze = await network.unfreezeCoin(coin, 'mistake');
+    assert.strictEqual(unfreeze.success, false);
+    assert.strictEqual(coin.status, 'revoked');
+    assert.strictEqual((await network.transferCoin(0, 1, wallet(0).findCoinIndex(coin.id))).success, false);
+  } finally {
+    cleanup();
+  }
+});
+
+test('only the coin issuer can change its status', async () => {
+  const { network, cleanup } = createNetwork();
+  try {
+    const coin = mintTo(network, 0, 5);
+
+    const stranger = await network.freezeCoin(coin, 'no reason', new Mint());
+    assert.strictEqual(stranger.success, false);
+    assert.match(stranger.reason, /unknown issuer/);
+
+    const other = new Mint();
+    network.registerIssuer(other);
+    const result = await network.freezeCoin(coin, 'no reason', other);
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /did not issue this coin/);
+    assert.strictEqual(coin.status, 'active');
+    assert.deepStrictEqual(network.getStatusAudit(coin.id), []);
+  } finally {
+    cleanup();
+  }
+});
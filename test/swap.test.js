@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AtomicSwap = require('../src/AtomicSwap');
+const SwapEnvelope = require('../src/SwapEnvelope');
+const { createNetwork, mintTo } = require('./helpers');
+
+// Agent 0 offers a 5 coin for agent 1's 3 coin, and agent 1 signs
+function proposeSwap(network, wallet) {
+  const mine = mintTo(network, 0, 5);
+  const theirs = mintTo(network, 1, 3);
+  const swap = wallet(0).proposeSwap([wallet(0).findCoinIndex(mine.id)], [theirs], network.networkId, wallet(1).algorithm);
+  wallet(1).acceptSwap(swap);
+  return { swap, mine, theirs };
+}
+
+test('a swap signed by both parties moves every coin', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { swap, mine, theirs } = proposeSwap(network, wallet);
+    const result = await network.submitSwap(swap);
+
+    assert.strictEqual(result.success, true, result.reason);
+    assert.strictEqual(wallet(1).findCoinIndex(mine.id) !== -1, true);
+    assert.strictEqual(wallet(0).findCoinIndex(theirs.id) !== -1, true);
+    assert.strictEqual(wallet(0).findCoinIndex(mine.id), -1);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a swap with a forged signature is rejected and no coin moves', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { swap, mine, theirs } = proposeSwap(network, wallet);
+    swap.signatures[wallet(1).getId()] = swap.signatures[wallet(0).getId()];
+    const result = await network.submitSwap(swap);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(mine.ownerId, wallet(0).getId());
+    assert.strictEqual(theirs.ownerId, wallet(1).getId());
+  } finally {
+    cleanup();
+  }
+});
+
+test('a swap still waiting for witnesses completes when retried', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const { swap, mine } = proposeSwap(network, wallet);
+
+    // Only two witnesses answer at first, one short of the quorum
+    const selectWitnesses = network.getRandomWitnesses;
+    network.getRandomWitnesses = (count, exclude) => selectWitnesses.call(network, count, exclude).slice(0, 2);
+    const first = await network.submitSwap(swap);
+    network.getRandomWitnesses = selectWitnesses;
+    assert.strictEqual(first.success, false);
+    assert.strictEqual(network.pendingTransactions.get(first.txId).status, undefined);
+
+    await network._retryPendingTransactions();
+
+    assert.strictEqual(network.pendingTransactions.has(first.txId), false);
+    assert.strictEqual(mine.ownerId, wallet(1).getId());
+  } finally {
+    cleanup();
+  }
+});
+
+test('each party signs a swap with its own key algorithm', async () => {
+  const { network, wallet, cleanup } = createNetwork({ keyAlgorithm: ['ecdsa-p256', 'rsa', 'ed25519'] });
+  try {
+    const mine = mintTo(network, 0, 5);
+    const theirs = mintTo(network, 1, 3);
+    const swap = wallet(0).proposeSwap([wallet(0).findCoinIndex(mine.id)], [theirs], network.networkId, wallet(1).algorithm);
+    wallet(1).acceptSwap(swap);
+
+    assert.strictEqual(swap.envelope.getAlgorithm(wallet(0).getId()), 'ecdsa-p256');
+    assert.strictEqual(swap.envelope.getAlgorithm(wallet(1).getId()), 'rsa');
+
+    const result = await network.submitSwap(swap);
+    assert.strictEqual(result.success, true, result.reason);
+
+    const provenance = mine.verifyProvenance(network.agents[2].publicKeyDirectory, { witnessThreshold: 3 });
+    assert.strictEqual(provenance.valid, true, provenance.reason);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a party refuses a swap declaring another key algorithm for it', () => {
+  const { network, wallet, cleanup } = createNetwork({ keyAlgorithm: ['ecdsa-p256', 'rsa'] });
+  try {
+    const mine = mintTo(network, 0, 5);
+    const theirs = mintTo(network, 1, 3);
+    const swap = wallet(0).proposeSwap([wallet(0).findCoinIndex(mine.id)], [theirs], network.networkId, 'ed25519');
+
+    assert.throws(() => wallet(1).acceptSwap(swap), /declares a ed25519 key/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('a counterparty fills in its key algorithm and the proposer signs again', async () => {
+  const { network, wallet, cleanup } = createNetwork({ keyAlgorithm: ['ecdsa-p256', 'rsa'] });
+  try {
+    const mine = mintTo(network, 0, 5);
+    const theirs = mintTo(network, 1, 3);
+    const swap = wallet(0).proposeSwap([wallet(0).findCoinIndex(mine.id)], [theirs], network.networkId);
+    assert.strictEqual(swap.envelope.getAlgorithm(wallet(1).getId()), null);
+
+    wallet(1).acceptSwap(swap);
+    assert.strictEqual(swap.envelope.getAlgorithm(wallet(1).getId()), 'rsa');
+    assert.deepStrictEqual(Object.keys(swap.signatures), [wallet(1).getId()]);
+    assert.match((await network.submitSwap(swap)).reason, /both parties must sign/);
+
+    wallet(0).acceptSwap(swap);
+    const result = await network.submitSwap(swap);
+    assert.strictEqual(result.success, true, result.reason);
+  } finally {
+    cleanup();
+  }
+});
+
+test('witnesses refuse a swap that leaves a key algorithm undeclared', async () => {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const mine = mintTo(network, 0, 5);
+    const theirs = mintTo(network, 1, 3);
+
+    // Signed directly, bypassing the check that fills the algorithm in
+    const envelope = SwapEnvelope.forCoins([mine], [theirs], network.networkId, wallet(0).algorithm, null);
+    const swap = new AtomicSwap({ envelope, coins: [mine, theirs] });
+    [wallet(0), wallet(1)].forEach(party => {
+      swap.signatures[party.getId()] = party.sign(swap.envelope.serialize());
+    });
+
+    const result = await network.submitSwap(swap);
+    assert.strictEqual(result.success, false);
+    assert.match(result.reason, /does not declare the key algorithm/);
+    assert.strictEqual(theirs.ownerId, wallet(1).getId());
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Coin = require('../src/Coin');
+const TransferEnvelope = require('../src/TransferEnvelope');
+const WitnessAttestation = require('../src/WitnessAttestation');
+const wire = require('../src/wire');
+const { CoinTamperedError } = require('../src/coinSchema');
+const { createNetwork, mintTo } = require('./helpers');
+
+// A coin that went through one witnessed transfer, so its history carries an
+// envelope, a signature and a quorum certificate
+async function transferredCoin() {
+  const { network, wallet, cleanup } = createNetwork();
+  try {
+    const minted = mintTo(network, 0, 2.5);
+    const result = await network.transferCoin(0, 1, wallet(0).findCoinIndex(minted.id));
+    assert.strictEqual(result.success, true, result.reason);
+    return wallet(1).findHeldCoin(minted.id);
+  } finally {
+    cleanup();
+  }
+}
+
+test('a coin round-trips through the wire format with the same hash', async () => {
+  const coin = await transferredCoin();
+  const buffer = coin.toBinary();
+  const loaded = Coin.fromBinary(buffer);
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(loaded.toJSON())), JSON.parse(JSON.stringify(coin.toJSON())));
+  assert.strictEqual(loaded.hash, coin.hash);
+  assert.ok(buffer.length < JSON.stringify(coin.toJSON()).length);
+});
+
+test('transfer envelopes and witness attestations round-trip', async () => {
+  const coin = await transferredCoin();
+  const [entry] = coin.history;
+
+  const envelope = TransferEnvelope.fromJSON(entry.envelope);
+  const decodedEnvelope = TransferEnvelope.fromBinary(envelope.toBinary());
+  assert.deepStrictEqual(decodedEnvelope.toJSON(), envelope.toJSON());
+  assert.strictEqual(decodedEnvelope.getId(), envelope.getId());
+
+  const attestation = WitnessAttestation.fromJSON(entry.certificate.attestations[0]);
+  assert.deepStrictEqual(WitnessAttestation.fromBinary(attestation.toBinary()).toJSON(), attestation.toJSON());
+});
+
+test('strings that only look like compact types are kept verbatim', () => {
+  const pem = '-----BEGIN PUBLIC KEY-----\nMFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE\n-----END PUBLIC KEY-----\n';
+  const record = {
+    id: 'ABCDEF01-2345-6789-abcd-ef0123456789',
+    ownerId: 'deadbeef',
+    metadata: { note: 'abc', pem, padded: 'QUJDREVGR0hJSktMTU5PUA', repeated: ['deadbeef', 'abc'] },
+    value: -0.125
+  };
+
+  assert.deepStrictEqual(wire.decode('coin', wire.encode('coin', record)), record);
+});
+
+test('a decoded coin is still checked like any loaded coin', async () => {
+  const coin = await transferredCoin();
+  const buffer = wire.encode('coin', { ...coin.toJSON(), value: 25 });
+
+  assert.throws(() => Coin.fromBinary(buffer), CoinTamperedError);
+});
+
+test('malformed wire messages are rejected', async () => {
+  const coin = await transferredCoin();
+  const buffer = coin.toBinary();
+
+  assert.throws(() => wire.decode('coin', buffer.subarray(0, buffer.length - 3)), /truncated|does not match its length/);
+  assert.throws(() => wire.decode('coin', Buffer.concat([buffer, Buffer.from([0])])), /trailing bytes/);
+  assert.throws(() => wire.decode('transfer', buffer), /does not hold a transfer/);
+  assert.throws(() => wire.decode('coin', Buffer.from([wire.WIRE_VERSION + 1, ...buffer.subarray(1)])), /Unsupported wire format version/);
+  assert.throws(() => wire.decode('coin', buffer.toString('base64')), /must be a Buffer/);
+  assert.throws(() => wire.decode('coin', Buffer.from([wire.WIRE_VERSION, 1, 1, 99])), /unknown value tag/);
+});
+
+test('records with fields outside the wire schema are refused', () => {
+  assert.throws(() => wire.encode('attestation', { txId: 'tx', extra: true }), /Cannot encode attestation field extra/);
+  assert.throws(() => wire.encode('receipt', {}), /Unknown wire record type/);
+});